@@ -0,0 +1,178 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const SRPTransport = require('./SRPTransport.cjs');
+const { DEFAULT_GROUP } = require('../util/params.cjs'); // SRP group named in binary messages by default
+const { WIRE_CONTENT_TYPE, encodeMessage, decodeMessage, fromJSON, toJSON } = require('../util/wire.cjs');
+const { ERROR_CODES, SRPError, errorFromCode } = require('../util/errors.cjs');
+
+/**
+ * SRPTransport talking to a server exposed by HTTPHandler, with JSON or binary bodies.
+ */
+class HTTPTransport extends SRPTransport {
+  /**
+   * @param {string} id - The stable, unique identifier of the server.
+   * @param {string} baseUrl - The URL the routes are mounted under, e.g. 'https://auth1.example.com/srp'.
+   * @param {Object} [options]
+   * @param {string} [options.format='json'] - 'json', or 'binary' for the messages of util/wire.cjs.
+   * @param {string} [options.suite='P256-SHA256'] - The OPRF suite named in binary messages.
+   * @param {string} [options.group='rfc5054-3072'] - The SRP group named in binary messages.
+   * @param {Function} [options.fetch] - The fetch implementation, the global fetch by default.
+   * @param {Object} [options.headers] - Headers added to every request.
+   */
+  constructor(id, baseUrl, { format = 'json', suite = 'P256-SHA256', group = DEFAULT_GROUP, fetch = globalThis.fetch, headers = {} } = {}) {
+    super(id);
+    if (format !== 'json' && format !== 'binary') {
+      throw new Error(`Unsupported format: ${format}`);
+    }
+    this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+    this.format = format;
+    this.wireContext = { suite, group };
+    this.fetch = fetch;
+    this.headers = headers;
+  }
+
+  /**
+   * Decode a response body of the given message type.
+   * @param {Response} response - The fetch response.
+   * @param {string} type - The message type.
+   * @returns {Promise<Object|undefined>} The field values, undefined if the body is not a valid message.
+   */
+  async readMessage(response, type) {
+    try {
+      if (response.headers.get('content-type') === WIRE_CONTENT_TYPE) {
+        return decodeMessage(new Uint8Array(await response.arrayBuffer()), type).fields;
+      }
+      const body = await response.json();
+      return type === 'error' ? { message: body.error.message, code: body.error.code, details: body.error } : fromJSON(type, body);
+    } catch (err) {
+      return undefined;
+    }
+  }
+
+  /**
+   * POST a request message to a route and return the response message.
+   * @param {string} path - The route, e.g. '/login/start'.
+   * @param {string} requestType - The request message type.
+   * @param {Object} fields - The request field values.
+   * @param {string} responseType - The response message type.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request, e.g. when SRPClient's deadline passes.
+   * @returns {Promise<Object>} The response field values.
+   * @throws {Error} The server's error, rebuilt from its code as the matching SRPError subclass, with `status`, `retryAfterMs`
+   * and `puzzle` copied from the response, or an error with code UNAVAILABLE and `unavailable` set if the server could not be reached or failed,
+   * or the abort reason of the signal.
+   */
+  async post(path, requestType, fields, responseType, { signal } = {}) {
+    const binary = this.format === 'binary';
+    const body = binary ? encodeMessage(requestType, fields, this.wireContext) : JSON.stringify(toJSON(requestType, fields));
+    let response;
+    try {
+      response = await this.fetch(this.baseUrl + path, {
+        method: 'POST',
+        headers: { ...this.headers, 'Content-Type': binary ? WIRE_CONTENT_TYPE : 'application/json' },
+        body,
+        signal
+      });
+    } catch (err) {
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+      throw Object.assign(new SRPError(`Server ${this.id} is unavailable: ${err.message}`, ERROR_CODES.UNAVAILABLE), { unavailable: true, cause: err });
+    }
+
+    if (response.ok) {
+      const message = await this.readMessage(response, responseType);
+      if (message) {
+        return message;
+      }
+    }
+
+    const message = response.ok ? undefined : await this.readMessage(response, 'error');
+    const details = (message && message.details) || {};
+    const text = (message && message.message) || `Server ${this.id} answered with status ${response.status}`;
+    const unavailable = response.status >= 500 || !message;
+    const code = (message && message.code) || (unavailable ? ERROR_CODES.UNAVAILABLE : undefined);
+    const error = errorFromCode(code, text);
+    error.status = response.status;
+    if (unavailable) {
+      error.unavailable = true;
+    }
+    if ('retryAfterMs' in details) {
+      // null marks a manual lock
+      error.retryAfterMs = details.retryAfterMs === null ? Infinity : details.retryAfterMs;
+    }
+    if (details.puzzle) {
+      error.puzzle = details.puzzle;
+    }
+    if (details.supportedVersions) {
+      error.supportedVersions = details.supportedVersions;
+    }
+    throw error;
+  }
+
+  async evaluateOPRF(username, serializedEvalReq, { epoch, puzzleSolution, signal } = {}) {
+    const { evaluation } = await this.post('/oprf/evaluate', 'oprfEvaluateRequest', { username, request: serializedEvalReq, epoch, puzzleSolution }, 'oprfEvaluateResponse', { signal });
+    return evaluation;
+  }
+
+  async getPublicKey(epoch, options) {
+    return this.post('/oprf/public-key', 'publicKeyRequest', { epoch }, 'publicKeyResponse', options);
+  }
+
+  async register(username, salt, verifier, meta, options) {
+    const { record } = await this.post('/register', 'registerRequest', { username, salt, verifier, meta }, 'registerResponse', options);
+    return record;
+  }
+
+  async startLogin(username, clientPublicEphemeral, options) {
+    return this.post('/login/start', 'loginStartRequest', { username, A: clientPublicEphemeral }, 'loginStartResponse', options);
+  }
+
+  async finishLogin(sessionId, clientSessionProof, options) {
+    const { proof } = await this.post('/login/finish', 'loginFinishRequest', { sessionId, M: clientSessionProof }, 'loginFinishResponse', options);
+    return { proof };
+  }
+
+  async changePassword(sessionId, change, mac, options) {
+    const { record } = await this.post('/password/change', 'passwordChangeRequest', { ...change, sessionId, mac }, 'passwordChangeResponse', options);
+    return record;
+  }
+}
+
+module.exports = HTTPTransport;
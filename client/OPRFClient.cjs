@@ -35,32 +35,60 @@
  */
 
 // Import necessary modules and classes from the Cloudflare OPRF library
-const { Evaluation, Oprf, OPRFClient: VoprfClient } = require('@cloudflare/voprf-ts');
+const { OPRFClient: VoprfClient, VOPRFClient, POPRFClient } = require('@cloudflare/voprf-ts');
+const { DEFAULT_SUITE, cryptoArgs } = require('../util/oprf-suites.cjs');
+const { OPRFVerificationError, MalformedInputError } = require('../util/errors.cjs');
+const { decodeOPRFEvaluation } = require('../util/validate.cjs');
+
+// Client classes of the verifiable OPRF modes, constructed per server public key
+const VERIFIABLE_CLIENTS = {
+    voprf: VOPRFClient,
+    poprf: POPRFClient
+};
 
 class OPRFClientHandler {
-    constructor() {
-        this.suite = Oprf.Suite.P256_SHA256;
-        this.client = new VoprfClient(this.suite);
+    /**
+     * @param {string} [mode] - 'oprf' for the base mode, 'voprf' to verify the proof of every evaluation,
+     * or 'poprf' to also bind public info into the evaluation.
+     * @param {string} [suite] - The OPRF ciphersuite, P-256 with SHA-256 by default; must match the servers.
+     */
+    constructor(mode = 'oprf', suite = DEFAULT_SUITE) {
+        if (mode !== 'oprf' && !VERIFIABLE_CLIENTS[mode]) {
+            throw new Error(`Unsupported OPRF mode: ${mode}`);
+        }
+        this.suite = suite;
+        this.cryptoArgs = cryptoArgs(suite);
+        this.mode = mode;
+        // Blinding does not depend on the server key, the key is only needed to verify an evaluation
+        this.client = mode === 'oprf'
+            ? new VoprfClient(this.suite, ...this.cryptoArgs)
+            : new VERIFIABLE_CLIENTS[mode](this.suite, null, ...this.cryptoArgs);
+    }
+
+    /**
+     * Whether evaluations carry a proof that must be verified against the server's public key.
+     * @returns {boolean} - True in 'voprf' and 'poprf' mode.
+     */
+    get verifiable() {
+        return this.mode !== 'oprf';
     }
     /**
      * Encodes input to a Uint8Array.
      * 
-     * @param {string|Uint8Array} input - The input to encode, can be a string (hex string or regular string) or Uint8Array.
+     * @param {string|Uint8Array} input - The input to encode, a non-empty Uint8Array or a hex string of whole bytes.
      * @returns {Uint8Array} - The encoded input as Uint8Array.
+     * @throws {MalformedInputError} - If the input is empty, or a string that is not hex or has an odd number of digits.
      */
     encodeInput(input) {
-        if (input instanceof Uint8Array) {
+        if (input instanceof Uint8Array && input.length > 0) {
             return input;
         }
-        
-        // Check if the input is a valid hexadecimal string and convert it to Uint8Array
-        const isHex = /^[0-9a-fA-F]+$/i.test(input);
-        if (typeof input === 'string' && isHex) {
-            return new Uint8Array(input.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-        }
 
-        // Otherwise, assume it's a regular string and encode it using TextEncoder
-        return new TextEncoder().encode(input);
+        // Strings must be whole bytes of hex: odd-length or text input would be encoded ambiguously
+        if (typeof input === 'string' && /^(?:[0-9a-fA-F]{2})+$/.test(input)) {
+            return new Uint8Array(Buffer.from(input, 'hex'));
+        }
+        throw new MalformedInputError('Invalid OPRF input: expected a non-empty Uint8Array or hex string of whole bytes');
     }
 
     /**
@@ -86,9 +114,10 @@ class OPRFClientHandler {
      * 
      * @param {Uint8Array} responseData - The raw data received from the server.
      * @returns {Evaluation} - The deserialized evaluation object.
+     * @throws {MalformedInputError} - If the data is not a valid evaluation of the suite.
      */
     deserializeEvaluation(responseData) {
-        return Evaluation.deserialize(this.suite, responseData);
+        return decodeOPRFEvaluation(this.suite, responseData);
     }
 
     /**
@@ -96,11 +125,29 @@ class OPRFClientHandler {
      * 
      * @param {Uint8Array} finData - The blinded input data.
      * @param {Evaluation} deserializedEvaluation - The evaluation object received from the server.
+     * @param {Uint8Array} [publicKey] - The pinned public key of the server, required in 'voprf' and 'poprf' mode.
+     * @param {Uint8Array} [info] - The public info the server bound into the evaluation in 'poprf' mode.
      * @returns {Uint8Array} - The finalized output from the OPRF process.
+     * @throws {OPRFVerificationError} - In 'voprf' and 'poprf' mode, if the proof is missing or does not match the public key and info.
      */
-    async finalizeEvaluation(finData, deserializedEvaluation) {
-        const [output] = await this.client.finalize(finData, deserializedEvaluation);
-        return output;
+    async finalizeEvaluation(finData, deserializedEvaluation, publicKey, info) {
+        if (this.mode === 'oprf') {
+            const [output] = await this.client.finalize(finData, deserializedEvaluation);
+            return output;
+        }
+
+        if (!(publicKey instanceof Uint8Array)) {
+            throw new OPRFVerificationError('A pinned server public key is required to verify the evaluation');
+        }
+        try {
+            const client = new VERIFIABLE_CLIENTS[this.mode](this.suite, publicKey, ...this.cryptoArgs);
+            const [output] = this.mode === 'poprf'
+                ? await client.finalize(finData, deserializedEvaluation, info)
+                : await client.finalize(finData, deserializedEvaluation);
+            return output;
+        } catch (err) {
+            throw new OPRFVerificationError(`OPRF evaluation failed verification: ${err.message}`);
+        }
     }
 }
 
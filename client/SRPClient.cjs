@@ -37,9 +37,41 @@
 'use strict';
 
 // Import required modules
+const crypto = require('crypto');
 const TypeSRP = require('../util/type-srp.cjs'); // SRP Integer handling for large numbers
-const params = require('../util/params.cjs'); // SRP parameters such as prime N, generator g, etc.
+const { Params, createParams } = require('../util/params.cjs'); // SRP parameters such as prime N, generator g, etc.
 const OPRFClientHandler = require('./OPRFClient.cjs');
+const hashcash = require('../util/hashcash.cjs'); // Proof-of-work puzzles
+const { withDeadline, retryWithJitter } = require('../util/retry.cjs'); // Deadlines and retries for multi-server flows
+const { ERROR_CODES, InvalidProofError, MalformedInputError, OPRFError, OPRFVerificationError, RateLimitError, RecordError } = require('../util/errors.cjs');
+const validate = require('../util/validate.cjs'); // Checks of untrusted inputs
+const { encodeOPRFInfo } = require('../util/oprf-info.cjs'); // Public info of POPRF evaluations
+const { LEGACY_KDF, DEFAULT_KDF_LIMITS, normalizeKDF, assertKDFLimits, deriveKey } = require('../util/kdf.cjs'); // Memory-hard password stretching
+const { assertShareIndex, combineEvaluations, subsetsOf } = require('../util/threshold.cjs'); // Threshold OPRF over Shamir-shared keys
+const { DEFAULT_VERIFIER_BINDING, assertVerifierBinding } = require('../util/verifier-binding.cjs');
+const { passwordChangeMAC } = require('../util/password-change.cjs'); // Session key MACs of password changes
+
+// Failure reasons after which a call to a server is retried
+const RETRYABLE_FAILURES = new Set(['timeout', 'unavailable']);
+
+// Failure reason of every error code that has one; other codes are 'rejected'
+const FAILURE_REASONS = new Map([
+  [ERROR_CODES.OPRF_VERIFICATION_FAILED, 'invalid-oprf-proof'],
+  [ERROR_CODES.TIMEOUT, 'timeout'],
+  [ERROR_CODES.UNAVAILABLE, 'unavailable'],
+  [ERROR_CODES.BACKPRESSURE, 'unavailable'],
+  [ERROR_CODES.RATE_LIMITED, 'rate-limited'],
+  [ERROR_CODES.PUZZLE_REQUIRED, 'rate-limited'],
+  [ERROR_CODES.PUZZLE_TOO_HARD, 'rate-limited'],
+  [ERROR_CODES.INVALID_CLIENT_PROOF, 'invalid-proof'],
+  [ERROR_CODES.INVALID_SERVER_PROOF, 'invalid-server-proof']
+]);
+
+// Hardest puzzle the client solves by default: about 16 million SHA-256 hashes
+const DEFAULT_MAX_PUZZLE_DIFFICULTY = 24;
+
+// Default deadline and retry options of the multi-server flows
+const DEFAULT_REQUEST_OPTIONS = { timeoutMs: 10000, retries: 2, retryDelayMs: 100, maxRetryDelayMs: 2000 };
 
 /**
  * SRPClient class to handle Secure Remote Password (SRP) operations.
@@ -47,10 +79,64 @@ const OPRFClientHandler = require('./OPRFClient.cjs');
  * perform blind evaluation on private verifer, perform OPRF finalization on private verifier, 
  * derive verifier hash, derive public verifier, 
  * generate ephemerals and derive session keys for SRP authentication.
+ * `register` and `login` run the whole flow against several servers, each reached through an SRPTransport.
  */
 class SRPClient {
-  constructor() {
-    this.oprfClient = new OPRFClientHandler(); // Create the OPRF Client Handler;
+  /**
+   * @param {Object} [options] - The OPRF mode, and defaults for `register` and `login`.
+   * @param {string} [options.oprfMode='oprf'] - 'voprf' verifies every evaluation against the server's pinned public key,
+   * 'poprf' additionally binds the username and realm into every evaluation; must match the servers.
+   * @param {string} [options.oprfRealm=''] - The realm of POPRF evaluations; must match the servers.
+   * @param {string} [options.oprfSuite='P256-SHA256'] - The OPRF ciphersuite; must match the servers.
+   * @param {Params|Object} [options.params] - The SRP group and hash function, as Params or `{ group, hash }` for `createParams`
+   * (defaults to the 3072 bit group with SHA-256); must match the servers.
+   * @param {Object} [options.kdf] - The password KDF of new registrations, `{ name: 'scrypt', N, r, p }` or
+   * `{ name: 'argon2id', memoryKiB, iterations, parallelism }` (defaults to scrypt with N = 32768, r = 8, p = 1).
+   * Logins use the KDF stored with the user's record, within `kdfLimits`.
+   * @param {Object} [options.kdfLimits] - Bounds on the KDF a server returns at login, overriding DEFAULT_KDF_LIMITS of util/kdf.cjs:
+   * `minMemoryKiB` (16 MiB), `maxMemoryKiB` (1 GiB), `maxPasses` (16) and `maxParallelism` (16). The legacy unstretched KDF is
+   * refused unless `allowLegacy` is true. The client's own `kdf` must be within the limits too.
+   * @param {Object} [options.oprfThreshold] - Threshold OPRF in 'oprf' mode, as `{ threshold, shareIndices }`: every server holds a
+   * Shamir share of one OPRF key (see `threshold.dealKeyShares`), `shareIndices` maps each server id to the index of its share,
+   * and any `threshold` servers answering the OPRF suffice to log in.
+   * @param {string} [options.verifierBinding='shared'] - 'server' registers a separate public verifier on every server,
+   * derived from the combined OPRF output and the server's id, instead of the same verifier everywhere.
+   * @param {ComputePool} [options.computePool] - Runs the modular exponentiations of `register` and `login` on worker threads.
+   * @param {number} [options.maxPuzzleDifficulty=24] - Puzzles of a higher difficulty are refused instead of solved.
+   * @param {number} [options.timeoutMs=10000] - Deadline of every call to a server.
+   * @param {number} [options.retries=2] - Retries of idempotent calls after a timeout or an unavailable server.
+   * @param {number} [options.retryDelayMs=100] - Base delay of the jittered exponential backoff.
+   * @param {number} [options.maxRetryDelayMs=2000] - Upper bound of a single backoff delay.
+   */
+  constructor({
+    oprfMode = 'oprf', oprfRealm = '', oprfSuite, params, kdf, kdfLimits, oprfThreshold, verifierBinding = DEFAULT_VERIFIER_BINDING, computePool,
+    maxPuzzleDifficulty = DEFAULT_MAX_PUZZLE_DIFFICULTY, ...options
+  } = {}) {
+    this.params = params instanceof Params ? params : createParams(params); // SRP group and hash function
+    this.maxPuzzleDifficulty = maxPuzzleDifficulty; // Bound on the work a server can demand per OPRF request
+    this.computePool = computePool || null; // Worker threads for the group operations, if any
+    this.kdfLimits = { ...DEFAULT_KDF_LIMITS, ...kdfLimits }; // Costs accepted from the KDF of a login start
+    this.kdf = assertKDFLimits(normalizeKDF(kdf), this.kdfLimits); // Password KDF of new registrations
+    this.verifierBinding = assertVerifierBinding(verifierBinding); // Shared or per-server verifiers for new registrations
+    this.oprfClient = new OPRFClientHandler(oprfMode, oprfSuite); // Create the OPRF Client Handler;
+    this.oprfThreshold = null; // Threshold and share index by server id, in threshold mode
+    if (oprfThreshold) {
+      // Proofs of partial evaluations would need a public key per share, so only the base mode is supported
+      if (oprfMode !== 'oprf') {
+        throw new Error('Threshold OPRF is only supported in \'oprf\' mode');
+      }
+      const { threshold, shareIndices = {} } = oprfThreshold;
+      if (!Number.isInteger(threshold) || threshold < 1) {
+        throw new Error(`Invalid OPRF threshold: ${threshold}`);
+      }
+      this.oprfThreshold = {
+        threshold,
+        shareIndices: new Map(Object.entries(shareIndices).map(([serverId, index]) => [serverId, assertShareIndex(index)]))
+      };
+    }
+    this.oprfRealm = oprfRealm;
+    this.requestOptions = { ...DEFAULT_REQUEST_OPTIONS, ...options };
+    this.pinnedKeys = new Map(); // Pinned OPRF public keys by server id and key epoch
   }
 
   /**
@@ -58,23 +144,30 @@ class SRPClient {
    * @returns {string} A random salt in hexadecimal format.
    */
   generateSalt() {
-    return TypeSRP.randomInteger(params.hashOutputBytes).toHex();
+    return TypeSRP.randomInteger(this.params.hashOutputBytes).toHex();
   }
 
   /**
    * Derive a private key (sk) from a given salt, username, and password.
-   * This is computed as: sk = H(salt, H(username:password)).
+   * This is computed as: sk = H(salt, KDF(username:password, salt)) with a memory-hard KDF,
+   * or as sk = H(salt, H(username:password)) for records of the legacy `{ name: 'hash' }` KDF.
    * @param {string} salt - The user's salt.
    * @param {string} username - The user's username.
    * @param {string} password - The user's password.
+   * @param {Object} [kdf] - The password KDF of the user's record (defaults to the client's KDF).
    * @returns {string} The derived private key in hexadecimal format.
    */
-  async derivePrivateKey(salt, username, password) {
-    const { H } = params; // Hash function (H) from SRP params
+  async derivePrivateKey(salt, username, password, kdf = this.kdf) {
+    const { H } = this.params; // Hash function (H) from SRP params
     const s = TypeSRP.fromHex(salt); // Convert salt to TypeSRP
     const I = String(username); // Convert username to string
     const p = String(password); // Convert password to string
-    return H(s, H(`${I}:${p}`)).toHex(); // Compute private key
+    if (normalizeKDF(kdf).name === LEGACY_KDF.name) {
+      return H(s, H(`${I}:${p}`)).toHex(); // Compute private key
+    }
+    // Stretch username:password so every guess costs the KDF's memory and time
+    const stretched = await deriveKey(`${I}:${p}`, s.toUint8Array(), kdf, this.params.hashOutputBytes);
+    return H(s, TypeSRP.fromHex(stretched.toString('hex'))).toHex(); // Compute private key
   }
 
   /**
@@ -84,11 +177,20 @@ class SRPClient {
    * @returns {Uint8Array} The private verifier in hexadecimal format  
    */
   derivePrivateVerifier(privateKey) {
-    const {N, g} = params;
+    const {N, g} = this.params;
     const sk = TypeSRP.fromHex(privateKey);
     return g.modPow(sk, N).toUint8Array();
   }
 
+  /**
+   * Derive the private verifier (v') like `derivePrivateVerifier`, on the compute pool when one is configured.
+   * @param {string} privateKey - The private key (sk) derived from username and password in hex.
+   * @returns {Promise<Uint8Array>} The private verifier.
+   */
+  async derivePrivateVerifierAsync(privateKey) {
+    return (await this.modPow(this.params.g, TypeSRP.fromHex(privateKey))).toUint8Array();
+  }
+
   /**
    * Blind evaluate the OPRF private verifier (v') as private input.
    * @param {string} v_ - The private verifier (v') as private input to OPRF in hex.
@@ -104,18 +206,44 @@ class SRPClient {
    * Finalize the OPRF Output
    * @param {Uint8Array} responseData - The evaluation response from the server. 
    * @param {Object} blindData - Contains `blindData` (the blind data).
+   * @param {Uint8Array} [publicKey] - The pinned public key of the server, required in 'voprf' and 'poprf' mode to check the evaluation's proof.
+   * @param {string} [username] - The username the evaluation is bound to in 'poprf' mode.
    * @returns {string} The hexadeximal output of OPRF function.
+   * @throws {OPRFVerificationError} In 'voprf' and 'poprf' mode, if the proof is missing or invalid.
    */
-  async finalizeOPRF(responseData, blindData) {
+  async finalizeOPRF(responseData, blindData, publicKey, username) {
     // Deserialize the server's response
     const deserializedEvaluation = this.oprfClient.deserializeEvaluation(responseData);
-    // Finalize and get the OPRF output
-    const output = await this.oprfClient.finalizeEvaluation(blindData, deserializedEvaluation);
+    // Finalize and get the OPRF output, verifying the proof in the verifiable modes
+    const info = this.oprfClient.mode === 'poprf' ? encodeOPRFInfo(username, this.oprfRealm) : undefined;
+    const output = await this.oprfClient.finalizeEvaluation(blindData, deserializedEvaluation, publicKey, info);
     // Convert the Uint8Array output to a hex string
     const hexOutput = Array.from(output).map(byte => byte.toString(16).padStart(2, '0')).join('');
     return hexOutput;
   }
   
+  /**
+   * Solve a proof-of-work puzzle issued by an SRPServer whose OPRF requests are under pressure.
+   * Expected work is 2^difficulty SHA-256 hashes, done in batches that yield to the event loop.
+   * @param {string} username - The username the puzzle was issued for.
+   * @param {Object} puzzle - The puzzle from `SRPServer.getPuzzle` or from the `puzzle` property of its error.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops solving, e.g. when the deadline of the request passes.
+   * @returns {Promise<Object>} The solution to pass as `puzzleSolution` to `performOPRFEval`.
+   * @throws {RateLimitError} With code PUZZLE_TOO_HARD if the difficulty is above `maxPuzzleDifficulty`.
+   * @throws {MalformedInputError} If the puzzle has no challenge or difficulty.
+   */
+  async solvePuzzle(username, puzzle, { signal } = {}) {
+    if (!puzzle || typeof puzzle.challenge !== 'string' || !Number.isInteger(puzzle.difficulty) || puzzle.difficulty < 0) {
+      throw new MalformedInputError('Invalid puzzle');
+    }
+    if (puzzle.difficulty > this.maxPuzzleDifficulty) {
+      throw new RateLimitError(undefined, 'Puzzle difficulty exceeds the client\'s maximum', ERROR_CODES.PUZZLE_TOO_HARD);
+    }
+    const nonce = await hashcash.solveAsync(puzzle.challenge, String(username), puzzle.difficulty, { signal });
+    return { ...puzzle, nonce };
+  }
+
   /**
    * Derive the verifierHash (x) from private verifier (v'), and OPRF outputs of SRPServers.
    * This is computed as: x = H(v'||v1'||v2'||...||vn').
@@ -124,7 +252,7 @@ class SRPClient {
    * @returns {string} The derived verifierHash in hexadecimal format.
    */
   async deriveVerifierHash(...args) {
-    const { H } = params; // Import the hash function (argon2-based H) from params
+    const { H } = this.params; // Hash function (H) from SRP params
 
     // Concatenate all the arguments into a single string
     const concatenatedInput = args.join('');
@@ -132,10 +260,39 @@ class SRPClient {
     // Convert the concatenated input to TypeSRP
     const inputInteger = TypeSRP.fromHex(concatenatedInput);
 
-    // Hash the concatenated input using params.H and return the result in hex format
+    // Hash the concatenated input using this.params.H and return the result in hex format
     return H(inputInteger).toHex();
   }
 
+  /**
+   * Derive the verifierHash (x_i) of a single server from the combined verifierHash (x), for per-server verifiers.
+   * This is computed as: x_i = HKDF(x, salt, 'oblivious-srp-verifier:' || server id), so the verifiers of
+   * different servers are unrelated while every one of them still needs all OPRF outputs.
+   * @param {string} verifierHash - The combined verifierHash (x) in hex.
+   * @param {string} serverId - The stable id of the server.
+   * @param {string} salt - The user's salt in hex.
+   * @returns {string} The server's verifierHash in hexadecimal format.
+   */
+  deriveServerVerifierHash(verifierHash, serverId, salt) {
+    const { hashName, hashOutputBytes } = this.params;
+    const x = TypeSRP.fromHex(verifierHash).toUint8Array();
+    const s = TypeSRP.fromHex(salt).toUint8Array();
+    const derived = crypto.hkdfSync(hashName, x, s, `oblivious-srp-verifier:${serverId}`, hashOutputBytes);
+    return Buffer.from(derived).toString('hex');
+  }
+
+  /**
+   * The verifierHash a server's verifier is built from: x itself for shared verifiers, x_i for per-server verifiers.
+   * @param {string} verifierHash - The combined verifierHash (x) in hex.
+   * @param {string} binding - The verifier binding of the record, 'shared' or 'server'.
+   * @param {string} serverId - The stable id of the server.
+   * @param {string} salt - The user's salt in hex.
+   * @returns {string} The verifierHash of the server in hex.
+   */
+  verifierHashFor(verifierHash, binding, serverId, salt) {
+    return assertVerifierBinding(binding) === 'server' ? this.deriveServerVerifierHash(verifierHash, serverId, salt) : verifierHash;
+  }
+
   /**
    * Derive the public verifier (v) from a verifierHash (x).
    * This is computed as: v = g^x % N.
@@ -143,23 +300,57 @@ class SRPClient {
    * @returns {string} The public verifier in hexadecimal format.
    */
   derivePublicVerifier(verifierHash) {
-    const { N, g } = params; // SRP modulus (N) and generator (g)
+    const { N, g } = this.params; // SRP modulus (N) and generator (g)
     const x = TypeSRP.fromHex(verifierHash); // Convert verifierHash to TypeSRP
     return g.modPow(x, N).toHex(); // Compute verifier as g^x % N
   }
 
+  /**
+   * Derive the public verifier (v) like `derivePublicVerifier`, on the compute pool when one is configured.
+   * @param {string} verifierHash - The verifierHash (x) in hex.
+   * @returns {Promise<string>} The public verifier in hexadecimal format.
+   */
+  async derivePublicVerifierAsync(verifierHash) {
+    return (await this.modPow(this.params.g, TypeSRP.fromHex(verifierHash))).toHex();
+  }
+
   /**
    * Generate the client's ephemeral values for SRP: 
    * Secret (a) and public (A), where A = g^a % N.
    * @returns {Object} Contains the secret and public ephemeral values in hexadecimal format.
    */
   generateEphemeral() {
-    const { N, g } = params; // SRP modulus (N) and generator (g)
-    let a = TypeSRP.randomInteger(params.hashOutputBytes); // Generate random secret 'a'
+    const { N, g } = this.params; // SRP modulus (N) and generator (g)
+    let a = TypeSRP.randomInteger(this.params.hashOutputBytes); // Generate random secret 'a'
     const A = g.modPow(a, N); // Compute public ephemeral A = g^a % N
     return { secret: a.toHex(), public: A.toHex() }; // Return secret and public values in hex
   }
 
+  /**
+   * Generate the client's ephemeral values like `generateEphemeral`, on the compute pool when one is configured.
+   * @returns {Promise<Object>} Contains the secret and public ephemeral values in hexadecimal format.
+   */
+  async generateEphemeralAsync() {
+    const a = TypeSRP.randomInteger(this.params.hashOutputBytes); // Generate random secret 'a'
+    const A = await this.modPow(this.params.g, a); // Compute public ephemeral A = g^a % N
+    return { secret: a.toHex(), public: A.toHex() };
+  }
+
+  /**
+   * Compute base^exponent % N, on the compute pool when one is configured.
+   * @param {TypeSRP} base - The base.
+   * @param {TypeSRP} exponent - The exponent.
+   * @returns {Promise<TypeSRP>} The result.
+   * @throws {BackpressureError} If the compute pool's queue is full.
+   */
+  async modPow(base, exponent) {
+    const { N } = this.params;
+    if (!this.computePool) {
+      return base.modPow(exponent, N);
+    }
+    return TypeSRP.fromBigInt(await this.computePool.modPow(base.toBigInt(), exponent.toBigInt(), N.toBigInt()));
+  }
+
   /**
    * Derive the session key and proof based on the client's secret ephemeral, 
    * server's public ephemeral, salt, username, and private key.
@@ -169,30 +360,29 @@ class SRPClient {
    * @param {string} username - The user's username.
    * @param {string} verifierHash - The user's verifierHash (x).
    * @returns {Object} Contains the session key (K) and proof (M) in hex.
+   * @throws {InvalidEphemeralError|MalformedInputError} If the server's public ephemeral or the salt is invalid.
    */
   async deriveSession(clientSecretEphemeral, serverPublicEphemeral, salt, username, verifierHash) {
-    const { N, g, k, H } = params; // SRP parameters including modulus (N), generator (g), multiplier (k), and hash function (H)
+    // Check that B is in [1, N - 1] and the salt is one hash output before any math runs
+    validate.assertEphemeral(serverPublicEphemeral, this.params, ERROR_CODES.INVALID_SERVER_EPHEMERAL);
+    validate.assertSalt(salt, this.params);
+    const { N, g, k, H } = this.params; // SRP parameters including modulus (N), generator (g), multiplier (k), and hash function (H)
     const a = TypeSRP.fromHex(clientSecretEphemeral); // Convert client's secret ephemeral (a) to TypeSRP
     const B = TypeSRP.fromHex(serverPublicEphemeral); // Convert server's public ephemeral (B) to TypeSRP
     const s = TypeSRP.fromHex(salt); // Convert salt to TypeSRP
     const I = String(username); // Convert username to string
     const x = TypeSRP.fromHex(verifierHash); // Convert private key to TypeSRP
 
-    // Check if server's public ephemeral (B) is valid (B % N != 0)
-    if (B.mod(N).equals(TypeSRP.ZERO)) {
-      throw new Error('Server sent an invalid public ephemeral');
-    }
-
     // Compute A = g^a % N
-    const A = g.modPow(a, N);
+    const A = await this.modPow(g, a);
     // Compute u = H(A, B)
     const u = H(A, B);
 
     // Compute shared secret S = (B - k * g^x)^(a + u * x) % N
-    const S = B.add(N) // Step 1: Add N to ensure positivity
-              .subtract(k.multiply(g.modPow(x, N)).mod(N)) // Step 2: Subtract k * g^x (mod N)
-              .mod(N) // Step 3: Take result modulo N to ensure it's within [0, N-1]
-              .modPow(a.add(u.multiply(x)), N); // Step 4: Perform modular exponentiation
+    const base = B.add(N) // Step 1: Add N to ensure positivity
+                  .subtract(k.multiply(await this.modPow(g, x)).mod(N)) // Step 2: Subtract k * g^x (mod N)
+                  .mod(N); // Step 3: Take result modulo N to ensure it's within [0, N-1]
+    const S = await this.modPow(base, a.add(u.multiply(x))); // Step 4: Perform modular exponentiation
 
     // Compute session key K = H(S)
     const K = H(S);
@@ -208,10 +398,12 @@ class SRPClient {
    * @param {string} clientPublicEphemeral - The client's public ephemeral (A) in hex.
    * @param {Object} clientSession - The client's session, containing the proof (M) and session key (K).
    * @param {string} serverSessionProof - The server's session proof (M2) in hex.
-   * @throws {Error} If the server's session proof is invalid.
+   * @throws {InvalidProofError} If the server's session proof is invalid.
+   * @throws {MalformedInputError} If the server's session proof is not one hash output in hex.
    */
   verifySession(clientPublicEphemeral, clientSession, serverSessionProof) {
-    const { H } = params; // Hash function (H) from SRP params
+    validate.assertProof(serverSessionProof, this.params);
+    const { H } = this.params; // Hash function (H) from SRP params
     const A = TypeSRP.fromHex(clientPublicEphemeral); // Convert client’s public ephemeral (A) to TypeSRP
     const M = TypeSRP.fromHex(clientSession.proof); // Convert client's session proof (M) to TypeSRP
     const K = TypeSRP.fromHex(clientSession.key); // Convert client's session key (K) to TypeSRP
@@ -221,8 +413,472 @@ class SRPClient {
 
     // Compare the server's provided session proof with the expected value
     if (!actual.equals(expected)) {
-      throw new Error('Server provided session proof is invalid');
+      throw new InvalidProofError('Server provided session proof is invalid', ERROR_CODES.INVALID_SERVER_PROOF);
+    }
+  }
+
+  /**
+   * Classify why a call to a server failed.
+   * - 'invalid-proof': the server rejected the client's session proof, e.g. a wrong password.
+   * - 'invalid-server-proof': the server's session proof did not verify.
+   * - 'invalid-oprf-proof': in 'voprf' and 'poprf' mode, the server's evaluation did not verify against its pinned public key.
+   * - 'rate-limited': the server throttles the username; see the error's `retryAfterMs`.
+   * - 'timeout': the server did not answer before the deadline.
+   * - 'unavailable': the transport could not reach the server (transports set `unavailable` on the error),
+   *   or the server or the client's compute pool shed the call under backpressure.
+   * - 'rejected': any other error returned by the server, e.g. an unknown username.
+   * The reason follows from the error's `code` (see ERROR_CODES); the `timedOut`, `unavailable`, `retryAfterMs`
+   * and `puzzle` properties are honoured too, for custom transports that set them on errors without a code.
+   * @param {Error} err - The error.
+   * @returns {string} The failure reason.
+   */
+  static classifyFailure(err) {
+    if (!err) {
+      return 'rejected';
+    }
+    if (err.timedOut) {
+      return 'timeout';
+    }
+    if (err.unavailable) {
+      return 'unavailable';
+    }
+    if (FAILURE_REASONS.has(err.code)) {
+      return FAILURE_REASONS.get(err.code);
+    }
+    if (err.retryAfterMs !== undefined || err.puzzle) {
+      return 'rate-limited';
+    }
+    return 'rejected';
+  }
+
+  /**
+   * Sort the servers by id, the stable order in which their OPRF outputs enter the verifierHash.
+   * @param {SRPTransport[]} servers - One transport per server.
+   * @returns {SRPTransport[]} The servers sorted by id.
+   * @throws {Error} If no server is given or two servers share an id.
+   */
+  orderServers(servers) {
+    if (!Array.isArray(servers) || servers.length === 0) {
+      throw new Error('At least one server is required');
+    }
+    const ordered = [...servers].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    for (let i = 1; i < ordered.length; i++) {
+      if (ordered[i].id === ordered[i - 1].id) {
+        throw new Error(`Duplicate server id: ${ordered[i].id}`);
+      }
+    }
+    return ordered;
+  }
+
+  /**
+   * Call a server with the per-server deadline. Idempotent calls are retried on timeouts
+   * and unavailable servers with jittered backoff.
+   * @param {Function} operation - Function performing one attempt of the call, called with an AbortSignal
+   * that is aborted when the attempt's deadline passes; pass it on to the transport as `signal`.
+   * @param {Object} requestOptions - `timeoutMs`, `retries`, `retryDelayMs` and `maxRetryDelayMs`.
+   * @param {boolean} idempotent - Whether the call may be retried.
+   * @returns {Promise<*>} The result of the call.
+   */
+  async callServer(operation, requestOptions, idempotent) {
+    const attempt = () => withDeadline(operation, requestOptions.timeoutMs);
+    if (!idempotent) {
+      return attempt();
+    }
+    return retryWithJitter(attempt, {
+      retries: requestOptions.retries,
+      baseDelayMs: requestOptions.retryDelayMs,
+      maxDelayMs: requestOptions.maxRetryDelayMs,
+      shouldRetry: err => RETRYABLE_FAILURES.has(SRPClient.classifyFailure(err))
+    });
+  }
+
+  /**
+   * Run a call on every server in parallel and collect the failures instead of rejecting.
+   * @param {SRPTransport[]} servers - The servers.
+   * @param {Function} call - Called with (server, index), returns a promise.
+   * @returns {Promise<Object>} `values` (undefined for failed servers) and `failures`.
+   */
+  async settleServers(servers, call) {
+    const settled = await Promise.allSettled(servers.map(call));
+    const failures = [];
+    settled.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        failures.push({ serverId: servers[i].id, reason: SRPClient.classifyFailure(result.reason), error: result.reason });
+      }
+    });
+    return { values: settled.map(result => result.value), failures };
+  }
+
+  /**
+   * Pin the OPRF public key of a server for a key epoch, e.g. from configuration. In 'voprf' and 'poprf' mode
+   * evaluations of the server are only accepted if they verify against the pinned key.
+   * @param {string} serverId - The id of the server's transport.
+   * @param {string|Uint8Array} publicKey - The public key as published by `SRPServer.getPublicKey`, in hex or bytes.
+   * @param {number} [epoch=0] - The key epoch.
+   */
+  pinPublicKey(serverId, publicKey, epoch = 0) {
+    const key = typeof publicKey === 'string' ? new Uint8Array(Buffer.from(publicKey, 'hex')) : new Uint8Array(publicKey);
+    this.pinnedKeys.set(`${serverId}:${epoch}`, key);
+  }
+
+  /**
+   * Get the public key a server evaluates with in 'voprf' and 'poprf' mode. A pinned key is used as is; otherwise the
+   * key is fetched from the server and pinned on first use. Without a known epoch the server's current
+   * epoch is fetched and checked against the pin for that epoch.
+   * @param {SRPTransport} server - The server's transport.
+   * @param {number} [epoch] - The key epoch, e.g. from the login start.
+   * @param {Object} requestOptions - Deadline and retry options.
+   * @returns {Promise<Object>} The `epoch` and `publicKey`.
+   * @throws {OPRFVerificationError} If the server publishes a key other than the pinned one.
+   * @throws {OPRFError} If the server runs another suite or mode or, in 'poprf' mode, another realm.
+   */
+  async resolvePublicKey(server, epoch, requestOptions) {
+    if (epoch !== undefined && this.pinnedKeys.has(`${server.id}:${epoch}`)) {
+      return { epoch, publicKey: this.pinnedKeys.get(`${server.id}:${epoch}`) };
+    }
+
+    const published = await this.callServer(signal => server.getPublicKey(epoch, { signal }), requestOptions, true);
+    if (published.suite !== this.oprfClient.suite) {
+      throw new OPRFError(`Server ${server.id} uses OPRF suite ${published.suite}, the client uses ${this.oprfClient.suite}`, ERROR_CODES.OPRF_MISMATCH, server.id);
+    }
+    if (published.mode !== this.oprfClient.mode) {
+      throw new OPRFError(`Server ${server.id} runs the OPRF in mode ${published.mode}, expected ${this.oprfClient.mode}`, ERROR_CODES.OPRF_MISMATCH, server.id);
+    }
+    if (this.oprfClient.mode === 'poprf' && (published.realm || '') !== this.oprfRealm) {
+      throw new OPRFError(`Server ${server.id} binds evaluations to another realm`, ERROR_CODES.OPRF_MISMATCH, server.id);
+    }
+    if (epoch !== undefined && published.epoch !== epoch) {
+      throw new OPRFVerificationError(`Server ${server.id} published a key for another epoch`, server.id);
+    }
+    const pinned = this.pinnedKeys.get(`${server.id}:${published.epoch}`);
+    if (pinned && Buffer.compare(Buffer.from(pinned), Buffer.from(published.publicKey)) !== 0) {
+      throw new OPRFVerificationError(`Server ${server.id} published a public key other than the pinned one`, server.id);
+    }
+    this.pinPublicKey(server.id, published.publicKey, published.epoch);
+    return { epoch: published.epoch, publicKey: this.pinnedKeys.get(`${server.id}:${published.epoch}`) };
+  }
+
+  /**
+   * Request an OPRF evaluation from one server. If the server asks for a proof-of-work
+   * puzzle, the puzzle is solved and the request is retried once with the solution.
+   * @param {SRPTransport} server - The server's transport.
+   * @param {string} username - The username.
+   * @param {Uint8Array} serializedEvalReq - The serialized evaluation request.
+   * @param {Object} [options] - Passed to the transport, e.g. `epoch`.
+   * @param {Object} [requestOptions] - Deadline and retry options, see the constructor.
+   * @returns {Promise<Uint8Array>} The serialized evaluation.
+   */
+  async requestOPRFEval(server, username, serializedEvalReq, options = {}, requestOptions = this.requestOptions) {
+    try {
+      return await this.callServer(signal => server.evaluateOPRF(username, serializedEvalReq, { ...options, signal }), requestOptions, true);
+    } catch (err) {
+      if (!err || !err.puzzle) {
+        throw err;
+      }
+      // Solving counts against the deadline, and stops once it passes
+      const puzzleSolution = await withDeadline(signal => this.solvePuzzle(username, err.puzzle, { signal }), requestOptions.timeoutMs);
+      return this.callServer(signal => server.evaluateOPRF(username, serializedEvalReq, { ...options, puzzleSolution, signal }), requestOptions, true);
+    }
+  }
+
+  /**
+   * Derive the verifierHash (x) for a salt by blinding the private verifier once and
+   * evaluating it on every server in parallel. x needs the output of every server.
+   * In 'voprf' and 'poprf' mode every evaluation is verified against the server's pinned public key.
+   * @param {SRPTransport[]} servers - The servers in stable order.
+   * @param {string} salt - The user's salt in hex.
+   * @param {string} username - The username.
+   * @param {string} password - The password.
+   * @param {Object} kdf - The password KDF.
+   * @param {Array<number|undefined>} epochs - Per server OPRF key epoch; undefined for the server's current epoch.
+   * @param {Object} requestOptions - Deadline and retry options.
+   * @returns {Promise<Object>} `verifierHash` in hex and the `epochs` evaluated under (undefined if not known),
+   * or the `failures` of the servers that did not answer. In threshold mode `failures` may be set along with `verifierHash`.
+   */
+  async deriveVerifierHashFromServers(servers, salt, username, password, kdf, epochs, requestOptions) {
+    const privateKey = await this.derivePrivateKey(salt, username, password, kdf);
+    const privateVerifier = await this.derivePrivateVerifierAsync(privateKey);
+    const blindEval = await this.blindEvalOPRFInput(privateVerifier);
+    if (this.oprfThreshold) {
+      return this.deriveThresholdVerifierHash(servers, username, privateVerifier, blindEval, epochs, requestOptions);
+    }
+    const { values, failures } = await this.settleServers(servers, async (server, i) => {
+      let epoch = epochs[i];
+      let publicKey;
+      if (this.oprfClient.verifiable) {
+        ({ epoch, publicKey } = await this.resolvePublicKey(server, epoch, requestOptions));
+      }
+      const evalOptions = epoch === undefined ? {} : { epoch };
+      const evaluationResp = await this.requestOPRFEval(server, username, blindEval.serializedEvalReq, evalOptions, requestOptions);
+      return { epoch, output: await this.finalizeOPRF(evaluationResp, blindEval.finData, publicKey, username) };
+    });
+    if (failures.length > 0) {
+      return { failures };
+    }
+    const verifierHash = await this.deriveVerifierHash(privateVerifier, ...values.map(value => value.output));
+    return { verifierHash, epochs: values.map(value => value.epoch), failures };
+  }
+
+  /**
+   * Derive the verifierHash (x) in threshold mode: the blinded private verifier is evaluated by every server
+   * under its key share, and `threshold` partial evaluations are combined into the evaluation under the shared
+   * key (see `combinePartialEvaluations`). This is computed as: x = H(v'||v1') with v1' the OPRF output under
+   * the shared key, the same x a single server holding the whole key would give.
+   * @param {SRPTransport[]} servers - The servers in stable order.
+   * @param {string} username - The username.
+   * @param {Uint8Array} privateVerifier - The private verifier (v').
+   * @param {Object} blindEval - The blinded private verifier from `blindEvalOPRFInput`.
+   * @param {Array<number|undefined>} epochs - Per server OPRF key epoch; undefined for the server's current epoch.
+   * @param {Object} requestOptions - Deadline and retry options.
+   * @returns {Promise<Object>} `verifierHash` in hex, `epochs` and the `failures` of the servers that did not answer,
+   * or only the `failures` if fewer than `threshold` servers answered.
+   */
+  async deriveThresholdVerifierHash(servers, username, privateVerifier, blindEval, epochs, requestOptions) {
+    const { threshold, shareIndices } = this.oprfThreshold;
+    const { values, failures } = await this.settleServers(servers, async (server, i) => {
+      if (!shareIndices.has(server.id)) {
+        throw new Error(`No OPRF share index configured for server ${server.id}`);
+      }
+      const evalOptions = epochs[i] === undefined ? {} : { epoch: epochs[i] };
+      const evaluation = await this.requestOPRFEval(server, username, blindEval.serializedEvalReq, evalOptions, requestOptions);
+      return { serverId: server.id, index: shareIndices.get(server.id), evaluation };
+    });
+    const partials = values.filter(value => value !== undefined);
+    if (partials.length < threshold) {
+      return { failures };
+    }
+    const combined = await this.combinePartialEvaluations(partials, blindEval.finData);
+    if (combined.output === undefined) {
+      return { failures: [...failures, ...combined.failures] };
     }
+    const verifierHash = await this.deriveVerifierHash(privateVerifier, combined.output);
+    return { verifierHash, epochs: servers.map((server, i) => epochs[i]), failures: [...failures, ...combined.failures] };
+  }
+
+  /**
+   * Combine partial evaluations into the OPRF output under the shared key without trusting every server.
+   * Partials cannot be verified one by one, so with more than `threshold` of them `threshold`-subsets are
+   * combined until two give the same output: subsets of correct partials always agree, while a wrong partial
+   * changes the output of every subset it is in. The partials outside the agreeing subsets are then checked
+   * against them, and the servers of those that disagree are reported. Correcting f wrong partials thus needs
+   * `threshold` + f + 1 answers; with exactly `threshold` the only subset is used as is.
+   * @param {Array<Object>} partials - The partial evaluations as `[{ serverId, index, evaluation }]`, at least `threshold`.
+   * @param {Object} finData - The finalization data from `blindEvalOPRFInput`.
+   * @returns {Promise<Object>} The `output` in hex, unless no two subsets agree, and one `{ serverId, reason, error }`
+   * per server whose partial was found wrong, or per server if none could be trusted, in `failures`.
+   */
+  async combinePartialEvaluations(partials, finData) {
+    const { threshold } = this.oprfThreshold;
+    const combine = async subset => {
+      try {
+        return await this.finalizeOPRF(combineEvaluations(this.oprfClient.suite, subset), finData);
+      } catch (err) {
+        return undefined; // A malformed partial; subsets without it may still combine
+      }
+    };
+    const reject = (partial, message) => {
+      const error = new OPRFVerificationError(message, partial.serverId);
+      return { serverId: partial.serverId, reason: SRPClient.classifyFailure(error), error };
+    };
+
+    const outputs = new Map(); // The first subset giving each output
+    for (const subset of subsetsOf(partials, threshold)) {
+      const output = await combine(subset);
+      if (output === undefined) {
+        continue;
+      }
+      if (partials.length === threshold) {
+        return { output, failures: [] };
+      }
+      if (!outputs.has(output)) {
+        outputs.set(output, subset);
+        continue;
+      }
+      // Two subsets agree; check every other partial by swapping it into one of them
+      const trusted = new Set([...outputs.get(output), ...subset]);
+      const failures = [];
+      for (const partial of partials.filter(partial => !trusted.has(partial))) {
+        if (await combine([...subset.slice(1), partial]) !== output) {
+          failures.push(reject(partial, `Partial OPRF evaluation of server ${partial.serverId} does not match the others`));
+        }
+      }
+      return { output, failures };
+    }
+    const message = partials.length === threshold ? 'Partial OPRF evaluations could not be combined'
+      : 'Partial OPRF evaluations disagree and no two threshold subsets agree';
+    return { failures: partials.map(partial => reject(partial, message)) };
+  }
+
+  /**
+   * Register a user on every server: x = H(v'||v1'||...||vn') is derived from the OPRF
+   * outputs of all servers and the public verifier v = g^x % N is stored on each of them,
+   * or with per-server verifiers v_i = g^x_i % N with x_i from `deriveServerVerifierHash`.
+   * In threshold mode x = H(v'||v1') is derived from any `threshold` servers instead.
+   * Storing the record is not retried; on a partial failure the application decides whether
+   * to retry on the failed servers or delete the user from the others.
+   * @param {string} username - The username.
+   * @param {string} password - The password.
+   * @param {SRPTransport[]} servers - One transport per server.
+   * @param {Object} [options] - `meta` for the records, plus deadline and retry options overriding the constructor's.
+   * @returns {Promise<Object>} `ok`, one `{ serverId, record }` per registered server in `records`,
+   * and one `{ serverId, reason, error }` per failed server in `failures`.
+   * @throws {MalformedInputError} If the username is empty or too long.
+   */
+  async register(username, password, servers, { meta = {}, ...options } = {}) {
+    validate.assertUsername(username);
+    const requestOptions = { ...this.requestOptions, ...options };
+    const ordered = this.orderServers(servers);
+    const salt = this.generateSalt();
+    const derived = await this.deriveVerifierHashFromServers(ordered, salt, username, password, this.kdf, [], requestOptions);
+    if (derived.verifierHash === undefined) {
+      return { ok: false, records: [], failures: derived.failures };
+    }
+
+    // Record the KDF and verifier binding, and the epoch the verifier was evaluated under when it is known, in case a server rotated meanwhile
+    const { values, failures } = await this.settleServers(ordered, async (server, i) => {
+      const verifier = await this.derivePublicVerifierAsync(this.verifierHashFor(derived.verifierHash, this.verifierBinding, server.id, salt));
+      const protocolMeta = { kdf: this.kdf, verifierBinding: this.verifierBinding };
+      const recordMeta = derived.epochs[i] === undefined ? { ...meta, ...protocolMeta } : { ...meta, ...protocolMeta, keyEpoch: derived.epochs[i] };
+      return this.callServer(signal => server.register(username, salt, verifier, recordMeta, { signal }), requestOptions, false);
+    });
+    const records = [];
+    values.forEach((record, i) => {
+      if (record !== undefined) {
+        records.push({ serverId: ordered[i].id, record });
+      }
+    });
+    // In threshold mode servers that missed the OPRF may still have stored the record
+    const allFailures = [...derived.failures.filter(failure => !records.some(result => result.serverId === failure.serverId)), ...failures];
+    return { ok: allFailures.length === 0, records, failures: allFailures };
+  }
+
+  /**
+   * Log a user in on every server. Each server gets its own client ephemeral, so a login
+   * start that timed out can be retried with a fresh one; x is re-derived with the password KDF
+   * and each server's OPRF key epoch from the login start. Finishing a login is not retried because
+   * the server consumes the session. In threshold mode the login goes on with the servers that
+   * started it as long as at least `threshold` of them did, and is ok once `threshold` servers finished it.
+   * @param {string} username - The username.
+   * @param {string} password - The password.
+   * @param {SRPTransport[]} servers - One transport per server.
+   * @param {Object} [options] - Deadline and retry options overriding the constructor's.
+   * @returns {Promise<Object>} `ok`, one `{ serverId, sessionId, key }` per logged in server in `sessions`,
+   * and one `{ serverId, reason, error }` per failed server in `failures`.
+   * @throws {RecordError} If the servers disagree on the salt or the password KDF.
+   * @throws {MalformedInputError} If the username is empty or too long, or, with code KDF_REJECTED, the servers returned
+   * a KDF outside of `kdfLimits`, e.g. the legacy one as a downgrade.
+   */
+  async login(username, password, servers, options = {}) {
+    validate.assertUsername(username);
+    const requestOptions = { ...this.requestOptions, ...options };
+    const ordered = this.orderServers(servers);
+    const started = await this.settleServers(ordered, server => this.callServer(async signal => {
+      const clientEphemeral = await this.generateEphemeralAsync();
+      const start = await server.startLogin(username, clientEphemeral.public, { signal });
+      // Outputs of different suites never match, so fail with a clear error instead of an invalid proof
+      if (start.suite !== undefined && start.suite !== this.oprfClient.suite) {
+        throw new RecordError(`Server ${server.id} holds a record of OPRF suite ${start.suite}, the client uses ${this.oprfClient.suite}`, ERROR_CODES.RECORD_MISMATCH);
+      }
+      if ((start.group !== undefined && start.group !== this.params.groupName)
+        || (start.hash !== undefined && start.hash !== this.params.hashName)) {
+        throw new RecordError(`Server ${server.id} holds a record of SRP group ${start.group} and hash ${start.hash}, `
+          + `the client uses ${this.params.groupName} and ${this.params.hashName}`, ERROR_CODES.RECORD_MISMATCH);
+      }
+      return { ...start, clientEphemeral };
+    }, requestOptions, true));
+    // Every server is needed, or in threshold mode any `threshold` of them
+    const required = this.oprfThreshold ? this.oprfThreshold.threshold : ordered.length;
+    const live = ordered.filter((server, i) => started.values[i] !== undefined);
+    if (live.length < required) {
+      return { ok: false, sessions: [], failures: started.failures };
+    }
+    const starts = started.values.filter(start => start !== undefined);
+
+    // All servers store the salt and KDF chosen at registration; servers that predate the KDF hold legacy records
+    const { salt } = starts[0];
+    if (starts.some(start => start.salt !== salt)) {
+      throw new RecordError('Servers returned different salts', ERROR_CODES.SERVER_MISMATCH);
+    }
+    // The KDF comes from the servers, so bound it before a downgrade weakens the derivation or a huge cost exhausts the client
+    const kdf = assertKDFLimits(starts[0].kdf || LEGACY_KDF, this.kdfLimits);
+    if (starts.some(start => JSON.stringify(normalizeKDF(start.kdf || LEGACY_KDF)) !== JSON.stringify(kdf))) {
+      throw new RecordError('Servers returned different password KDFs', ERROR_CODES.SERVER_MISMATCH);
+    }
+
+    const epochs = starts.map(start => start.keyEpoch);
+    const derived = await this.deriveVerifierHashFromServers(live, salt, username, password, kdf, epochs, requestOptions);
+    if (derived.verifierHash === undefined) {
+      return { ok: false, sessions: [], failures: [...started.failures, ...derived.failures] };
+    }
+
+    const { values, failures } = await this.settleServers(live, async (server, i) => {
+      const { sessionId, B, clientEphemeral, verifierBinding = DEFAULT_VERIFIER_BINDING } = starts[i];
+      const verifierHash = this.verifierHashFor(derived.verifierHash, verifierBinding, server.id, salt);
+      const clientSession = await this.deriveSession(clientEphemeral.secret, B, salt, username, verifierHash);
+      const { proof } = await this.callServer(signal => server.finishLogin(sessionId, clientSession.proof, { signal }), requestOptions, false);
+      this.verifySession(clientEphemeral.public, clientSession, proof);
+      return { serverId: server.id, sessionId, key: clientSession.key };
+    });
+    const sessions = values.filter(session => session !== undefined);
+    return { ok: sessions.length >= required, sessions, failures: [...started.failures, ...derived.failures, ...failures] };
+  }
+
+  /**
+   * Change a user's password on every server. The user logs in with the current password, then a fresh salt
+   * is generated and x is derived from the new password with new OPRF evaluations on every server. Each server
+   * gets its public verifier together with an HMAC of the new record under the session key of its login, and
+   * accepts the change only within that session. The new record uses the client's KDF and verifier binding.
+   * Committing is not retried; on a partial failure the servers listed in `failures` still hold the old
+   * record and logins fail on the salt mismatch until the application brings them in line.
+   * @param {string} username - The username.
+   * @param {string} password - The current password.
+   * @param {string} newPassword - The new password.
+   * @param {SRPTransport[]} servers - One transport per server.
+   * @param {Object} [options] - Deadline and retry options overriding the constructor's.
+   * @returns {Promise<Object>} `ok` if every server accepted the change, one `{ serverId, record }` per server that
+   * accepted it in `records`, and one `{ serverId, reason, error }` per other server in `failures`.
+   * @throws {RecordError} If the servers disagree on the salt or the password KDF of the current record.
+   * @throws {MalformedInputError} If the username is empty or too long, or the current record's KDF is outside of `kdfLimits`.
+   */
+  async changePassword(username, password, newPassword, servers, options = {}) {
+    const requestOptions = { ...this.requestOptions, ...options };
+    const ordered = this.orderServers(servers);
+    const loggedIn = await this.login(username, password, ordered, options);
+    if (!loggedIn.ok) {
+      return { ok: false, records: [], failures: loggedIn.failures };
+    }
+    const sessions = new Map(loggedIn.sessions.map(session => [session.serverId, session]));
+
+    const salt = this.generateSalt();
+    const derived = await this.deriveVerifierHashFromServers(ordered, salt, username, newPassword, this.kdf, [], requestOptions);
+    if (derived.verifierHash === undefined) {
+      return { ok: false, records: [], failures: derived.failures };
+    }
+
+    // In threshold mode servers that did not log in keep the old password
+    const committing = ordered.filter(server => sessions.has(server.id));
+    const { values, failures } = await this.settleServers(committing, async server => {
+      const i = ordered.indexOf(server);
+      const verifier = await this.derivePublicVerifierAsync(this.verifierHashFor(derived.verifierHash, this.verifierBinding, server.id, salt));
+      const change = { salt, verifier, keyEpoch: derived.epochs[i], kdf: this.kdf, verifierBinding: this.verifierBinding };
+      const { sessionId, key } = sessions.get(server.id);
+      const mac = passwordChangeMAC(this.params.hashName, key, sessionId, username, change);
+      return this.callServer(signal => server.changePassword(sessionId, change, mac, { signal }), requestOptions, false);
+    });
+    const records = [];
+    values.forEach((record, i) => {
+      if (record !== undefined) {
+        records.push({ serverId: committing[i].id, record });
+      }
+    });
+    // One failure per server that kept the old password, the latest step it failed at first
+    const reported = new Set(records.map(result => result.serverId));
+    const allFailures = [...failures, ...derived.failures, ...loggedIn.failures].filter(failure => {
+      const first = !reported.has(failure.serverId);
+      reported.add(failure.serverId);
+      return first;
+    });
+    return { ok: records.length === ordered.length, records, failures: allFailures };
   }
 }
 
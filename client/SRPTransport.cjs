@@ -0,0 +1,128 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * SRPTransport describes how SRPClient reaches one SRPServer in the multi-server
+ * `register`, `login` and `changePassword` flows. Every server is identified by a stable, unique `id`;
+ * the OPRF outputs of the servers are combined in the order of their ids.
+ *
+ * Implementations forward each call to the server (in-process, over HTTP, ...) and
+ * reject with the server's error, keeping properties such as `retryAfterMs` and `puzzle`.
+ * Errors raised because the server could not be reached (connection refused, ...) have
+ * `unavailable` set to true, so that SRPClient retries them and reports them as 'unavailable'.
+ * Every call gets an AbortSignal as `signal` in its last argument, aborted when SRPClient's deadline
+ * for the call passes; implementations that send requests should cancel them then.
+ */
+class SRPTransport {
+  /**
+   * @param {string} id - The stable, unique identifier of the server.
+   */
+  constructor(id) {
+    this.id = String(id);
+  }
+
+  /**
+   * Ask the server to evaluate the OPRF on a blinded input (`SRPServer.performOPRFEval`).
+   * @param {string} username - The username.
+   * @param {Uint8Array} serializedEvalReq - The serialized evaluation request.
+   * @param {Object} [options] - `epoch`, `puzzleSolution` and `signal`.
+   * @returns {Promise<Uint8Array>} The serialized evaluation.
+   */
+  async evaluateOPRF(username, serializedEvalReq, options) {
+    throw new Error('SRPTransport.evaluateOPRF is not implemented');
+  }
+
+  /**
+   * Fetch the OPRF public key of a key epoch (`SRPServer.getPublicKey`).
+   * @param {number} [epoch] - The key epoch; the server's current epoch when omitted.
+   * @param {Object} [options] - `signal`.
+   * @returns {Promise<Object>} Contains `suite`, `mode`, `epoch` and `publicKey` (Uint8Array).
+   */
+  async getPublicKey(epoch, options) {
+    throw new Error('SRPTransport.getPublicKey is not implemented');
+  }
+
+  /**
+   * Register the user's salt and public verifier (`SRPServer.register`).
+   * @param {string} username - The username.
+   * @param {string} salt - The salt in hex.
+   * @param {string} verifier - The public verifier in hex.
+   * @param {Object} [meta] - Record metadata.
+   * @param {Object} [options] - `signal`.
+   * @returns {Promise<Object>} The stored record.
+   */
+  async register(username, salt, verifier, meta, options) {
+    throw new Error('SRPTransport.register is not implemented');
+  }
+
+  /**
+   * Start a login (`SRPServer.startLogin`).
+   * @param {string} username - The username.
+   * @param {string} clientPublicEphemeral - The client's public ephemeral (A) in hex.
+   * @param {Object} [options] - `signal`.
+   * @returns {Promise<Object>} Contains `sessionId`, `B`, `salt`, `suite`, `keyEpoch`, `group`, `hash`, `kdf` and `verifierBinding`.
+   */
+  async startLogin(username, clientPublicEphemeral, options) {
+    throw new Error('SRPTransport.startLogin is not implemented');
+  }
+
+  /**
+   * Finish a login (`SRPServer.finishLogin`). The session key never leaves the server.
+   * @param {string} sessionId - The login session id.
+   * @param {string} clientSessionProof - The client's session proof (M) in hex.
+   * @param {Object} [options] - `signal`.
+   * @returns {Promise<Object>} Contains the server's `proof` in hex.
+   */
+  async finishLogin(sessionId, clientSessionProof, options) {
+    throw new Error('SRPTransport.finishLogin is not implemented');
+  }
+
+  /**
+   * Replace the user's salt and public verifier after a login (`SRPServer.changePassword`).
+   * @param {string} sessionId - The session id of the finished login.
+   * @param {Object} change - `salt`, `verifier`, `keyEpoch`, `kdf` and `verifierBinding` of the new record.
+   * @param {string} mac - The HMAC of the change under the session key, in hex.
+   * @param {Object} [options] - `signal`.
+   * @returns {Promise<Object>} The updated record.
+   */
+  async changePassword(sessionId, change, mac, options) {
+    throw new Error('SRPTransport.changePassword is not implemented');
+  }
+}
+
+module.exports = SRPTransport;
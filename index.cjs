@@ -35,13 +35,60 @@
 const SRPServer = require('./server/SRPServer.cjs'); 
 const SRPClient = require('./client/SRPClient.cjs');
 const OPRFClient = require('./client/OPRFClient.cjs');
+const SRPTransport = require('./client/SRPTransport.cjs');
+const LocalTransport = require('./client/LocalTransport.cjs');
+const HTTPTransport = require('./client/HTTPTransport.cjs');
 const OPRFServer = require('./server/OPRFServer.cjs');
+const HTTPHandler = require('./server/HTTPHandler.cjs');
+const RateLimitStore = require('./server/RateLimitStore.cjs');
+const MemoryRateLimitStore = require('./server/MemoryRateLimitStore.cjs');
+const FileRateLimitStore = require('./server/FileRateLimitStore.cjs');
+const runRateLimitStoreConformance = require('./server/RateLimitStoreConformance.cjs');
+const RateLimitPolicies = require('./server/RateLimitPolicies.cjs');
+const ClientPuzzle = require('./server/ClientPuzzle.cjs');
+const UserStore = require('./server/UserStore.cjs');
+const MemoryUserStore = require('./server/MemoryUserStore.cjs');
+const FileUserStore = require('./server/FileUserStore.cjs');
+const LoginSessionManager = require('./server/LoginSessionManager.cjs');
+const keystore = require('./util/keystore.cjs');
+const wire = require('./util/wire.cjs');
+const { Params, createParams } = require('./util/params.cjs');
+const kdf = require('./util/kdf.cjs');
+const threshold = require('./util/threshold.cjs');
+const validate = require('./util/validate.cjs');
+const passwordChange = require('./util/password-change.cjs');
+const { ComputePool } = require('./util/compute-pool.cjs');
+const errors = require('./util/errors.cjs');
 
 module.exports = {
     SRPServer,
     SRPClient,
     OPRFClient,
-    OPRFServer
+    SRPTransport,
+    LocalTransport,
+    HTTPTransport,
+    OPRFServer,
+    HTTPHandler,
+    RateLimitStore,
+    MemoryRateLimitStore,
+    FileRateLimitStore,
+    runRateLimitStoreConformance,
+    ...RateLimitPolicies,
+    ClientPuzzle,
+    UserStore,
+    MemoryUserStore,
+    FileUserStore,
+    LoginSessionManager,
+    keystore,
+    wire,
+    Params,
+    createParams,
+    kdf,
+    threshold,
+    validate,
+    passwordChange,
+    ComputePool,
+    ...errors
 }
 
 
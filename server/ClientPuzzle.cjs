@@ -0,0 +1,175 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const crypto = require('crypto');
+const hashcash = require('../util/hashcash.cjs');
+
+/**
+ * Proof-of-work gate in front of OPRF evaluation, mitigating victim lockout.
+ *
+ * The OPRF rate limit is keyed by username, so anyone can exhaust a victim's budget.
+ * Once a username has received `requireAfter` requests within `windowMs`, each further
+ * request must carry a solved hashcash puzzle before it is evaluated or counted against
+ * the rate limit. The difficulty grows by one bit each time the pressure doubles, up to
+ * `maxDifficulty`, so flooding a username gets expensive while a user still gets through.
+ *
+ * Puzzles are stateless: they are authenticated with an HMAC under `secret` and bound to the
+ * username and an expiry. Spent challenges are remembered in the rate limit store until they
+ * expire, so every puzzle is single-use. Replicas must share the secret and the store.
+ */
+class ClientPuzzle {
+  /**
+   * @param {Object} [options]
+   * @param {Uint8Array|string} [options.secret] - HMAC key for issued puzzles (random per process by default).
+   * @param {number} [options.requireAfter] - Requests per window before puzzles are required.
+   * @param {number} [options.windowMs] - Window over which the pressure on a username is measured.
+   * @param {number} [options.baseDifficulty] - Leading zero bits required at `requireAfter` requests.
+   * @param {number} [options.maxDifficulty] - Upper bound of the difficulty.
+   * @param {number} [options.ttlMs] - How long an issued puzzle stays valid.
+   */
+  constructor({
+    secret = crypto.randomBytes(32),
+    requireAfter = 5,
+    windowMs = 60 * 1000,
+    baseDifficulty = 12,
+    maxDifficulty = 20,
+    ttlMs = 2 * 60 * 1000
+  } = {}) {
+    this.secret = secret;
+    this.requireAfter = requireAfter;
+    this.windowMs = windowMs;
+    this.baseDifficulty = baseDifficulty;
+    this.maxDifficulty = maxDifficulty;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Difficulty required at the given pressure, 0 when no puzzle is required.
+   * @param {number} pressure - Requests for the username in the current window.
+   * @returns {number} The required number of leading zero bits.
+   */
+  difficultyFor(pressure) {
+    if (pressure <= this.requireAfter) {
+      return 0;
+    }
+    const doublings = Math.floor(Math.log2(pressure / this.requireAfter));
+    return Math.min(this.maxDifficulty, this.baseDifficulty + doublings);
+  }
+
+  /**
+   * Record a request for the username and return the difficulty it must meet.
+   * @param {RateLimitStore} store - The store measuring the pressure.
+   * @param {string} username - The requested username.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {Promise<number>} The required difficulty, 0 when no puzzle is required.
+   */
+  async recordRequest(store, username, now) {
+    const requests = await store.hit(`puzzle-pressure:${username}`, now, this.windowMs);
+    return this.difficultyFor(requests.length);
+  }
+
+  /**
+   * Difficulty the next request for the username must meet, without recording a request.
+   * @param {RateLimitStore} store - The store measuring the pressure.
+   * @param {string} username - The requested username.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {Promise<number>} The required difficulty, 0 when no puzzle is required.
+   */
+  async currentDifficulty(store, username, now) {
+    const requests = await store.peek(`puzzle-pressure:${username}`, now, this.windowMs);
+    return this.difficultyFor(requests.length + 1);
+  }
+
+  /**
+   * Authentication tag of a puzzle.
+   * @param {string} username - The username the puzzle is bound to.
+   * @param {Object} puzzle - The puzzle fields (challenge, difficulty, expiresAt).
+   * @returns {string} The HMAC tag in hex.
+   */
+  tag(username, { challenge, difficulty, expiresAt }) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${challenge}:${difficulty}:${expiresAt}:${username}`)
+      .digest('hex');
+  }
+
+  /**
+   * Issue a puzzle for the username.
+   * @param {string} username - The username the puzzle is bound to.
+   * @param {number} difficulty - The required number of leading zero bits.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {Object} The puzzle: `challenge`, `difficulty`, `expiresAt` and `tag`.
+   */
+  issue(username, difficulty, now) {
+    const puzzle = { challenge: crypto.randomBytes(16).toString('hex'), difficulty, expiresAt: now + this.ttlMs };
+    return { ...puzzle, tag: this.tag(username, puzzle) };
+  }
+
+  /**
+   * Verify a solved puzzle and mark it as spent.
+   * @param {RateLimitStore} store - The store remembering spent puzzles.
+   * @param {string} username - The requested username.
+   * @param {Object} solution - The puzzle as issued, plus the `nonce` found by the client.
+   * @param {number} difficulty - The difficulty the request must meet.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {Promise<boolean>} True if the solution is authentic, unexpired, hard enough, correct and unspent.
+   */
+  async verify(store, username, solution, difficulty, now) {
+    if (!solution || typeof solution.challenge !== 'string' || typeof solution.tag !== 'string') {
+      return false;
+    }
+    const { challenge, expiresAt, nonce, tag } = solution;
+    const expectedTag = Buffer.from(this.tag(username, solution), 'hex');
+    const actualTag = Buffer.from(tag, 'hex');
+    if (actualTag.length !== expectedTag.length || !crypto.timingSafeEqual(actualTag, expectedTag)) {
+      return false;
+    }
+    if (now > expiresAt || solution.difficulty < difficulty) {
+      return false;
+    }
+    if (!hashcash.verifySolution(challenge, username, nonce, solution.difficulty)) {
+      return false;
+    }
+
+    // Single use: only the first request presenting the challenge is accepted
+    const uses = await store.hit(`puzzle-spent:${challenge}`, now, this.ttlMs);
+    return uses.length === 1;
+  }
+}
+
+module.exports = ClientPuzzle;
@@ -0,0 +1,162 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const { readJSONFile, writeJSONFileAtomic } = require('../util/json-file.cjs');
+const { delay } = require('../util/retry.cjs');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore.cjs');
+
+/**
+ * File-backed RateLimitStore, so rate limits survive a restart of a single server process.
+ *
+ * The hit logs are held in a bounded MemoryRateLimitStore, where operations apply in call order,
+ * which keeps `hit` atomic within the process; the file must not be shared between processes.
+ * Changes are written atomically as JSON to `filePath` in batches: a write takes every change made
+ * until it starts, at most one write runs at a time, and `flushDelayMs` lets a write wait to gather
+ * more changes. `hit` and `reset` resolve once a write holding their change has finished.
+ * Every write still rewrites the whole file, bounded by `maxKeys`, so the store suits a single process
+ * with moderate traffic; busy or replicated servers should use a shared store such as Redis.
+ */
+class FileRateLimitStore extends MemoryRateLimitStore {
+  /**
+   * @param {string} filePath - The JSON file holding the hit logs.
+   * @param {Object} [options] - Bounds passed to MemoryRateLimitStore (maxKeys, maxHitsPerKey, idleTtlMs).
+   * @param {number} [options.flushDelayMs=0] - How long a write waits for further changes before it starts.
+   */
+  constructor(filePath, { flushDelayMs = 0, ...options } = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.flushDelayMs = flushDelayMs;
+    this.ready = this.load();
+    this.ready.catch(() => {}); // Reported by every operation instead of as an unhandled rejection
+    this.writing = Promise.resolve(); // The last scheduled write, settled or not
+    this.pendingWrite = null; // The scheduled write that has not started yet, if any
+  }
+
+  /**
+   * Load the hit logs from disk, starting empty when the file does not exist yet.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const contents = await readJSONFile(this.filePath);
+    if (contents === null) {
+      return;
+    }
+
+    const { version, entries, pinned = [] } = contents; // Files written before pinning have no pinned keys
+    if (version !== 1) {
+      throw new Error('Unsupported rate limit file version');
+    }
+    for (const [key, entry] of entries) {
+      this.entries.set(key, entry);
+    }
+    for (const [key, entry] of pinned) {
+      this.pinned.set(key, entry);
+    }
+  }
+
+  /**
+   * Write the hit logs to disk atomically.
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    await writeJSONFileAtomic(this.filePath, { version: 1, entries: Array.from(this.entries), pinned: Array.from(this.pinned) });
+  }
+
+  /**
+   * Schedule a write of the hit logs, or join the scheduled one if it has not started yet.
+   * @returns {Promise<void>} Settles once a write holding every change made so far has finished.
+   */
+  scheduleWrite() {
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.writing.then(() => delay(this.flushDelayMs)).then(() => {
+        this.pendingWrite = null; // Changes from now on go into the next write
+        return this.persist();
+      });
+      this.writing = this.pendingWrite.catch(() => {}); // A failed write must not block later ones
+    }
+    return this.pendingWrite;
+  }
+
+  /**
+   * Run an operation after every previously called one, then wait until its result is on disk.
+   * @param {Function} operation - The synchronous operation on the in-memory logs.
+   * @returns {Promise<*>} The result of the operation.
+   */
+  enqueue(operation) {
+    // Callbacks on one promise run in registration order, so operations apply in call order
+    return this.ready.then(() => { // Never overwrite a file that could not be loaded
+      const value = operation();
+      return this.scheduleWrite().then(() => value);
+    });
+  }
+
+  /**
+   * Record a hit for the key and return the hits retained in the window.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The time of the hit in milliseconds.
+   * @param {number} [windowMs] - Hits older than `now - windowMs` are discarded.
+   * @param {Object} [options]
+   * @param {boolean} [options.pinned] - Keep the key until it is reset, exempt from eviction.
+   * @returns {Promise<number[]>} The retained hit timestamps in ascending order.
+   */
+  async hit(key, now, windowMs, options) {
+    return this.enqueue(() => this.hitSync(key, now, windowMs, options));
+  }
+
+  /**
+   * Return the hits retained in the window without recording a new one.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The current time in milliseconds.
+   * @param {number} [windowMs] - Hits older than `now - windowMs` are not returned.
+   * @returns {Promise<number[]>} The retained hit timestamps in ascending order.
+   */
+  async peek(key, now, windowMs) {
+    return this.ready.then(() => super.peek(key, now, windowMs));
+  }
+
+  /**
+   * Remove every hit recorded for the key.
+   * @param {string} key - The rate limit key.
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    return this.enqueue(() => this.resetSync(key));
+  }
+}
+
+module.exports = FileRateLimitStore;
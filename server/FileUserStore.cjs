@@ -0,0 +1,141 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const { readJSONFile, writeJSONFileAtomic } = require('../util/json-file.cjs');
+const MemoryUserStore = require('./MemoryUserStore.cjs');
+
+/**
+ * JSON-file UserStore for a single server process.
+ *
+ * Records are held in memory and written atomically as JSON to `filePath` after every change.
+ * A change whose write fails is rolled back, so the memory never holds records the file lacks.
+ * Operations are serialized through a queue; the file must not be shared between processes.
+ */
+class FileUserStore extends MemoryUserStore {
+  /**
+   * @param {string} filePath - The JSON file holding the user records.
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.ready = this.load();
+    this.ready.catch(() => {}); // Reported by every operation instead of as an unhandled rejection
+    this.queue = Promise.resolve(); // Every operation is chained on this promise
+  }
+
+  /**
+   * Load the records from disk, starting empty when the file does not exist yet.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const contents = await readJSONFile(this.filePath);
+    if (contents === null) {
+      return;
+    }
+    if (contents.version !== 1) {
+      throw new Error('Unsupported user store file version');
+    }
+    for (const record of contents.records) {
+      this.records.set(record.username, record);
+    }
+  }
+
+  /**
+   * Run an operation after every previously queued one, persisting the records if it changed them.
+   * @param {Function} operation - The synchronous operation on the in-memory records, returning whether it changed them.
+   * @returns {Promise<boolean>} The result of the operation.
+   */
+  enqueue(operation) {
+    const result = this.queue.then(async () => {
+      await this.ready; // Never overwrite a file that could not be loaded
+      const committed = new Map(this.records); // Stored records are never mutated, so a shallow copy restores them
+      const changed = operation();
+      if (changed) {
+        try {
+          await writeJSONFileAtomic(this.filePath, { version: 1, records: Array.from(this.records.values()) });
+        } catch (err) {
+          this.records = committed;
+          throw err;
+        }
+      }
+      return changed;
+    });
+    this.queue = result.catch(() => {}); // A failed write must not block later operations
+    return result;
+  }
+
+  /**
+   * Look up the record of a username.
+   * @param {string} username - The username.
+   * @returns {Promise<Object|null>} The record, or null if the username is not registered.
+   */
+  async get(username) {
+    await this.queue;
+    await this.ready;
+    return super.get(username);
+  }
+
+  /**
+   * Store a new record unless the username is already registered.
+   * @param {Object} record - The record to store.
+   * @returns {Promise<boolean>} True if the record was stored.
+   */
+  async create(record) {
+    return this.enqueue(() => this.createSync(record));
+  }
+
+  /**
+   * Replace the record of a registered username.
+   * @param {Object} record - The new record.
+   * @returns {Promise<boolean>} True if a record was replaced.
+   */
+  async update(record) {
+    return this.enqueue(() => this.updateSync(record));
+  }
+
+  /**
+   * Remove the record of a username.
+   * @param {string} username - The username.
+   * @returns {Promise<boolean>} True if a record was removed.
+   */
+  async delete(username) {
+    return this.enqueue(() => this.records.delete(username));
+  }
+}
+
+module.exports = FileUserStore;
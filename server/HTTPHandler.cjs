@@ -0,0 +1,302 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const { WIRE_CONTENT_TYPE, WireFormatError, encodeMessage, decodeMessage, fromJSON, toJSON } = require('../util/wire.cjs');
+const { ERROR_CODES, SRPError, MalformedInputError } = require('../util/errors.cjs');
+
+// Default limit of a request body in bytes
+const DEFAULT_MAX_BODY_BYTES = 16 * 1024;
+
+// HTTP status codes for the error codes of SRPServer, other coded errors are answered with 400
+// and errors without a code, i.e. faults of the server, with 500
+const ERROR_STATUS = {
+  [ERROR_CODES.USER_EXISTS]: 409,
+  [ERROR_CODES.USER_NOT_FOUND]: 404,
+  [ERROR_CODES.INVALID_CLIENT_PROOF]: 401,
+  [ERROR_CODES.INVALID_CHANGE_MAC]: 401,
+  [ERROR_CODES.SESSION_NOT_FOUND]: 404,
+  [ERROR_CODES.SESSION_EXPIRED]: 410,
+  [ERROR_CODES.EPHEMERAL_REUSED]: 409,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.PUZZLE_REQUIRED]: 429,
+  [ERROR_CODES.BACKPRESSURE]: 503
+};
+
+/**
+ * Error answered to the client with the given HTTP status.
+ */
+class HTTPError extends SRPError {
+  constructor(status, message, code) {
+    super(message, code);
+    this.status = status;
+  }
+}
+
+/**
+ * HTTPHandler exposes an SRPServer over HTTP, for Node's `http` module or any framework
+ * passing Node request and response objects:
+ *
+ * - POST /oprf/evaluate  { username, request (base64url), epoch?, puzzleSolution? } -> { evaluation (base64url) }
+ * - POST /oprf/puzzle    { username } -> { puzzle }
+ * - POST /oprf/public-key { epoch? } -> { suite, mode, epoch, publicKey (base64url), realm? }
+ * - POST /register       { username, salt (hex), verifier (hex), meta? } -> { record }
+ * - POST /login/start    { username, A (hex) } -> { sessionId, B (hex), salt (hex), keyEpoch, suite, group, hash, kdf, verifierBinding }
+ * - POST /login/finish   { sessionId, M (hex) } -> { proof (hex) }
+ * - POST /password/change { sessionId, salt (hex), verifier (hex), mac (hex), keyEpoch?, kdf?, verifierBinding? } -> { record }
+ *
+ * Bodies are JSON, or binary messages of util/wire.cjs when sent as `application/vnd.oblivious-srp`;
+ * the response uses the format of the request. Errors are answered as
+ * { error: { code, message, retryAfterMs?, puzzle?, supportedVersions? } } or a binary error message;
+ * rate limited requests get status 429 and a Retry-After header. Errors other than SRPErrors are internal:
+ * they are answered with 500 and the fixed message 'Internal error', and passed to `onError`.
+ * The session key never leaves the server.
+ */
+class HTTPHandler {
+  /**
+   * @param {SRPServer} server - The server handling the requests.
+   * @param {Object} [options]
+   * @param {number} [options.maxBodyBytes=16384] - Largest accepted request body.
+   * @param {string} [options.basePath=''] - Prefix of all routes, e.g. '/srp'.
+   * @param {Function} [options.onError] - Called with every internal error, e.g. to log it; its details never reach the client.
+   */
+  constructor(server, { maxBodyBytes = DEFAULT_MAX_BODY_BYTES, basePath = '', onError } = {}) {
+    this.server = server;
+    this.onError = onError;
+    this.maxBodyBytes = maxBodyBytes;
+    this.basePath = basePath.replace(/\/+$/, '');
+    this.routes = {
+      '/oprf/evaluate': { request: 'oprfEvaluateRequest', response: 'oprfEvaluateResponse', handle: fields => this.evaluate(fields) },
+      '/oprf/puzzle': { request: 'puzzleRequest', response: 'puzzleResponse', handle: fields => this.puzzle(fields) },
+      '/oprf/public-key': { request: 'publicKeyRequest', response: 'publicKeyResponse', handle: fields => this.publicKey(fields) },
+      '/register': { request: 'registerRequest', response: 'registerResponse', handle: fields => this.register(fields) },
+      '/login/start': { request: 'loginStartRequest', response: 'loginStartResponse', handle: fields => this.startLogin(fields) },
+      '/login/finish': { request: 'loginFinishRequest', response: 'loginFinishResponse', handle: fields => this.finishLogin(fields) },
+      '/password/change': { request: 'passwordChangeRequest', response: 'passwordChangeResponse', handle: fields => this.changePassword(fields) }
+    };
+    this.handle = this.handle.bind(this);
+  }
+
+  /**
+   * The suite and group of the server, sent in the header of binary messages.
+   * @returns {Object} `suite` and `group` names.
+   */
+  get wireContext() {
+    return { suite: this.server.oprfSuite, group: this.server.params.groupName };
+  }
+
+  async evaluate({ username, request, epoch, puzzleSolution }) {
+    return { evaluation: await this.server.performOPRFEval(username, request, { epoch, puzzleSolution }) };
+  }
+
+  async puzzle({ username }) {
+    return { puzzle: await this.server.getPuzzle(username) };
+  }
+
+  async publicKey({ epoch }) {
+    const { realm, ...published } = this.server.getPublicKey(epoch);
+    return { ...published, realm: realm || undefined };
+  }
+
+  async register({ username, salt, verifier, meta }) {
+    return { record: await this.server.register(username, salt, verifier, meta) };
+  }
+
+  async startLogin({ username, A }) {
+    const { sessionId, B, salt, suite, keyEpoch, group, hash, kdf, verifierBinding } = await this.server.startLogin(username, A);
+    return { sessionId, B, salt, keyEpoch, suite, group, hash, kdf, verifierBinding };
+  }
+
+  async finishLogin({ sessionId, M }) {
+    const { proof } = await this.server.finishLogin(sessionId, M);
+    return { proof };
+  }
+
+  async changePassword({ sessionId, mac, ...change }) {
+    return { record: await this.server.changePassword(sessionId, change, mac) };
+  }
+
+  /**
+   * Read the request body, enforcing the size limit.
+   * @param {http.IncomingMessage} req - The request.
+   * @returns {Promise<Buffer>} The body.
+   * @throws {HTTPError} 413 if the body is too large.
+   */
+  async readBody(req) {
+    if (Number(req.headers['content-length']) > this.maxBodyBytes) {
+      throw new HTTPError(413, 'Request body too large', ERROR_CODES.PAYLOAD_TOO_LARGE);
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        throw new HTTPError(413, 'Request body too large', ERROR_CODES.PAYLOAD_TOO_LARGE);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Decode the request body into the fields of the route's request message.
+   * @param {Buffer} body - The request body.
+   * @param {boolean} binary - Whether the body is a binary message.
+   * @param {string} type - The expected message type.
+   * @returns {Object} The field values.
+   * @throws {MalformedInputError} If the body is malformed or for another suite or group.
+   */
+  decodeRequest(body, binary, type) {
+    if (binary) {
+      const { suite, group, fields } = decodeMessage(body, type);
+      if (suite !== this.wireContext.suite || group !== this.wireContext.group) {
+        throw new MalformedInputError(`Server expects suite ${this.wireContext.suite} and group ${this.wireContext.group}`);
+      }
+      return fields;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(body.toString('utf8'));
+    } catch (err) {
+      throw new MalformedInputError('Malformed JSON body');
+    }
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new MalformedInputError('Expected a JSON object');
+    }
+    return fromJSON(type, parsed);
+  }
+
+  /**
+   * Write a response.
+   * @param {http.ServerResponse} res - The response.
+   * @param {number} status - The HTTP status.
+   * @param {string} type - The message type.
+   * @param {Object} fields - The field values.
+   * @param {boolean} binary - Whether to answer with a binary message.
+   * @param {Object} [headers] - Additional headers.
+   */
+  send(res, status, type, fields, binary, headers = {}) {
+    const body = binary
+      ? Buffer.from(encodeMessage(type, fields, this.wireContext))
+      : JSON.stringify(type === 'error' ? { error: { code: fields.code, message: fields.message, ...fields.details } } : toJSON(type, fields));
+    res.writeHead(status, {
+      'Content-Type': binary ? WIRE_CONTENT_TYPE : 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-store',
+      ...headers
+    });
+    res.end(body);
+  }
+
+  /**
+   * Answer an error as an error message.
+   * @param {http.ServerResponse} res - The response.
+   * @param {Error} err - The error.
+   * @param {boolean} binary - Whether to answer with a binary message.
+   */
+  sendError(res, err, binary) {
+    const details = {};
+    const headers = {};
+    // Only coded errors describe the request; anything else is a fault of the server and keeps its message
+    if (!(err instanceof SRPError)) {
+      if (typeof this.onError === 'function') {
+        this.onError(err);
+      }
+      return this.send(res, 500, 'error', { message: 'Internal error' }, binary);
+    }
+    let status = err instanceof HTTPError ? err.status : ERROR_STATUS[err.code] || 400;
+
+    if (err.retryAfterMs !== undefined) {
+      status = 429;
+      // A manual lock has no retry time
+      details.retryAfterMs = Number.isFinite(err.retryAfterMs) ? err.retryAfterMs : null;
+      if (details.retryAfterMs !== null) {
+        headers['Retry-After'] = String(Math.ceil(details.retryAfterMs / 1000));
+      }
+    }
+    if (err.puzzle) {
+      details.puzzle = err.puzzle;
+    }
+    if (err.supportedVersions) {
+      details.supportedVersions = err.supportedVersions;
+    }
+    if (status === 413) {
+      headers.Connection = 'close';
+    }
+    this.send(res, status, 'error', {
+      message: err.message || 'Internal error',
+      details: Object.keys(details).length > 0 ? details : undefined,
+      code: err.code
+    }, binary, headers);
+  }
+
+  /**
+   * Handle a request. Requests outside of the routes are passed to `next` if given,
+   * and answered with 404 otherwise.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @param {Function} [next] - Called for requests this handler does not serve.
+   */
+  async handle(req, res, next) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const route = pathname.startsWith(this.basePath) ? this.routes[pathname.slice(this.basePath.length)] : undefined;
+    const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const binary = contentType === WIRE_CONTENT_TYPE;
+    if (!route) {
+      if (typeof next === 'function') {
+        return next();
+      }
+      return this.sendError(res, new HTTPError(404, 'Not found', ERROR_CODES.NOT_FOUND), binary);
+    }
+
+    try {
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        throw new HTTPError(405, 'Method not allowed', ERROR_CODES.METHOD_NOT_ALLOWED);
+      }
+      if (!binary && contentType !== 'application/json') {
+        throw new HTTPError(415, `Expected an application/json or ${WIRE_CONTENT_TYPE} body`, ERROR_CODES.UNSUPPORTED_MEDIA_TYPE);
+      }
+      const fields = this.decodeRequest(await this.readBody(req), binary, route.request);
+      this.send(res, 200, route.response, await route.handle(fields), binary);
+    } catch (err) {
+      this.sendError(res, err, binary);
+    }
+  }
+}
+
+module.exports = HTTPHandler;
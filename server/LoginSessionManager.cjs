@@ -0,0 +1,197 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const crypto = require('crypto');
+const { ERROR_CODES, BackpressureError, InvalidEphemeralError, LoginSessionError } = require('../util/errors.cjs');
+
+/**
+ * Keeps the server side of pending SRP logins, so the secret ephemeral (b) never leaves the server.
+ *
+ * Each login started with `create` is stored under an opaque random session id and expires after
+ * `ttlMs`. `consume` hands a session out exactly once. Client public ephemerals (A) are remembered
+ * for `replayWindowMs`, and a login reusing one is rejected. A finished login is kept as an authenticated
+ * session with its session key for `authenticatedTtlMs`, to authorize one password change.
+ *
+ * All maps are bounded, and expired entries are swept on every call. Anyone can start logins, so a flood
+ * must not push out the logins of others: once `maxSessions` logins are pending, new ones are rejected until
+ * some finish or expire. Used ephemerals are kept in their own map of up to `maxReplayRecords`, beyond which
+ * the oldest are forgotten, so a flood can only reopen ephemerals used long ago. The map holds a SHA-256 digest
+ * of each ephemeral, about 110 bytes per entry whatever the group size, so the default million takes about 110 MB.
+ * Authenticated sessions only come from successful logins; the oldest are dropped beyond `maxSessions`.
+ */
+class LoginSessionManager {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - How long a started login may be finished.
+   * @param {number} [options.replayWindowMs] - How long a used client public ephemeral is remembered.
+   * @param {number} [options.authenticatedTtlMs] - How long a finished login may authorize a password change.
+   * @param {number} [options.maxSessions] - The maximum number of pending logins and of authenticated sessions.
+   * @param {number} [options.maxReplayRecords] - The maximum number of remembered ephemerals.
+   */
+  constructor({ ttlMs = 60 * 1000, replayWindowMs = 24 * 60 * 60 * 1000, authenticatedTtlMs = 5 * 60 * 1000, maxSessions = 100000, maxReplayRecords = 1000000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.replayWindowMs = replayWindowMs;
+    this.authenticatedTtlMs = authenticatedTtlMs;
+    this.maxSessions = maxSessions;
+    this.maxReplayRecords = maxReplayRecords;
+    this.sessions = new Map(); // sessionId -> { session, expiresAt }, in creation order
+    this.authenticated = new Map(); // sessionId -> { session, expiresAt }, in authentication order
+    this.usedEphemerals = new Map(); // digest of the normalized A -> expiresAt, in first-use order
+  }
+
+  /**
+   * Normalize a hex encoded ephemeral, so that leading zeros and letter case cannot disguise a reuse.
+   * @param {string} ephemeral - The public ephemeral in hex.
+   * @returns {string} The normalized hex.
+   */
+  static normalizeEphemeral(ephemeral) {
+    return String(ephemeral).toLowerCase().replace(/^0+/, '');
+  }
+
+  /**
+   * Digest a hex encoded ephemeral to the fixed-size key under which its use is remembered.
+   * @param {string} ephemeral - The public ephemeral in hex.
+   * @returns {string} The base64 SHA-256 digest of the normalized hex.
+   */
+  static ephemeralDigest(ephemeral) {
+    return crypto.createHash('sha256').update(LoginSessionManager.normalizeEphemeral(ephemeral)).digest('base64');
+  }
+
+  /**
+   * Drop expired entries, then the oldest ones while a map holds more than `maxSize`.
+   * @param {Map} map - Any of the maps, with values carrying `expiresAt` or being the expiry itself.
+   * @param {number} now - The current time in milliseconds.
+   * @param {number} [maxSize=Infinity] - The number of entries to keep at most.
+   */
+  prune(map, now, maxSize = Infinity) {
+    for (const [key, value] of map) {
+      const expiresAt = typeof value === 'number' ? value : value.expiresAt;
+      if (expiresAt > now && map.size <= maxSize) {
+        break; // Entries are in insertion order and share one lifetime, so the rest is newer
+      }
+      map.delete(key);
+    }
+  }
+
+  /**
+   * Check that a client public ephemeral (A) was not used within the replay window, without claiming it.
+   * @param {string} clientPublicEphemeral - The client's public ephemeral (A) in hex.
+   * @param {number} now - The current time in milliseconds.
+   * @throws {InvalidEphemeralError} If the ephemeral was already used within the replay window.
+   */
+  assertEphemeralUnused(clientPublicEphemeral, now) {
+    this.prune(this.usedEphemerals, now, this.maxReplayRecords);
+    if (this.usedEphemerals.has(LoginSessionManager.ephemeralDigest(clientPublicEphemeral))) {
+      throw new InvalidEphemeralError('Client public ephemeral was already used', ERROR_CODES.EPHEMERAL_REUSED);
+    }
+  }
+
+  /**
+   * Store a pending login and claim its client public ephemeral (A) in one step, so an ephemeral is only
+   * used up by a login that was actually started.
+   * @param {Object} session - The server side state of the login, including `clientPublicEphemeral` and the secret ephemeral.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {string} The opaque session id.
+   * @throws {BackpressureError} If `maxSessions` logins are pending.
+   * @throws {InvalidEphemeralError} If the ephemeral was already used within the replay window.
+   */
+  create(session, now) {
+    this.prune(this.sessions, now);
+    if (this.sessions.size >= this.maxSessions) {
+      throw new BackpressureError(this.maxSessions, 'Too many pending logins');
+    }
+    this.assertEphemeralUnused(session.clientPublicEphemeral, now);
+    this.usedEphemerals.set(LoginSessionManager.ephemeralDigest(session.clientPublicEphemeral), now + this.replayWindowMs);
+    this.prune(this.usedEphemerals, now, this.maxReplayRecords);
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(sessionId, { session, expiresAt: now + this.ttlMs });
+    return sessionId;
+  }
+
+  /**
+   * Take a pending login out of the manager, so it can be finished only once.
+   * @param {string} sessionId - The session id returned by `create`.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {Object} The server side state of the login.
+   * @throws {LoginSessionError} If the session is unknown, was already finished or has expired.
+   */
+  consume(sessionId, now) {
+    const entry = this.sessions.get(sessionId);
+    this.sessions.delete(sessionId);
+    if (!entry) {
+      throw new LoginSessionError('Unknown or already finished login session', ERROR_CODES.SESSION_NOT_FOUND);
+    }
+    if (entry.expiresAt <= now) {
+      throw new LoginSessionError('Login session has expired', ERROR_CODES.SESSION_EXPIRED);
+    }
+    return entry.session;
+  }
+
+  /**
+   * Keep a finished login under its session id, e.g. `{ username, key }`, to authorize a password change.
+   * @param {string} sessionId - The session id of the finished login.
+   * @param {Object} session - The authenticated state, including the session key.
+   * @param {number} now - The current time in milliseconds.
+   */
+  authenticate(sessionId, session, now) {
+    this.authenticated.set(sessionId, { session, expiresAt: now + this.authenticatedTtlMs });
+    this.prune(this.authenticated, now, this.maxSessions);
+  }
+
+  /**
+   * Take an authenticated session out of the manager, so it can authorize only one change.
+   * @param {string} sessionId - The session id of the finished login.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {Object} The authenticated state.
+   * @throws {LoginSessionError} If the session is unknown, was already used or has expired.
+   */
+  consumeAuthenticated(sessionId, now) {
+    const entry = this.authenticated.get(sessionId);
+    this.authenticated.delete(sessionId);
+    if (!entry) {
+      throw new LoginSessionError('Unknown or already used authenticated session', ERROR_CODES.SESSION_NOT_FOUND);
+    }
+    if (entry.expiresAt <= now) {
+      throw new LoginSessionError('Authenticated session has expired', ERROR_CODES.SESSION_EXPIRED);
+    }
+    return entry.session;
+  }
+}
+
+module.exports = LoginSessionManager;
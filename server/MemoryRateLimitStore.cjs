@@ -0,0 +1,166 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const RateLimitStore = require('./RateLimitStore.cjs');
+
+/**
+ * Bounded in-memory RateLimitStore for a single server process.
+ *
+ * Keys are kept in least-recently-used order: keys idle for longer than `idleTtlMs` are evicted,
+ * and the least recently used keys are evicted once more than `maxKeys` are tracked.
+ * Each key retains at most `maxHitsPerKey` hits, dropping the oldest ones first.
+ * Pinned keys are held apart and never evicted, so they are not bounded by `maxKeys`
+ * and stay in memory until they are reset.
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxKeys] - The maximum number of tracked keys.
+   * @param {number} [options.maxHitsPerKey] - The maximum number of hits retained per key.
+   * @param {number} [options.idleTtlMs] - Keys without hits for this long are evicted.
+   */
+  constructor({ maxKeys = 100000, maxHitsPerKey = 1000, idleTtlMs = 24 * 60 * 60 * 1000 } = {}) {
+    super();
+    this.maxKeys = maxKeys;
+    this.maxHitsPerKey = maxHitsPerKey;
+    this.idleTtlMs = idleTtlMs;
+    this.entries = new Map(); // key -> { hits: number[], lastSeen: number }, in least-recently-used order
+    this.pinned = new Map(); // key -> { hits: number[], lastSeen: number }, never evicted
+  }
+
+  /**
+   * Record a hit for the key and return the hits retained in the window.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The time of the hit in milliseconds.
+   * @param {number} [windowMs] - Hits older than `now - windowMs` are discarded.
+   * @param {Object} [options]
+   * @param {boolean} [options.pinned] - Keep the key until it is reset, exempt from eviction.
+   * @returns {Promise<number[]>} The retained hit timestamps in ascending order.
+   */
+  async hit(key, now, windowMs, options) {
+    return this.hitSync(key, now, windowMs, options);
+  }
+
+  /**
+   * Synchronous implementation of `hit`, which is atomic because it never yields to the event loop.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The time of the hit in milliseconds.
+   * @param {number} [windowMs] - Hits older than `now - windowMs` are discarded.
+   * @param {Object} [options]
+   * @param {boolean} [options.pinned] - Keep the key until it is reset, exempt from eviction.
+   * @returns {number[]} The retained hit timestamps in ascending order.
+   */
+  hitSync(key, now, windowMs, { pinned = false } = {}) {
+    const entries = pinned || this.pinned.has(key) ? this.pinned : this.entries;
+    const entry = this.pinned.get(key) || this.entries.get(key) || { hits: [], lastSeen: now };
+    this.entries.delete(key); // Re-inserted below to mark the key as most recently used
+
+    let hits = entry.hits;
+    if (windowMs !== undefined) {
+      hits = hits.filter(timestamp => now - timestamp <= windowMs);
+    }
+    hits.push(now);
+    hits.sort((a, b) => a - b);
+    if (hits.length > this.maxHitsPerKey) {
+      hits = hits.slice(hits.length - this.maxHitsPerKey);
+    }
+
+    entries.set(key, { hits, lastSeen: Math.max(entry.lastSeen, now) });
+    this.evict(now);
+    return hits.slice();
+  }
+
+  /**
+   * Return the hits retained in the window without recording a new one.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The current time in milliseconds.
+   * @param {number} [windowMs] - Hits older than `now - windowMs` are not returned.
+   * @returns {Promise<number[]>} The retained hit timestamps in ascending order.
+   */
+  async peek(key, now, windowMs) {
+    const entry = this.pinned.get(key) || this.entries.get(key);
+    if (!entry) {
+      return [];
+    }
+    return windowMs === undefined
+      ? entry.hits.slice()
+      : entry.hits.filter(timestamp => now - timestamp <= windowMs);
+  }
+
+  /**
+   * Remove every hit recorded for the key.
+   * @param {string} key - The rate limit key.
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.resetSync(key);
+  }
+
+  /**
+   * Synchronous implementation of `reset`.
+   * @param {string} key - The rate limit key.
+   */
+  resetSync(key) {
+    this.entries.delete(key);
+    this.pinned.delete(key);
+  }
+
+  /**
+   * Evict idle keys and, if still above `maxKeys`, the least recently used keys.
+   * @param {number} now - The current time in milliseconds.
+   */
+  evict(now) {
+    for (const [key, entry] of this.entries) {
+      const overCapacity = this.entries.size > this.maxKeys;
+      if (!overCapacity && now - entry.lastSeen <= this.idleTtlMs) {
+        break; // Remaining keys were used more recently
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * The number of keys currently tracked, pinned ones included.
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size + this.pinned.size;
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,115 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const UserStore = require('./UserStore.cjs');
+
+/**
+ * In-memory UserStore for a single server process, e.g. for tests and tutorials.
+ * Records are copied on the way in and out, so callers cannot mutate stored records.
+ */
+class MemoryUserStore extends UserStore {
+  constructor() {
+    super();
+    this.records = new Map(); // username -> record
+  }
+
+  /**
+   * Look up the record of a username.
+   * @param {string} username - The username.
+   * @returns {Promise<Object|null>} The record, or null if the username is not registered.
+   */
+  async get(username) {
+    const record = this.records.get(username);
+    return record ? structuredClone(record) : null;
+  }
+
+  /**
+   * Store a new record unless the username is already registered.
+   * @param {Object} record - The record to store.
+   * @returns {Promise<boolean>} True if the record was stored.
+   */
+  async create(record) {
+    return this.createSync(record);
+  }
+
+  /**
+   * Synchronous implementation of `create`, atomic because it never yields to the event loop.
+   * @param {Object} record - The record to store.
+   * @returns {boolean} True if the record was stored.
+   */
+  createSync(record) {
+    if (this.records.has(record.username)) {
+      return false;
+    }
+    this.records.set(record.username, structuredClone(record));
+    return true;
+  }
+
+  /**
+   * Replace the record of a registered username.
+   * @param {Object} record - The new record.
+   * @returns {Promise<boolean>} True if a record was replaced.
+   */
+  async update(record) {
+    return this.updateSync(record);
+  }
+
+  /**
+   * Synchronous implementation of `update`.
+   * @param {Object} record - The new record.
+   * @returns {boolean} True if a record was replaced.
+   */
+  updateSync(record) {
+    if (!this.records.has(record.username)) {
+      return false;
+    }
+    this.records.set(record.username, structuredClone(record));
+    return true;
+  }
+
+  /**
+   * Remove the record of a username.
+   * @param {string} username - The username.
+   * @returns {Promise<boolean>} True if a record was removed.
+   */
+  async delete(username) {
+    return this.records.delete(username);
+  }
+}
+
+module.exports = MemoryUserStore;
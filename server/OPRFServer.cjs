@@ -35,20 +35,46 @@
  */
 
 // Import necessary modules and classes from the Cloudflare OPRF library
-const { EvaluationRequest, Oprf, OPRFServer: VoprfServer } = require('@cloudflare/voprf-ts');
+const { OPRFServer: VoprfServer, VOPRFServer, POPRFServer, generatePublicKey } = require('@cloudflare/voprf-ts');
+const { DEFAULT_SUITE, cryptoArgs } = require('../util/oprf-suites.cjs');
+const { decodeOPRFRequest } = require('../util/validate.cjs');
+
+// Server classes of the supported OPRF modes: base mode, verifiable mode with DLEQ proofs,
+// and partially-oblivious mode binding public info into the evaluation
+const SERVERS_BY_MODE = {
+    oprf: VoprfServer,
+    voprf: VOPRFServer,
+    poprf: POPRFServer
+};
 
 // Define the OPRFServerHandler class, which handles OPRF server operations
 class OPRFServerHandler {
     /**
      * Constructor to initialize the OPRF server handler.
      * @param {Uint8Array} privateKey - The private key for the OPRF server.
+     * @param {number} [epoch] - The key epoch this handler evaluates under.
+     * @param {string} [mode] - 'oprf' for the base mode, 'voprf' to attach a proof to every evaluation,
+     * or 'poprf' to also bind public info into the evaluation.
+     * @param {string} [suite] - The OPRF ciphersuite, P-256 with SHA-256 by default.
      */
-    constructor(privateKey) {
-        // Define the cryptographic suite to be used, in this case P-256 curve with SHA-256 hash.
-        this.suite = Oprf.Suite.P256_SHA256;
+    constructor(privateKey, epoch = 0, mode = 'oprf', suite = DEFAULT_SUITE) {
+        if (!SERVERS_BY_MODE[mode]) {
+            throw new Error(`Unsupported OPRF mode: ${mode}`);
+        }
+
+        // Define the cryptographic suite to be used, and the crypto provider implementing it.
+        this.suite = suite;
+        this.cryptoArgs = cryptoArgs(suite);
+
+        // Initialize the OPRF server using the specified suite, mode and the private key provided.
+        this.mode = mode;
+        this.server = new SERVERS_BY_MODE[mode](this.suite, privateKey, ...this.cryptoArgs);
+
+        // The public key clients verify the proofs of a verifiable mode against.
+        this.publicKey = generatePublicKey(this.suite, privateKey, ...this.cryptoArgs);
 
-        // Initialize the OPRF server using the specified suite and the private key provided.
-        this.server = new VoprfServer(this.suite, privateKey);
+        // Remember the key epoch, so evaluations can be matched to the key that produced them.
+        this.epoch = epoch;
     }
 
     /**
@@ -57,11 +83,11 @@ class OPRFServerHandler {
      * 
      * @param {Uint8Array} serializedEvalReq - The serialized evaluation request from the client.
      * @returns {EvaluationRequest} - The deserialized evaluation request object.
+     * @throws {MalformedInputError} - If the request is not a valid request of the suite.
      */
     deserializeEvaluationRequest(serializedEvalReq) {
-        // The `deserialize` method is used to convert the serialized request into an EvaluationRequest object
-        // based on the cryptographic suite defined earlier (P256_SHA256 in this case).
-        return EvaluationRequest.deserialize(this.suite, serializedEvalReq);
+        // The request must decode for the suite defined earlier and encode back to the same bytes
+        return decodeOPRFRequest(this.suite, serializedEvalReq);
     }
 
     /**
@@ -83,12 +109,16 @@ class OPRFServerHandler {
      * while still producing a valid response that the client can later unblind.
      * 
      * @param {EvaluationRequest} evalReq - The deserialized evaluation request from the client.
+     * @param {Uint8Array} [info] - The public info bound into the evaluation in 'poprf' mode.
      * @returns {Evaluation} - The evaluation result that the server generates.
      */
-    async performBlindEvaluate(evalReq) {
+    async performBlindEvaluate(evalReq, info) {
         // Use the OPRF server to perform a "blind evaluation" on the client's request.
         // The `blindEvaluate` function allows the server to evaluate the client's input without seeing the actual data.
         // The result is an `Evaluation` object.
+        if (this.mode === 'poprf') {
+            return await this.server.blindEvaluate(evalReq, info);
+        }
         return await this.server.blindEvaluate(evalReq);
     }
 }
@@ -0,0 +1,531 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * A rate limit decision.
+ * @typedef {Object} RateLimitDecision
+ * @property {boolean} allowed - Whether the attempt may proceed.
+ * @property {number} retryAfterMs - How long to wait before the next attempt is allowed:
+ *   0 when allowed, Infinity when only a manual unlock lifts the limit.
+ */
+
+/**
+ * Base class of the rate limit policies used by SRPServer.
+ *
+ * A policy keeps its state in a RateLimitStore under keys derived from its `prefix`,
+ * so several policies can share one store. `consume` is called for every OPRF request;
+ * the outcome of logins is reported with `recordFailure` and `recordSuccess`.
+ * `check` answers the same question as `consume` without recording anything, which lets
+ * CompositePolicy ask every policy before any of them records the attempt.
+ */
+class RateLimitPolicy {
+  /**
+   * @param {string} prefix - Prefix of the store keys used by this policy.
+   */
+  constructor(prefix) {
+    this.prefix = prefix;
+  }
+
+  /**
+   * Build the store key of this policy for a rate limit key. The key is JSON-encoded, so it always
+   * starts with a quote and no username, colons included, can spell out another key's suffix.
+   * @param {string} key - The rate limit key.
+   * @param {string} [suffix] - Distinguishes several logs of the same policy.
+   * @returns {string} The store key.
+   */
+  storeKey(key, suffix) {
+    const encoded = JSON.stringify(String(key));
+    return suffix === undefined ? `${this.prefix}:${encoded}` : `${this.prefix}:${suffix}:${encoded}`;
+  }
+
+  /**
+   * Record an attempt and decide whether it is allowed.
+   * @param {RateLimitStore} store - The store holding the policy state.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The time of the attempt in milliseconds.
+   * @returns {Promise<RateLimitDecision>}
+   */
+  async consume(store, key, now) {
+    throw new Error('RateLimitPolicy.consume is not implemented');
+  }
+
+  /**
+   * Decide whether an attempt would be allowed, without recording it.
+   * @param {RateLimitStore} store - The store holding the policy state.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The time of the attempt in milliseconds.
+   * @returns {Promise<RateLimitDecision>}
+   */
+  async check(store, key, now) {
+    throw new Error('RateLimitPolicy.check is not implemented');
+  }
+
+  /**
+   * Record a failed login.
+   * @param {RateLimitStore} store - The store holding the policy state.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The time of the failure in milliseconds.
+   * @returns {Promise<void>}
+   */
+  async recordFailure(store, key, now) {}
+
+  /**
+   * Record a successful login.
+   * @param {RateLimitStore} store - The store holding the policy state.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The time of the success in milliseconds.
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(store, key, now) {}
+
+  /**
+   * Lift every limit of the key, e.g. after an operator verified the user.
+   * @param {RateLimitStore} store - The store holding the policy state.
+   * @param {string} key - The rate limit key.
+   * @returns {Promise<void>}
+   */
+  async unlock(store, key) {
+    await store.reset(this.storeKey(key));
+  }
+}
+
+/**
+ * Compute when an attempt is allowed again under "at most `maxRequests` hits per `windowMs`".
+ * @param {number[]} hits - The hits in the window, in ascending order.
+ * @param {number} windowMs - The window length in milliseconds.
+ * @param {number} maxRequests - The maximum number of hits in the window.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {number} Milliseconds until enough hits have left the window.
+ */
+function windowRetryAfter(hits, windowMs, maxRequests, now) {
+  // The next attempt is allowed once all but maxRequests - 1 of the hits have left the window
+  const oldestBlockingHit = hits[hits.length - maxRequests];
+  return Math.max(oldestBlockingHit + windowMs - now + 1, 1);
+}
+
+/**
+ * At most `maxRequests` attempts per sliding window of `windowMs`.
+ * Only allowed attempts are recorded, so the key frees up one window after its last allowed attempt
+ * however often it is retried meanwhile; concurrent attempts racing for the last slot may still each be
+ * recorded. With `countRejected` rejected attempts are recorded as well, so a key under attack stays
+ * limited until the attempts stop, at the price of also locking out its owner for as long.
+ */
+class SlidingWindowPolicy extends RateLimitPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.windowMs - The window length in milliseconds.
+   * @param {number} options.maxRequests - The maximum number of attempts in the window.
+   * @param {boolean} [options.countRejected=false] - Record rejected attempts as well.
+   * @param {string} [options.prefix] - Prefix of the store keys.
+   */
+  constructor({ windowMs, maxRequests, countRejected = false, prefix = `window-${windowMs}` }) {
+    super(prefix);
+    this.windowMs = windowMs;
+    this.maxRequests = maxRequests;
+    this.countRejected = countRejected;
+  }
+
+  async consume(store, key, now) {
+    if (!this.countRejected) {
+      const decision = await this.check(store, key, now);
+      if (!decision.allowed) {
+        return decision;
+      }
+    }
+    const hits = await store.hit(this.storeKey(key), now, this.windowMs);
+    if (hits.length <= this.maxRequests) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return { allowed: false, retryAfterMs: windowRetryAfter(hits, this.windowMs, this.maxRequests, now) };
+  }
+
+  async check(store, key, now) {
+    const recorded = await store.peek(this.storeKey(key), now, this.windowMs);
+    if (recorded.length >= this.maxRequests) {
+      return { allowed: false, retryAfterMs: windowRetryAfter(recorded, this.windowMs, this.maxRequests, now) };
+    }
+    return { allowed: true, retryAfterMs: 0 };
+  }
+}
+
+/**
+ * Token bucket holding up to `capacity` attempts (the burst), refilled with one attempt every `refillIntervalMs`.
+ * The bucket is reconstructed by replaying the attempts of the last two full refill periods,
+ * so older history is forgotten and the bucket is assumed full before it.
+ */
+class TokenBucketPolicy extends RateLimitPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity - The bucket size, i.e. the allowed burst.
+   * @param {number} options.refillIntervalMs - Milliseconds to refill one token.
+   * @param {string} [options.prefix] - Prefix of the store keys.
+   */
+  constructor({ capacity, refillIntervalMs, prefix = `bucket-${capacity}-${refillIntervalMs}` }) {
+    super(prefix);
+    this.capacity = capacity;
+    this.refillIntervalMs = refillIntervalMs;
+  }
+
+  async consume(store, key, now) {
+    return this.replay(await store.hit(this.storeKey(key), now, 2 * this.capacity * this.refillIntervalMs));
+  }
+
+  async check(store, key, now) {
+    const hits = await store.peek(this.storeKey(key), now, 2 * this.capacity * this.refillIntervalMs);
+    return this.replay([...hits, now]);
+  }
+
+  /**
+   * Decide the last of the attempts by replaying them against the bucket.
+   * @param {number[]} hits - The attempts in the history, in ascending order, ending with the current one.
+   * @returns {RateLimitDecision}
+   */
+  replay(hits) {
+    // Replay the attempts: each refills the tokens earned since the previous one and takes a token if available
+    let tokens = this.capacity;
+    let last = hits[0];
+    let allowed = false;
+    for (const timestamp of hits) {
+      tokens = Math.min(this.capacity, tokens + (timestamp - last) / this.refillIntervalMs);
+      last = timestamp;
+      allowed = tokens >= 1;
+      if (allowed) {
+        tokens -= 1;
+      }
+    }
+
+    if (allowed) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return { allowed: false, retryAfterMs: Math.max(Math.ceil((1 - tokens) * this.refillIntervalMs), 1) };
+  }
+}
+
+/**
+ * Exponential backoff after consecutive failed logins: after the n-th failure beyond `freeFailures`,
+ * the next attempt is delayed by `baseDelayMs * factor^(n-1)`, capped at `maxDelayMs`.
+ * A successful login clears the failures.
+ */
+class ExponentialBackoffPolicy extends RateLimitPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.baseDelayMs - The delay after the first counted failure.
+   * @param {number} options.maxDelayMs - The maximum delay.
+   * @param {number} [options.factor] - The growth factor of the delay.
+   * @param {number} [options.freeFailures] - Failures tolerated before delays start.
+   * @param {string} [options.prefix] - Prefix of the store keys.
+   */
+  constructor({ baseDelayMs, maxDelayMs, factor = 2, freeFailures = 0, prefix = 'backoff' }) {
+    super(prefix);
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.factor = factor;
+    this.freeFailures = freeFailures;
+  }
+
+  async consume(store, key, now) {
+    return this.check(store, key, now);
+  }
+
+  async check(store, key, now) {
+    const failures = await store.peek(this.storeKey(key), now);
+    const counted = failures.length - this.freeFailures;
+    if (counted <= 0) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    const delayMs = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(this.factor, counted - 1));
+    const allowedAt = failures[failures.length - 1] + delayMs;
+    if (now >= allowedAt) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return { allowed: false, retryAfterMs: allowedAt - now };
+  }
+
+  async recordFailure(store, key, now) {
+    await store.hit(this.storeKey(key), now);
+  }
+
+  async recordSuccess(store, key) {
+    await store.reset(this.storeKey(key));
+  }
+}
+
+/**
+ * Failed-guess accounting based on login outcomes.
+ *
+ * OPRF requests that are not followed by a successful login are counted as unverified,
+ * and a user may make up to `maxUnverifiedRequests` of them per `windowMs`. A successful login
+ * clears the count, so users whose logins succeed are never limited. Each failed session proof
+ * in the window halves the allowance, so guessing passwords online tightens the limit sharply,
+ * while an offline dictionary attack, which never completes a login, is held to the allowance.
+ *
+ * Anyone can send failed proofs for any username, so the halving stops at `minUnverifiedRequests`:
+ * junk proofs cannot take the last requests from the owner, whose next successful login clears
+ * the count. The trade-off is that an online guesser also keeps that many requests per window,
+ * so keep the floor small, and combine the policy with `clientPuzzle` on the server to make the
+ * requests at the floor cost proof-of-work instead of lowering the floor to zero.
+ */
+class LoginOutcomePolicy extends RateLimitPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.windowMs - The window length in milliseconds.
+   * @param {number} options.maxUnverifiedRequests - The allowance of requests without a successful login.
+   * @param {number} [options.minUnverifiedRequests] - The allowance failed proofs cannot push below; 0 lets them block the username.
+   * @param {string} [options.prefix] - Prefix of the store keys.
+   */
+  constructor({ windowMs, maxUnverifiedRequests, minUnverifiedRequests = 1, prefix = `outcome-${windowMs}` }) {
+    super(prefix);
+    this.windowMs = windowMs;
+    this.maxUnverifiedRequests = maxUnverifiedRequests;
+    this.minUnverifiedRequests = Math.min(minUnverifiedRequests, maxUnverifiedRequests);
+  }
+
+  async consume(store, key, now) {
+    const failures = await store.peek(this.storeKey(key, 'failures'), now, this.windowMs);
+    const requests = await store.hit(this.storeKey(key), now, this.windowMs);
+    return this.decide(failures, requests, now);
+  }
+
+  async check(store, key, now) {
+    const failures = await store.peek(this.storeKey(key, 'failures'), now, this.windowMs);
+    const requests = await store.peek(this.storeKey(key), now, this.windowMs);
+    return this.decide(failures, [...requests, now], now);
+  }
+
+  /**
+   * Decide the current request from the failed proofs and requests in the window.
+   * @param {number[]} failures - The failed proofs, in ascending order.
+   * @param {number[]} requests - The requests, in ascending order, including the current one.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {RateLimitDecision}
+   */
+  decide(failures, requests, now) {
+    const allowance = this.allowance(failures.length);
+    if (requests.length <= allowance) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    // The earliest time either enough requests leave the window, or enough failures do for the allowance to grow
+    const growsAt = failures.findIndex((timestamp, i) => this.allowance(failures.length - i - 1) > allowance);
+    const failureRetryAfterMs = growsAt !== -1 ? failures[growsAt] + this.windowMs - now + 1 : Infinity;
+    const requestRetryAfterMs = allowance > 0 ? windowRetryAfter(requests, this.windowMs, allowance, now) : Infinity;
+    return { allowed: false, retryAfterMs: Math.max(Math.min(failureRetryAfterMs, requestRetryAfterMs), 1) };
+  }
+
+  /**
+   * The allowance of unverified requests after a number of failed proofs in the window.
+   * @param {number} failures - The number of failed proofs.
+   * @returns {number} The allowance, halved per failure down to `minUnverifiedRequests`.
+   */
+  allowance(failures) {
+    return Math.max(this.minUnverifiedRequests, Math.floor(this.maxUnverifiedRequests / Math.pow(2, failures)));
+  }
+
+  async recordFailure(store, key, now) {
+    await store.hit(this.storeKey(key, 'failures'), now, this.windowMs);
+  }
+
+  async recordSuccess(store, key) {
+    await store.reset(this.storeKey(key));
+    await store.reset(this.storeKey(key, 'failures'));
+  }
+
+  async unlock(store, key) {
+    await this.recordSuccess(store, key);
+  }
+}
+
+/**
+ * Tiered lockout, e.g. 10 per minute, then 50 per day, then a manual unlock.
+ * Each tier is a sliding window; exceeding a tier blocks until its window frees up.
+ * With `manualUnlock`, exceeding the last tier locks the key until `unlock` is called. The lock is a
+ * pinned store key, which stores never evict, so locks accumulate until they are unlocked.
+ * Only allowed attempts are recorded, so a burst held back by a shorter tier never counts
+ * toward the last one: the lock takes as many allowed attempts as the last tier permits.
+ */
+class TieredLockoutPolicy extends RateLimitPolicy {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.tiers - The tiers as `[{ windowMs, maxRequests }]`, from the shortest window to the longest.
+   * @param {boolean} [options.manualUnlock] - Lock the key when the last tier is exceeded.
+   * @param {string} [options.prefix] - Prefix of the store keys.
+   */
+  constructor({ tiers, manualUnlock = true, prefix = 'tiered' }) {
+    super(prefix);
+    this.tiers = tiers.slice().sort((a, b) => a.windowMs - b.windowMs);
+    this.manualUnlock = manualUnlock;
+  }
+
+  async consume(store, key, now) {
+    const locks = await store.peek(this.storeKey(key, 'lock'), now);
+    if (locks.length > 0) {
+      return { allowed: false, retryAfterMs: Infinity };
+    }
+
+    const longestWindowMs = this.tiers[this.tiers.length - 1].windowMs;
+    const decision = this.decide(await store.peek(this.storeKey(key), now, longestWindowMs), now);
+    if (decision.allowed) {
+      await store.hit(this.storeKey(key), now, longestWindowMs);
+    } else if (decision.retryAfterMs === Infinity) {
+      await store.hit(this.storeKey(key, 'lock'), now, undefined, { pinned: true });
+    }
+    return decision;
+  }
+
+  async check(store, key, now) {
+    const locks = await store.peek(this.storeKey(key, 'lock'), now);
+    if (locks.length > 0) {
+      return { allowed: false, retryAfterMs: Infinity };
+    }
+    const longestWindowMs = this.tiers[this.tiers.length - 1].windowMs;
+    return this.decide(await store.peek(this.storeKey(key), now, longestWindowMs), now);
+  }
+
+  /**
+   * Decide the current attempt from the allowed attempts in the longest window.
+   * @param {number[]} hits - The allowed attempts, in ascending order.
+   * @param {number} now - The current time in milliseconds.
+   * @returns {RateLimitDecision} A decision with `retryAfterMs` Infinity when the attempt triggers the lock.
+   */
+  decide(hits, now) {
+    let retryAfterMs = 0;
+    for (const [index, { windowMs, maxRequests }] of this.tiers.entries()) {
+      const inWindow = hits.filter(timestamp => now - timestamp <= windowMs);
+      if (inWindow.length < maxRequests) {
+        continue;
+      }
+      if (this.manualUnlock && index === this.tiers.length - 1) {
+        return { allowed: false, retryAfterMs: Infinity };
+      }
+      retryAfterMs = Math.max(retryAfterMs, windowRetryAfter(inWindow, windowMs, maxRequests, now));
+    }
+    return { allowed: retryAfterMs === 0, retryAfterMs };
+  }
+
+  async unlock(store, key) {
+    await store.reset(this.storeKey(key, 'lock'));
+    await store.reset(this.storeKey(key));
+  }
+}
+
+/**
+ * Composition of policies: an attempt is allowed only if every policy allows it,
+ * and the next attempt is allowed once the strictest policy allows it.
+ * Every policy is checked before any records the attempt: an allowed attempt is consumed by all of them,
+ * a rejected one only by the policies that reject it, so the others do not count it.
+ * Every policy sees every login outcome.
+ */
+class CompositePolicy extends RateLimitPolicy {
+  /**
+   * @param {RateLimitPolicy[]} policies - The policies to combine.
+   */
+  constructor(policies) {
+    super('composite');
+    this.policies = policies;
+  }
+
+  async consume(store, key, now) {
+    const checks = [];
+    for (const policy of this.policies) {
+      checks.push(await policy.check(store, key, now));
+    }
+    const rejected = checks.some(decision => !decision.allowed);
+
+    let allowed = !rejected;
+    let retryAfterMs = 0;
+    for (const [index, policy] of this.policies.entries()) {
+      if (rejected && checks[index].allowed) {
+        continue;
+      }
+      const decision = await policy.consume(store, key, now);
+      allowed = allowed && decision.allowed;
+      retryAfterMs = Math.max(retryAfterMs, decision.retryAfterMs, checks[index].retryAfterMs);
+    }
+    return { allowed, retryAfterMs: allowed ? 0 : retryAfterMs };
+  }
+
+  async check(store, key, now) {
+    let allowed = true;
+    let retryAfterMs = 0;
+    for (const policy of this.policies) {
+      const decision = await policy.check(store, key, now);
+      allowed = allowed && decision.allowed;
+      retryAfterMs = Math.max(retryAfterMs, decision.retryAfterMs);
+    }
+    return { allowed, retryAfterMs: allowed ? 0 : retryAfterMs };
+  }
+
+  async recordFailure(store, key, now) {
+    for (const policy of this.policies) {
+      await policy.recordFailure(store, key, now);
+    }
+  }
+
+  async recordSuccess(store, key, now) {
+    for (const policy of this.policies) {
+      await policy.recordSuccess(store, key, now);
+    }
+  }
+
+  async unlock(store, key) {
+    for (const policy of this.policies) {
+      await policy.unlock(store, key);
+    }
+  }
+}
+
+/**
+ * Compose several policies into one.
+ * @param {...RateLimitPolicy} policies - The policies to combine.
+ * @returns {CompositePolicy} The combined policy.
+ */
+function composePolicies(...policies) {
+  return new CompositePolicy(policies);
+}
+
+module.exports = {
+  RateLimitPolicy,
+  SlidingWindowPolicy,
+  TokenBucketPolicy,
+  ExponentialBackoffPolicy,
+  LoginOutcomePolicy,
+  TieredLockoutPolicy,
+  CompositePolicy,
+  composePolicies
+};
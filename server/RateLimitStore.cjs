@@ -0,0 +1,102 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * RateLimitStore is the storage contract used by SRPServer to count OPRF requests per username.
+ *
+ * A store keeps, per key, an ordered log of hit timestamps (milliseconds since epoch).
+ * Implementations must honour the following contract:
+ *
+ * - `hit(key, now, windowMs, options)` appends `now` to the log of `key`, discards the hits older than
+ *   `now - windowMs` (all hits are kept when `windowMs` is omitted) and resolves to the retained
+ *   timestamps in ascending order, including the one just recorded. Appending, pruning and reading
+ *   must happen atomically: with N concurrent hits on the same key every call observes a distinct
+ *   log length, exactly as if the calls had been serialized. With `options.pinned` the key becomes
+ *   pinned until it is reset.
+ * - `peek(key, now, windowMs)` resolves to the same retained timestamps as `hit` would, without
+ *   recording a hit. It may prune the discarded hits.
+ * - `reset(key)` removes every hit of `key`. Resetting an unknown key is not an error.
+ * - Keys are independent of each other, and both operations return promises.
+ * - A store may forget idle keys or the oldest hits of a key to bound its memory, as long as it
+ *   documents the bound; forgetting only ever makes the limiter more permissive. Pinned keys, such as
+ *   manual locks, must never be forgotten: forgetting them would lift a lock, so they are kept outside
+ *   the bound until `reset`.
+ *
+ * A shared store, such as Redis, can implement `hit` atomically with a sorted set per key:
+ * `MULTI; ZADD key now member; ZREMRANGEBYSCORE key -inf (now-windowMs); ZRANGE key 0 -1 WITHSCORES; PEXPIRE key windowMs; EXEC`,
+ * where `member` is unique per hit so that hits in the same millisecond are all counted; pinned hits skip the `PEXPIRE`.
+ * `peek` maps to `ZRANGEBYSCORE key (now-windowMs) +inf WITHSCORES` and `reset` maps to `DEL key`.
+ *
+ * Backends can verify themselves with `runRateLimitStoreConformance` from `RateLimitStoreConformance.cjs`.
+ */
+class RateLimitStore {
+  /**
+   * Atomically record a hit for the key and return the hits retained in the window.
+   * @param {string} key - The rate limit key, e.g. a namespaced username.
+   * @param {number} now - The time of the hit in milliseconds.
+   * @param {number} [windowMs] - Hits older than `now - windowMs` are discarded.
+   * @param {Object} [options]
+   * @param {boolean} [options.pinned] - Keep the key until it is reset, exempt from eviction.
+   * @returns {Promise<number[]>} The retained hit timestamps in ascending order.
+   */
+  async hit(key, now, windowMs, options) {
+    throw new Error('RateLimitStore.hit is not implemented');
+  }
+
+  /**
+   * Return the hits retained in the window without recording a new one.
+   * @param {string} key - The rate limit key.
+   * @param {number} now - The current time in milliseconds.
+   * @param {number} [windowMs] - Hits older than `now - windowMs` are not returned.
+   * @returns {Promise<number[]>} The retained hit timestamps in ascending order.
+   */
+  async peek(key, now, windowMs) {
+    throw new Error('RateLimitStore.peek is not implemented');
+  }
+
+  /**
+   * Remove every hit recorded for the key.
+   * @param {string} key - The rate limit key.
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    throw new Error('RateLimitStore.reset is not implemented');
+  }
+}
+
+module.exports = RateLimitStore;
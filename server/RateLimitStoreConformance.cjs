@@ -0,0 +1,145 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+/**
+ * Conformance checks for the RateLimitStore contract, each run against a fresh store.
+ * Every check receives the store and throws an AssertionError when the contract is violated.
+ */
+const checks = {
+  'hit records the timestamp and returns the retained hits': async (store) => {
+    assert.deepStrictEqual(await store.hit('alice', 1000, 60000), [1000]);
+    assert.deepStrictEqual(await store.hit('alice', 2000, 60000), [1000, 2000]);
+  },
+
+  'hits are returned in ascending order': async (store) => {
+    await store.hit('alice', 3000, 60000);
+    await store.hit('alice', 1000, 60000);
+    assert.deepStrictEqual(await store.hit('alice', 2000, 60000), [1000, 2000, 3000]);
+  },
+
+  'hits in the same millisecond are all counted': async (store) => {
+    await store.hit('alice', 1000, 60000);
+    await store.hit('alice', 1000, 60000);
+    assert.strictEqual((await store.hit('alice', 1000, 60000)).length, 3);
+  },
+
+  'hits older than the window are discarded': async (store) => {
+    await store.hit('alice', 1000, 60000);
+    await store.hit('alice', 30000, 60000);
+    assert.deepStrictEqual(await store.hit('alice', 61001, 60000), [30000, 61001]);
+  },
+
+  'hits are kept without a window': async (store) => {
+    await store.hit('alice', 1000);
+    assert.deepStrictEqual(await store.hit('alice', 10 * 24 * 60 * 60 * 1000), [1000, 10 * 24 * 60 * 60 * 1000]);
+  },
+
+  'peek returns the retained hits without recording': async (store) => {
+    await store.hit('alice', 1000, 60000);
+    await store.hit('alice', 2000, 60000);
+    assert.deepStrictEqual(await store.peek('alice', 3000, 60000), [1000, 2000]);
+    assert.deepStrictEqual(await store.peek('alice', 61500, 60000), [2000]);
+    assert.deepStrictEqual(await store.hit('alice', 4000, 60000), [1000, 2000, 4000]);
+  },
+
+  'peek of an unknown key returns no hits': async (store) => {
+    assert.deepStrictEqual(await store.peek('nobody', 1000, 60000), []);
+  },
+
+  'keys are independent': async (store) => {
+    await store.hit('alice', 1000, 60000);
+    await store.hit('alice', 2000, 60000);
+    assert.deepStrictEqual(await store.hit('bob', 3000, 60000), [3000]);
+  },
+
+  'reset removes every hit of the key only': async (store) => {
+    await store.hit('alice', 1000, 60000);
+    await store.hit('bob', 1000, 60000);
+    await store.reset('alice');
+    assert.deepStrictEqual(await store.hit('alice', 2000, 60000), [2000]);
+    assert.deepStrictEqual(await store.hit('bob', 2000, 60000), [1000, 2000]);
+  },
+
+  'reset of an unknown key resolves': async (store) => {
+    await store.reset('nobody');
+  },
+
+  'pinned keys are kept until reset': async (store) => {
+    await store.hit('alice', 1000, undefined, { pinned: true });
+    assert.deepStrictEqual(await store.peek('alice', 10 * 24 * 60 * 60 * 1000), [1000]);
+    await store.reset('alice');
+    assert.deepStrictEqual(await store.peek('alice', 10 * 24 * 60 * 60 * 1000), []);
+  },
+
+  'concurrent hits on a key are atomic': async (store) => {
+    const concurrency = 50;
+    const results = await Promise.all(
+      Array.from({ length: concurrency }, (_, i) => store.hit('alice', 1000 + i, 60000))
+    );
+    const lengths = results.map(hits => hits.length).sort((a, b) => a - b);
+    assert.deepStrictEqual(lengths, Array.from({ length: concurrency }, (_, i) => i + 1));
+  }
+};
+
+/**
+ * Run the RateLimitStore conformance suite against a backend.
+ * @param {Function} createStore - Returns (or resolves to) a fresh, empty store for each check.
+ * @param {Function} [destroyStore] - Called with each store after its check, e.g. to close connections.
+ * @returns {Promise<string[]>} The names of the passed checks.
+ * @throws {AssertionError} Naming the first check the backend fails.
+ */
+async function runRateLimitStoreConformance(createStore, destroyStore = async () => {}) {
+  const passed = [];
+  for (const [name, check] of Object.entries(checks)) {
+    const store = await createStore();
+    try {
+      await check(store);
+    } catch (err) {
+      err.message = `RateLimitStore conformance check failed: ${name}: ${err.message}`;
+      throw err;
+    } finally {
+      await destroyStore(store);
+    }
+    passed.push(name);
+  }
+  return passed;
+}
+
+module.exports = runRateLimitStoreConformance;
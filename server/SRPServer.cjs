@@ -35,66 +35,506 @@
  */
 
 
+const crypto = require('crypto');
 const TypeSRP = require('../util/type-srp.cjs'); // SRP integer utility
-const params = require('../util/params.cjs');  // SRP parameters
+const { Params, createParams } = require('../util/params.cjs');  // SRP parameters
+const keystore = require('../util/keystore.cjs'); // OPRF key generation, validation and keystore format
+const { encodeOPRFInfo } = require('../util/oprf-info.cjs'); // Public info of POPRF evaluations
+const { DEFAULT_SUITE, assertSupportedSuite } = require('../util/oprf-suites.cjs'); // OPRF ciphersuites
+const { LEGACY_KDF, DEFAULT_KDF, normalizeKDF } = require('../util/kdf.cjs'); // Password KDF descriptors
+const { DEFAULT_VERIFIER_BINDING, assertVerifierBinding } = require('../util/verifier-binding.cjs');
+const { ERROR_CODES, RateLimitError, PuzzleRequiredError, InvalidProofError, OPRFError, RecordError } = require('../util/errors.cjs');
+const validate = require('../util/validate.cjs'); // Checks of untrusted inputs
+const { encodeMessage, toJSON } = require('../util/wire.cjs'); // Encodings measured by compareLoginStartResponses
+const { verifyPasswordChangeMAC } = require('../util/password-change.cjs'); // Session key MACs of password changes
 const OPRFServerHandler = require('./OPRFServer.cjs');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore.cjs');
+const { SlidingWindowPolicy } = require('./RateLimitPolicies.cjs');
+const ClientPuzzle = require('./ClientPuzzle.cjs');
+const MemoryUserStore = require('./MemoryUserStore.cjs');
+const LoginSessionManager = require('./LoginSessionManager.cjs');
+
+// Version of the user records created by register
+const USER_RECORD_VERSION = 1;
+
+// Shortest secret accepted for fake records, in bytes
+const MIN_ENUMERATION_SECRET_BYTES = 16;
 
 class SRPServer {
-  constructor(OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests) {
-    const oprfKey = TypeSRP.randomInteger(params.hashOutputBytes);
-    this.oprfKey = oprfKey.toUint8Array();
-    this.oprfServer = new OPRFServerHandler(this.oprfKey); // Create the OPRF Server Handler;
+  /**
+   * @param {number} OPRFrateLimitWindowMs - The OPRF rate limit window in milliseconds.
+   * @param {number} OPRFrateLimitMaxRequests - The maximum OPRF requests per username in the window.
+   * @param {Object} [options]
+   * @param {RateLimitPolicy} [options.rateLimitPolicy] - The OPRF rate limit policy. Defaults to a sliding window built from the two limits above.
+   * @param {string|Uint8Array} [options.oprfKey] - A persistent OPRF private key used as epoch 0. A random key is generated when omitted.
+   * @param {Array<Object>} [options.oprfKeys] - Persistent OPRF keys as `[{ epoch, key }]`, takes precedence over `oprfKey`.
+   * @param {number} [options.currentEpoch] - The epoch new registrations are evaluated under (defaults to the highest epoch).
+   * @param {RateLimitStore} [options.rateLimitStore] - Where OPRF requests are counted (defaults to a MemoryRateLimitStore).
+   * @param {UserStore} [options.userStore] - Where user records are kept (defaults to a MemoryUserStore).
+   * @param {Object} [options.loginSessions] - Options of the LoginSessionManager (ttlMs, replayWindowMs, authenticatedTtlMs, maxSessions, maxReplayRecords).
+   * @param {ClientPuzzle|Object} [options.clientPuzzle] - Require proof-of-work puzzles once a username nears its limit, given as a ClientPuzzle or its options.
+   * @param {string} [options.oprfMode='oprf'] - 'voprf' attaches a proof to every evaluation, verifiable against the public key from `getPublicKey`;
+   * 'poprf' additionally binds the username and realm into every evaluation.
+   * @param {string} [options.oprfRealm=''] - The realm bound into POPRF evaluations, e.g. the name of the deployment.
+   * @param {string} [options.oprfSuite='P256-SHA256'] - The OPRF ciphersuite, e.g. 'P384-SHA384' or 'P521-SHA512'; keys must belong to it.
+   * @param {Params|Object} [options.params] - The SRP group and hash function, as Params or `{ group, hash }` for `createParams`
+   * (defaults to the 3072 bit group with SHA-256); must match the clients.
+   * @param {ComputePool} [options.computePool] - Runs the modular exponentiations of logins on worker threads.
+   * @param {Object} [options.enumerationProtection] - Answer login starts for unknown usernames with fake records derived from
+   * `{ secret, kdf, verifierBinding }`: the secret (string or Uint8Array of at least 16 bytes) must persist across restarts and be
+   * shared by replicas, `kdf` and `verifierBinding` should match those of real records (default to the client defaults).
+   */
+  constructor(OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests, options = {}) {
+    this.params = options.params instanceof Params ? options.params : createParams(options.params); // SRP group and hash function
+    this.computePool = options.computePool || null; // Worker threads for the group operations, if any
+    this.oprfSuite = assertSupportedSuite(options.oprfSuite || DEFAULT_SUITE); // OPRF ciphersuite of every key epoch
+    this.oprfMode = options.oprfMode || 'oprf'; // OPRF mode of every key epoch
+    this.oprfRealm = options.oprfRealm || ''; // Realm bound into POPRF evaluations
+
+    // OPRF keys and their handlers by epoch, so verifiers built under an older key keep working during rotation
+    this.oprfKeys = new Map();
+    this.oprfServers = new Map();
+
+    // Reuse the persistent OPRF keys when given, so verifiers registered before a restart stay valid
+    const oprfKeys = options.oprfKeys
+      || [{ epoch: 0, key: options.oprfKey !== undefined ? options.oprfKey : keystore.generateOPRFKey(this.oprfSuite) }];
+    oprfKeys.forEach(({ epoch, key }) => this.addOPRFKey(epoch, key));
+    this.setCurrentEpoch(options.currentEpoch !== undefined ? options.currentEpoch : Math.max(...this.oprfKeys.keys()));
 
     this.rateLimitWindowMs = OPRFrateLimitWindowMs; // 1 minute window
     this.rateLimitMaxRequests = OPRFrateLimitMaxRequests; // Maximum 10 requests per username per minute
-    this.requestLogs = {}; // Object to track requests per username
+    this.rateLimitPolicy = options.rateLimitPolicy
+      || new SlidingWindowPolicy({ windowMs: OPRFrateLimitWindowMs, maxRequests: OPRFrateLimitMaxRequests });
+    this.rateLimitStore = options.rateLimitStore || new MemoryRateLimitStore(); // Store tracking requests per username
+    this.userStore = options.userStore || new MemoryUserStore(); // Store keeping salt and public verifier per username
+    this.loginSessions = new LoginSessionManager(options.loginSessions); // Pending logins, holding the secret ephemerals
+
+    // Fake records for unknown usernames, so that login starts do not reveal which usernames are registered
+    this.enumerationProtection = null;
+    if (options.enumerationProtection) {
+      const { secret, kdf = DEFAULT_KDF, verifierBinding = DEFAULT_VERIFIER_BINDING } = options.enumerationProtection;
+      if ((typeof secret !== 'string' && !(secret instanceof Uint8Array)) || Buffer.byteLength(secret) < MIN_ENUMERATION_SECRET_BYTES) {
+        throw new Error(`Enumeration protection requires a secret of at least ${MIN_ENUMERATION_SECRET_BYTES} bytes`);
+      }
+      this.enumerationProtection = {
+        secret: Buffer.from(secret),
+        kdf: normalizeKDF(kdf),
+        verifierBinding: assertVerifierBinding(verifierBinding)
+      };
+    }
+
+    // Optional proof-of-work gate, by default required from half of the rate limit on
+    if (options.clientPuzzle instanceof ClientPuzzle) {
+      this.clientPuzzle = options.clientPuzzle;
+    } else if (options.clientPuzzle) {
+      const requireAfter = OPRFrateLimitMaxRequests !== undefined ? Math.floor(OPRFrateLimitMaxRequests / 2) : undefined;
+      this.clientPuzzle = new ClientPuzzle({ requireAfter, ...options.clientPuzzle });
+    }
   }
 
   /**
-  * Check if the username has exceeded the allowed request limit.
-  * @param {string} username - The username to check.
-  * @returns {boolean} - True if the username is rate-limited, otherwise false.
-  */
-  isRateLimited(username) {
-    const currentTime = Date.now();
-    if (!this.requestLogs[username]) {
-      // Initialize request log for username if not already present
-      this.requestLogs[username] = [];
+   * Create an SRPServer that evaluates the OPRF with an existing private key.
+   * @param {string|Uint8Array} oprfKey - The OPRF private key as Uint8Array or hex.
+   * @param {number} OPRFrateLimitWindowMs - The OPRF rate limit window in milliseconds.
+   * @param {number} OPRFrateLimitMaxRequests - The maximum OPRF requests per username in the window.
+   * @param {Object} [options] - Further constructor options, e.g. `rateLimitStore`.
+   * @returns {SRPServer} The server instance.
+   */
+  static fromKey(oprfKey, OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests, options = {}) {
+    return new SRPServer(OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests, { ...options, oprfKey });
+  }
+
+  /**
+   * Create an SRPServer from a keystore produced by `exportKeystore`.
+   * @param {string|Object} serializedKeystore - The keystore JSON.
+   * @param {string} [passphrase] - The passphrase if the keystore is encrypted.
+   * @param {number} OPRFrateLimitWindowMs - The OPRF rate limit window in milliseconds.
+   * @param {number} OPRFrateLimitMaxRequests - The maximum OPRF requests per username in the window.
+   * @param {Object} [options] - Further constructor options, e.g. `rateLimitStore`. The OPRF suite is taken from the keystore.
+   * @returns {SRPServer} The server instance.
+   * @throws {OPRFError} If `options.oprfSuite` differs from the suite of the keystore.
+   */
+  static fromKeystore(serializedKeystore, passphrase, OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests, options = {}) {
+    const { keys, currentEpoch, suite } = keystore.importKeystore(serializedKeystore, passphrase);
+    if (options.oprfSuite !== undefined && options.oprfSuite !== suite) {
+      throw new OPRFError(`Keystore holds keys of OPRF suite ${suite}, not ${options.oprfSuite}`, ERROR_CODES.OPRF_MISMATCH);
     }
+    return new SRPServer(OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests, { ...options, oprfKeys: keys, currentEpoch, oprfSuite: suite });
+  }
 
-    // Filter out requests that are older than the rate limit window
-    this.requestLogs[username] = this.requestLogs[username].filter(
-      timestamp => currentTime - timestamp <= this.rateLimitWindowMs
-    );
+  /**
+   * Export all OPRF private keys and their epochs in the versioned keystore format for later reuse.
+   * @param {string} [passphrase] - Encrypts the keys with scrypt + AES-256-GCM when given.
+   * @returns {string} The keystore JSON.
+   */
+  exportKeystore(passphrase) {
+    const keys = Array.from(this.oprfKeys, ([epoch, key]) => ({ epoch, key }));
+    return keystore.exportKeystore({ currentEpoch: this.currentEpoch, keys }, { passphrase, suite: this.oprfSuite });
+  }
 
-    // Check if the number of requests exceeds the limit
-    if (this.requestLogs[username].length >= this.rateLimitMaxRequests) {
-      return true; // User is rate-limited
+  /**
+   * Add an OPRF private key under the given epoch.
+   * @param {number} epoch - The epoch id of the key.
+   * @param {string|Uint8Array} key - The OPRF private key as Uint8Array or hex.
+   * @throws {Error} If the epoch is already in use or the key is invalid.
+   */
+  addOPRFKey(epoch, key) {
+    if (!Number.isSafeInteger(epoch) || epoch < 0 || this.oprfKeys.has(epoch)) {
+      throw new OPRFError(`Invalid or duplicate OPRF key epoch: ${epoch}`, ERROR_CODES.INVALID_KEY_EPOCH);
     }
+    const oprfKey = keystore.assertValidOPRFKey(key, this.oprfSuite);
+    this.oprfKeys.set(epoch, oprfKey);
+    this.oprfServers.set(epoch, new OPRFServerHandler(oprfKey, epoch, this.oprfMode, this.oprfSuite)); // Create the OPRF Server Handler for this epoch
+  }
 
-    // Log the current request time
-    this.requestLogs[username].push(currentTime);
-    return false; // User is not rate-limited
+  /**
+   * Publish the OPRF public key of an epoch. In 'voprf' mode clients pin it and verify every evaluation against it.
+   * @param {number} [epoch] - The key epoch (defaults to the current epoch).
+   * @returns {Object} Contains the `suite`, `mode`, `realm`, `epoch` and `publicKey` (Uint8Array).
+   * @throws {Error} If there is no key for the epoch.
+   */
+  getPublicKey(epoch = this.currentEpoch) {
+    const oprfServer = this.oprfServers.get(epoch);
+    if (!oprfServer) {
+      throw new OPRFError(`Unknown OPRF key epoch: ${epoch}`, ERROR_CODES.UNKNOWN_KEY_EPOCH);
+    }
+    return { suite: oprfServer.suite, mode: oprfServer.mode, realm: this.oprfRealm, epoch, publicKey: oprfServer.publicKey };
+  }
+
+  /**
+   * Select the epoch whose key is used by default for OPRF evaluations.
+   * @param {number} epoch - The epoch id.
+   * @throws {Error} If there is no key for the epoch.
+   */
+  setCurrentEpoch(epoch) {
+    if (!this.oprfKeys.has(epoch)) {
+      throw new OPRFError(`Unknown OPRF key epoch: ${epoch}`, ERROR_CODES.UNKNOWN_KEY_EPOCH);
+    }
+    this.currentEpoch = epoch;
+    this.oprfKey = this.oprfKeys.get(epoch);
+    this.oprfServer = this.oprfServers.get(epoch);
+  }
+
+  /**
+   * Start a key rotation: add a new OPRF key under the next epoch and make it current.
+   * The previous keys stay available until retired, so clients can migrate their verifiers.
+   * @param {string|Uint8Array} [key] - The new OPRF private key. A random key is generated when omitted.
+   * @returns {number} The epoch of the new key.
+   */
+  rotateOPRFKey(key = keystore.generateOPRFKey(this.oprfSuite)) {
+    const epoch = Math.max(...this.oprfKeys.keys()) + 1;
+    this.addOPRFKey(epoch, key);
+    this.setCurrentEpoch(epoch);
+    return epoch;
+  }
+
+  /**
+   * Retire the OPRF key of an epoch once every verifier built with it has been migrated.
+   * @param {number} epoch - The epoch id.
+   * @throws {Error} If the epoch is the current one.
+   */
+  retireOPRFKey(epoch) {
+    if (epoch === this.currentEpoch) {
+      throw new OPRFError('Cannot retire the current OPRF key epoch', ERROR_CODES.INVALID_KEY_EPOCH);
+    }
+    this.oprfKeys.delete(epoch);
+    this.oprfServers.delete(epoch);
+  }
+
+  /**
+   * List the OPRF key epochs this server can evaluate under.
+   * @returns {Object} Contains the `current` epoch and all `active` epochs.
+   */
+  getOPRFEpochs() {
+    return { current: this.currentEpoch, active: Array.from(this.oprfKeys.keys()).sort((a, b) => a - b) };
+  }
+
+  /**
+   * Check whether a verifier built under the given epoch should be migrated to the current key.
+   * @param {number} epoch - The epoch recorded with the user's verifier.
+   * @returns {boolean} True if the verifier was built with an older key.
+   */
+  needsVerifierMigration(epoch) {
+    return epoch !== this.currentEpoch;
+  }
+
+  /**
+   * Register a user: store the salt and public verifier together with the parameters they were built with.
+   * @param {string} username - The username.
+   * @param {string} salt - The user's salt in hex.
+   * @param {string} verifier - The public verifier (v) in hex.
+   * @param {Object} [meta] - Application data kept with the record. `keyEpoch` sets the OPRF key epoch (defaults to the current epoch),
+   * `kdf` the password KDF the private key was derived with (defaults to the legacy `{ name: 'hash' }`),
+   * `verifierBinding` whether the verifier is 'shared' by all servers or derived for this 'server' (defaults to 'shared').
+   * @returns {Promise<Object>} The stored record.
+   * @throws {Error} If the username is already registered, the key epoch is unknown, or the KDF or verifier binding is invalid.
+   * @throws {MalformedInputError} If the username, salt or verifier is malformed.
+   */
+  async register(username, salt, verifier, meta = {}) {
+    validate.assertUsername(username);
+    validate.assertSalt(salt, this.params);
+    validate.assertVerifier(verifier, this.params);
+    const { keyEpoch = this.currentEpoch, kdf = LEGACY_KDF, verifierBinding = DEFAULT_VERIFIER_BINDING, ...appMeta } = meta;
+    if (!this.oprfKeys.has(keyEpoch)) {
+      throw new OPRFError(`Unknown OPRF key epoch: ${keyEpoch}`, ERROR_CODES.UNKNOWN_KEY_EPOCH);
+    }
+
+    const now = Date.now();
+    const record = {
+      version: USER_RECORD_VERSION,
+      username: String(username),
+      salt,
+      kdf: normalizeKDF(kdf),
+      verifier,
+      verifierBinding: assertVerifierBinding(verifierBinding),
+      group: this.params.groupName,
+      hash: this.params.hashName,
+      suite: this.oprfSuite,
+      mode: this.oprfMode,
+      realm: this.oprfRealm,
+      keyEpoch,
+      meta: appMeta,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (!(await this.userStore.create(record))) {
+      throw new RecordError('Username is already registered', ERROR_CODES.USER_EXISTS);
+    }
+    return record;
+  }
+
+  /**
+   * Look up the record of a registered user.
+   * @param {string} username - The username.
+   * @returns {Promise<Object|null>} The record, or null if the username is not registered.
+   */
+  async getRecord(username) {
+    return this.userStore.get(String(username));
+  }
+
+  /**
+   * Build the fake record answering login starts for an unknown username under enumeration protection.
+   * The salt and verifier are derived with HKDF from the secret and the username, so repeated login starts
+   * return the same salt, as for a registered user. The verifier is a uniform value mod N instead of g^x:
+   * it never leaves the server, and B = kv + g^b hides it either way. No exponentiation is needed, so a fake
+   * login start costs the same as a real one.
+   * @param {string} username - The unknown username.
+   * @returns {Object} A record shaped like the records of `register`.
+   */
+  fakeRecord(username) {
+    const { secret, kdf, verifierBinding } = this.enumerationProtection;
+    const { N, hashName, hashOutputBytes } = this.params;
+    const derive = (label, length) => new Uint8Array(crypto.hkdfSync(hashName, secret, '', `oblivious-srp-fake-record:${label}:${username}`, length));
+
+    // Extra bytes make the reduction mod N close to uniform
+    const modulusBytes = Math.ceil(N.toHex().length / 2);
+    const verifier = TypeSRP.fromBytes(derive('verifier', modulusBytes + 16)).mod(N);
+    return {
+      version: USER_RECORD_VERSION,
+      username: String(username),
+      salt: TypeSRP.fromBytes(derive('salt', hashOutputBytes)).toHex(),
+      kdf,
+      verifier: (verifier.equals(TypeSRP.ZERO) ? TypeSRP.ONE : verifier).toHex(),
+      verifierBinding,
+      group: this.params.groupName,
+      hash: this.params.hashName,
+      suite: this.oprfSuite,
+      mode: this.oprfMode,
+      realm: this.oprfRealm,
+      keyEpoch: this.currentEpoch,
+      meta: {}
+    };
+  }
+
+  /**
+   * Replace the public verifier of a registered user, e.g. after an OPRF key rotation.
+   * @param {string} username - The username.
+   * @param {string} verifier - The new public verifier (v) in hex.
+   * @param {Object} [options]
+   * @param {string} [options.salt] - A new salt in hex, if the verifier was derived with one.
+   * @param {number} [options.keyEpoch] - The OPRF key epoch of the new verifier (defaults to the current epoch).
+   * @param {Object} [options.kdf] - A new password KDF, if the verifier was derived with one.
+   * @param {string} [options.verifierBinding] - A new verifier binding, if the verifier was derived with one.
+   * @returns {Promise<Object>} The updated record.
+   * @throws {Error} If the username is not registered, the key epoch is unknown, or the KDF or verifier binding is invalid.
+   * @throws {MalformedInputError} If the verifier or salt is malformed.
+   */
+  async updateVerifier(username, verifier, { salt, keyEpoch = this.currentEpoch, kdf, verifierBinding } = {}) {
+    validate.assertVerifier(verifier, this.params);
+    if (salt !== undefined) {
+      validate.assertSalt(salt, this.params);
+    }
+    if (!this.oprfKeys.has(keyEpoch)) {
+      throw new OPRFError(`Unknown OPRF key epoch: ${keyEpoch}`, ERROR_CODES.UNKNOWN_KEY_EPOCH);
+    }
+    const record = await this.getRecord(username);
+    if (!record) {
+      throw new RecordError('Username is not registered', ERROR_CODES.USER_NOT_FOUND);
+    }
+
+    const updated = {
+      ...record,
+      version: USER_RECORD_VERSION,
+      salt: salt !== undefined ? salt : record.salt,
+      kdf: normalizeKDF(kdf || record.kdf || LEGACY_KDF),
+      verifier,
+      verifierBinding: assertVerifierBinding(verifierBinding || record.verifierBinding || DEFAULT_VERIFIER_BINDING),
+      group: this.params.groupName,
+      hash: this.params.hashName,
+      suite: this.oprfSuite,
+      mode: this.oprfMode,
+      realm: this.oprfRealm,
+      keyEpoch,
+      updatedAt: Date.now()
+    };
+    if (!(await this.userStore.update(updated))) {
+      throw new RecordError('Username is not registered', ERROR_CODES.USER_NOT_FOUND);
+    }
+    return updated;
+  }
+
+  /**
+   * Delete the record of a user.
+   * @param {string} username - The username.
+   * @returns {Promise<boolean>} True if a record was deleted.
+   */
+  async deleteUser(username) {
+    return this.userStore.delete(String(username));
+  }
+
+  /**
+   * Compare a record with the parameters of this server, to detect records built under older parameters.
+   * @param {Object} record - The user record.
+   * @returns {string[]} The names of the mismatching fields (`version`, `group`, `hash`, `suite`, `mode`, `realm`, `keyEpoch`); empty if the record is current.
+   */
+  getRecordMismatches(record) {
+    const expected = {
+      version: USER_RECORD_VERSION,
+      group: this.params.groupName,
+      hash: this.params.hashName,
+      suite: this.oprfSuite,
+      mode: this.oprfMode,
+      realm: this.oprfRealm,
+      keyEpoch: this.currentEpoch
+    };
+    // Records created before the OPRF mode was recorded were built in the base mode, without a realm
+    const actual = { mode: 'oprf', realm: '', ...record };
+    return Object.keys(expected).filter(field => actual[field] !== expected[field]);
+  }
+
+  /**
+  * Record an OPRF request for the username and ask the rate limit policy whether it is allowed.
+  * @param {string} username - The username to check.
+  * @returns {Promise<Object>} - The decision: `allowed`, and `retryAfterMs` until the next request is allowed.
+  */
+  async checkRateLimit(username) {
+    return this.rateLimitPolicy.consume(this.rateLimitStore, username, Date.now());
+  }
+
+  /**
+  * Record a request for the username and check if it has exceeded the allowed request limit.
+  * @param {string} username - The username to check.
+  * @returns {Promise<boolean>} - True if the username is rate-limited, otherwise false.
+  */
+  async isRateLimited(username) {
+    const { allowed } = await this.checkRateLimit(username);
+    return !allowed;
+  }
+
+  /**
+   * Report a failed login of the username to the rate limit policy.
+   * @param {string} username - The username whose login failed.
+   * @returns {Promise<void>}
+   */
+  async recordLoginFailure(username) {
+    await this.rateLimitPolicy.recordFailure(this.rateLimitStore, username, Date.now());
+  }
+
+  /**
+   * Report a successful login of the username to the rate limit policy.
+   * @param {string} username - The username that logged in.
+   * @returns {Promise<void>}
+   */
+  async recordLoginSuccess(username) {
+    await this.rateLimitPolicy.recordSuccess(this.rateLimitStore, username, Date.now());
+  }
+
+  /**
+   * Lift every rate limit of the username, e.g. after a manual lockout.
+   * @param {string} username - The username to unlock.
+   * @returns {Promise<void>}
+   */
+  async unlockUsername(username) {
+    await this.rateLimitPolicy.unlock(this.rateLimitStore, username);
   }
   
+  /**
+   * Get a proof-of-work puzzle for the username if its next OPRF request requires one.
+   * @param {string} username - The username about to request an OPRF evaluation.
+   * @returns {Promise<Object|null>} The puzzle to solve with `SRPClient.solvePuzzle`, or null if none is required.
+   */
+  async getPuzzle(username) {
+    validate.assertUsername(username);
+    if (!this.clientPuzzle) {
+      return null;
+    }
+    const now = Date.now();
+    const difficulty = await this.clientPuzzle.currentDifficulty(this.rateLimitStore, username, now);
+    return difficulty > 0 ? this.clientPuzzle.issue(username, difficulty, now) : null;
+  }
+
+  /**
+   * Enforce the proof-of-work gate: record the request and, under pressure, require a solved puzzle.
+   * @param {string} username - The username performing the request.
+   * @param {Object} [puzzleSolution] - The solved puzzle sent by the client.
+   * @throws {PuzzleRequiredError} If a puzzle is required and the solution is missing or invalid, with `puzzle` set to a new puzzle.
+   */
+  async checkPuzzle(username, puzzleSolution) {
+    const now = Date.now();
+    const difficulty = await this.clientPuzzle.recordRequest(this.rateLimitStore, username, now);
+    if (difficulty === 0 || await this.clientPuzzle.verify(this.rateLimitStore, username, puzzleSolution, difficulty, now)) {
+      return;
+    }
+    throw new PuzzleRequiredError(this.clientPuzzle.issue(username, difficulty, now)); // Lets the client solve and retry
+  }
+
   /**
   * Perform the OPRF Evaluation on SRP Client's private input, with rate limiting.
   * @param {string} username - The username performing the request.
   * @param {Uint8Array} serializedEvalReq - The evaluation request generated by SRP client.
+  * @param {Object} [options]
+  * @param {number} [options.epoch] - The key epoch to evaluate under (defaults to the current epoch).
+  * @param {Object} [options.puzzleSolution] - A puzzle solved with `SRPClient.solvePuzzle`, required once the username nears its limit.
   * @returns {Uint8Array} The serialized OPRF evaluation by SRP server.
-  * @throws {Error} If the username is rate-limited.
+  * @throws {RateLimitError|PuzzleRequiredError|OPRFError} If the username is rate-limited (with `retryAfterMs` set),
+  * a puzzle is required (with `puzzle` set) or the epoch is unknown.
+  * @throws {MalformedInputError} If the username or the request is malformed.
   */
-  async performOPRFEval(username, serializedEvalReq) {
-    if (this.isRateLimited(username)) {
-      throw new Error('Rate limit exceeded for username: ' + username);
+  async performOPRFEval(username, serializedEvalReq, { epoch = this.currentEpoch, puzzleSolution } = {}) {
+    validate.assertUsername(username);
+    const oprfServer = this.oprfServers.get(epoch);
+    if (!oprfServer) {
+      throw new OPRFError(`Unknown OPRF key epoch: ${epoch}`, ERROR_CODES.UNKNOWN_KEY_EPOCH);
+    }
+    // Deserialize the request, rejecting malformed ones before they are counted
+    const evalReq = oprfServer.deserializeEvaluationRequest(serializedEvalReq);
+
+    // Requests without a solved puzzle are rejected before they can use up the username's budget
+    if (this.clientPuzzle) {
+      await this.checkPuzzle(username, puzzleSolution);
+    }
+
+    const { allowed, retryAfterMs } = await this.checkRateLimit(username);
+    if (!allowed) {
+      throw new RateLimitError(retryAfterMs); // retryAfterMs lets callers answer with a Retry-After
     }
 
-    // Deserialize the request
-    const evalReq = this.oprfServer.deserializeEvaluationRequest(serializedEvalReq);
-    // Perform the OPRF evaluation
-    const evaluation = await this.oprfServer.performBlindEvaluate(evalReq);
+    // Perform the OPRF evaluation, in 'poprf' mode bound to the username and realm
+    const info = oprfServer.mode === 'poprf' ? encodeOPRFInfo(username, this.oprfRealm) : undefined;
+    const evaluation = await oprfServer.performBlindEvaluate(evalReq, info);
     // Serialize the response
-    const serializedEvaluation = this.oprfServer.serializeEvaluationResponse(evaluation);
+    const serializedEvaluation = oprfServer.serializeEvaluationResponse(evaluation);
     return serializedEvaluation;
   }
   
@@ -105,12 +545,40 @@ class SRPServer {
    * @returns {Object} Contains the secret and public ephemeral values in hexadecimal format.
    */
   generateEphemeral(publicVerifier) {
-    const { N, g, k } = params; // SRP modulus (N), generator (g) and Multiplier parameter (k = H(N, g) in SRP-6a)
+    const { N, g, k } = this.params; // SRP modulus (N), generator (g) and Multiplier parameter (k = H(N, g) in SRP-6a)
     const v = TypeSRP.fromHex(publicVerifier);
-    let b = TypeSRP.randomInteger(params.hashOutputBytes); // Generate random secret 'b'
+    let b = TypeSRP.randomInteger(this.params.hashOutputBytes); // Generate random secret 'b'
     const B = k.multiply(v).add(g.modPow(b, N)).mod(N); // Compute public ephemeral B = kv + g^b % N
     return { secret: b.toHex(), public: B.toHex() }; // Return secret and public values in hex
   }
+
+  /**
+   * Generate the server's ephemeral values like `generateEphemeral`, on the compute pool when one is configured.
+   * @param {string} publicVerifier - The publicVerifier (v) in hex.
+   * @returns {Promise<Object>} Contains the secret and public ephemeral values in hexadecimal format.
+   */
+  async generateEphemeralAsync(publicVerifier) {
+    const { N, g, k } = this.params;
+    const v = TypeSRP.fromHex(publicVerifier);
+    const b = TypeSRP.randomInteger(this.params.hashOutputBytes); // Generate random secret 'b'
+    const B = k.multiply(v).add(await this.modPow(g, b)).mod(N); // Compute public ephemeral B = kv + g^b % N
+    return { secret: b.toHex(), public: B.toHex() };
+  }
+
+  /**
+   * Compute base^exponent % N, on the compute pool when one is configured.
+   * @param {TypeSRP} base - The base.
+   * @param {TypeSRP} exponent - The exponent.
+   * @returns {Promise<TypeSRP>} The result.
+   * @throws {BackpressureError} If the compute pool's queue is full.
+   */
+  async modPow(base, exponent) {
+    const { N } = this.params;
+    if (!this.computePool) {
+      return base.modPow(exponent, N);
+    }
+    return TypeSRP.fromBigInt(await this.computePool.modPow(base.toBigInt(), exponent.toBigInt(), N.toBigInt()));
+  }
   
   /**
    * Derive the session key and proof based on the server's secret ephemeral, 
@@ -121,25 +589,25 @@ class SRPServer {
    * @param {string} username - The user's username.
    * @param {string} publicVerifier - The client's public verifier (v) in hex.
    * @param {string} clientSessionProof - The client's session proof in hex. 
-   * @returns {Object} Contains the session key (K) and proof (M) in hex.
+   * The outcome of the proof check is reported to the rate limit policy as a login success or failure.
+   * @returns {Promise<Object>} Contains the session key (K) and proof (M) in hex.
+   * @throws {InvalidEphemeralError|InvalidProofError|MalformedInputError} If the client's public ephemeral or session proof is invalid.
    */
-  deriveSession(serverSecretEphemeral, clientPublicEphemeral, salt, username, publicVerifier, clientSessionProof) {
-    const { N, g, k, H } = params; // SRP modulus (N), generator (g) and Multiplier parameter (k = H(N, g) in SRP-6a), H() argon2-based Hash function
+  async deriveSession(serverSecretEphemeral, clientPublicEphemeral, salt, username, publicVerifier, clientSessionProof) {
+    // Check that A is in [1, N - 1] and the proof is one hash output before any math runs
+    validate.assertEphemeral(clientPublicEphemeral, this.params, ERROR_CODES.INVALID_CLIENT_EPHEMERAL);
+    validate.assertProof(clientSessionProof, this.params);
+    const { N, g, k, H } = this.params; // SRP modulus (N), generator (g) and Multiplier parameter (k = H(N, g) in SRP-6a), H() Hash function
     const b = TypeSRP.fromHex(serverSecretEphemeral); // b = Server's secret ephemeral value
     const A = TypeSRP.fromHex(clientPublicEphemeral); // A = Client's public ephemeral value
     const s = TypeSRP.fromHex(salt); // s = User's salt
     const I = String(username); // I = Username
     const v = TypeSRP.fromHex(publicVerifier); // v = Public Verifier
 
-    const B = k.multiply(v).add(g.modPow(b, N)).mod(N); // B = kv + g^b
-    
-    // Check if client's public ephemeral (A) is valid (A % N != 0)
-    if (A.mod(N).equals(TypeSRP.ZERO)) {
-      throw new Error('Client sent an invalid public ephemeral');
-    }
+    const B = k.multiply(v).add(await this.modPow(g, b)).mod(N); // B = kv + g^b
 
     const u = H(A, B); // u = H(A, B)
-    const S = A.multiply(v.modPow(u, N)).modPow(b, N); // S = (Av^u) ^ b
+    const S = await this.modPow(A.multiply(await this.modPow(v, u)), b); // S = (Av^u) ^ b
     const K = H(S); // K = H(S)
     const M = H(H(N).xor(H(g)), H(I), s, A, B, K); // M = H(H(N) xor H(g), H(I), s, A, B, K)
 
@@ -147,8 +615,10 @@ class SRPServer {
     const actual = TypeSRP.fromHex(clientSessionProof);
 
     if (!actual.equals(expected)) {
-      throw new Error('Client sent an invalid session proof');
+      await this.recordLoginFailure(username); // A failed proof is a wrong password guess
+      throw new InvalidProofError('Client sent an invalid session proof', ERROR_CODES.INVALID_CLIENT_PROOF);
     }
+    await this.recordLoginSuccess(username);
 
     const P = H(A, M, K); // P = H(A, M, K)
 
@@ -157,6 +627,152 @@ class SRPServer {
       proof: P.toHex()
     }
   }
+
+  /**
+   * Start a login for a registered user. The secret ephemeral (b) is kept in a single-use
+   * login session on the server instead of being handed to the caller.
+   * Under enumeration protection, unknown usernames are answered from a fake record in the same shape.
+   * @param {string} username - The username.
+   * @param {string} clientPublicEphemeral - The client's public ephemeral (A) in hex.
+   * @returns {Promise<Object>} Contains the opaque `sessionId`, the server's public ephemeral `B`, the user's `salt`,
+   * the OPRF `suite` and `keyEpoch` of the verifier, the SRP `group` and `hash` it was built with, the password `kdf` and the `verifierBinding`.
+   * @throws {RecordError|InvalidEphemeralError|MalformedInputError} If the username is malformed or not registered (without enumeration protection), its record was built
+   * with another OPRF suite, SRP group or hash function, or A is invalid or was already used.
+   * @throws {BackpressureError} If the maximum number of logins is pending.
+   */
+  async startLogin(username, clientPublicEphemeral) {
+    const now = Date.now();
+
+    // Check the username, and that A is in [1, N - 1], before spending any work on them
+    validate.assertUsername(username);
+    validate.assertEphemeral(clientPublicEphemeral, this.params, ERROR_CODES.INVALID_CLIENT_EPHEMERAL);
+
+    // Under enumeration protection an unknown username gets a fake record and fails at finishLogin like a wrong password
+    const record = await this.getRecord(username) || (this.enumerationProtection && this.fakeRecord(username));
+    if (!record) {
+      throw new RecordError('Username is not registered', ERROR_CODES.USER_NOT_FOUND);
+    }
+    if (record.suite !== this.oprfSuite) {
+      throw new RecordError(`User record was built with OPRF suite ${record.suite}, the server uses ${this.oprfSuite}`, ERROR_CODES.RECORD_MISMATCH);
+    }
+    // B and the proofs are computed in the server's group, so a record of another group or hash can never log in
+    if (record.group !== this.params.groupName || record.hash !== this.params.hashName) {
+      throw new RecordError(`User record was built with SRP group ${record.group} and hash ${record.hash}, `
+        + `the server uses ${this.params.groupName} and ${this.params.hashName}`, ERROR_CODES.RECORD_MISMATCH);
+    }
+
+    // A is only claimed along with the session, so a start failing in between does not use it up
+    this.loginSessions.assertEphemeralUnused(clientPublicEphemeral, now);
+    const { secret, public: B } = await this.generateEphemeralAsync(record.verifier);
+    const sessionId = this.loginSessions.create({
+      username: record.username,
+      clientPublicEphemeral,
+      serverSecretEphemeral: secret,
+      salt: record.salt,
+      verifier: record.verifier
+    }, now);
+
+    return {
+      sessionId,
+      B,
+      salt: record.salt,
+      suite: record.suite,
+      keyEpoch: record.keyEpoch,
+      group: record.group,
+      hash: record.hash,
+      kdf: record.kdf || LEGACY_KDF, // Records created before the KDF was recorded were built without stretching
+      verifierBinding: record.verifierBinding || DEFAULT_VERIFIER_BINDING
+    };
+  }
+
+  /**
+   * Finish a login started with `startLogin`. The login session is consumed whatever the outcome,
+   * so a session proof can be checked only once per session. After a valid proof the session key is
+   * kept under the session id for a while, to authorize one `changePassword`.
+   * @param {string} sessionId - The session id returned by `startLogin`.
+   * @param {string} clientSessionProof - The client's session proof (M) in hex.
+   * @returns {Promise<Object>} Contains the session key (K) and the server's proof in hex.
+   * @throws {LoginSessionError|InvalidProofError} If the session is unknown, used or expired, or the client's proof is invalid.
+   */
+  async finishLogin(sessionId, clientSessionProof) {
+    const session = this.loginSessions.consume(sessionId, Date.now());
+    const result = await this.deriveSession(
+      session.serverSecretEphemeral,
+      session.clientPublicEphemeral,
+      session.salt,
+      session.username,
+      session.verifier,
+      clientSessionProof
+    );
+    this.loginSessions.authenticate(sessionId, { username: session.username, key: result.key }, Date.now());
+    return result;
+  }
+
+  /**
+   * Change the password of the user who just logged in: replace the salt and public verifier of the record,
+   * authorized by an HMAC under the session key (K) of the login, see util/password-change.cjs.
+   * A malformed change or one naming an unknown key epoch is rejected before the authenticated session is used;
+   * past those checks the session is consumed whatever the outcome, so a login authorizes a single change.
+   * @param {string} sessionId - The session id of a finished login.
+   * @param {Object} change - The new `salt` and `verifier` in hex, and the optional `keyEpoch`, `kdf` and `verifierBinding`
+   * they were derived with (see `updateVerifier`).
+   * @param {string} mac - The HMAC of the change under the session key, in hex.
+   * @returns {Promise<Object>} The updated record.
+   * @throws {LoginSessionError|InvalidProofError} If the login is unknown, already used or expired, or the MAC is invalid.
+   * @throws {MalformedInputError} If the salt, verifier, KDF, verifier binding or MAC is malformed.
+   * @throws {OPRFError} If the key epoch is unknown or retired.
+   */
+  async changePassword(sessionId, change, mac) {
+    // Check the new record and the MAC before the session is spent on them
+    const { salt, verifier, keyEpoch, kdf, verifierBinding } = change || {};
+    validate.assertSalt(salt, this.params);
+    validate.assertVerifier(verifier, this.params);
+    validate.assertHex(mac, 'MAC', { length: 2 * this.params.hashOutputBytes });
+    if (keyEpoch !== undefined && !this.oprfKeys.has(keyEpoch)) {
+      throw new OPRFError(`Unknown OPRF key epoch: ${keyEpoch}`, ERROR_CODES.UNKNOWN_KEY_EPOCH);
+    }
+    if (kdf) {
+      normalizeKDF(kdf);
+    }
+    if (verifierBinding) {
+      assertVerifierBinding(verifierBinding);
+    }
+
+    const session = this.loginSessions.consumeAuthenticated(sessionId, Date.now());
+    if (!verifyPasswordChangeMAC(this.params.hashName, session.key, sessionId, session.username, change, mac)) {
+      throw new InvalidProofError('Password change is not authorized by the session key', ERROR_CODES.INVALID_CHANGE_MAC);
+    }
+    return this.updateVerifier(session.username, verifier, { salt, keyEpoch, kdf, verifierBinding });
+  }
+
+  /**
+   * Compare the login start response for a registered username with the one for an unknown username,
+   * to check that enumeration protection is configured like the real records. Every field must have the
+   * same size in the JSON and binary encodings, except B, which is drawn the same way for both.
+   * The login sessions started for the comparison are finished right away.
+   * @param {string} username - A registered username.
+   * @param {string} [unknownUsername] - An unregistered username (defaults to a random one).
+   * @returns {Promise<Object>} `same`, the fields whose sizes differ in `differences`, and the per-field and total
+   * sizes of the `real` and `fake` responses.
+   */
+  async compareLoginStartResponses(username, unknownUsername = crypto.randomBytes(16).toString('hex')) {
+    const { N, g } = this.params;
+    const wireContext = { suite: this.oprfSuite, group: this.params.groupName };
+    const measure = async name => {
+      const A = g.modPow(TypeSRP.randomInteger(this.params.hashOutputBytes), N).toHex();
+      const response = await this.startLogin(name, A);
+      this.loginSessions.consume(response.sessionId, Date.now());
+      const json = toJSON('loginStartResponse', response);
+      const fields = Object.fromEntries(Object.entries(json).map(([field, value]) => [field, Buffer.byteLength(JSON.stringify(value))]));
+      return { fields, json: Buffer.byteLength(JSON.stringify(json)), binary: encodeMessage('loginStartResponse', response, wireContext).length };
+    };
+
+    const real = await measure(username);
+    const fake = await measure(unknownUsername);
+    const names = new Set([...Object.keys(real.fields), ...Object.keys(fake.fields)]);
+    const differences = [...names].filter(field => field !== 'B' && real.fields[field] !== fake.fields[field]);
+    return { same: differences.length === 0, differences, real, fake };
+  }
 }
 
 module.exports = SRPServer;
@@ -0,0 +1,92 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * UserStore is the storage contract for the user records of an SRPServer.
+ *
+ * A record is a plain JSON-serializable object created by `SRPServer.register`:
+ * `{ version, username, salt, verifier, group, hash, suite, keyEpoch, meta, createdAt, updatedAt }`.
+ * Implementations must honour the following contract:
+ *
+ * - `get(username)` resolves to a copy of the record, or null if there is none.
+ * - `create(record)` stores the record under `record.username` only if no record exists for it,
+ *   atomically, and resolves to true; it resolves to false when the username is taken.
+ * - `update(record)` replaces the existing record of `record.username` and resolves to true;
+ *   it resolves to false when there is no record to replace.
+ * - `delete(username)` removes the record and resolves to true, or to false if there was none.
+ * - Stores keep the records they are given as-is; stored records must not be mutated by callers.
+ */
+class UserStore {
+  /**
+   * Look up the record of a username.
+   * @param {string} username - The username.
+   * @returns {Promise<Object|null>} The record, or null if the username is not registered.
+   */
+  async get(username) {
+    throw new Error('UserStore.get is not implemented');
+  }
+
+  /**
+   * Store a new record unless the username is already registered.
+   * @param {Object} record - The record to store.
+   * @returns {Promise<boolean>} True if the record was stored.
+   */
+  async create(record) {
+    throw new Error('UserStore.create is not implemented');
+  }
+
+  /**
+   * Replace the record of a registered username.
+   * @param {Object} record - The new record.
+   * @returns {Promise<boolean>} True if a record was replaced.
+   */
+  async update(record) {
+    throw new Error('UserStore.update is not implemented');
+  }
+
+  /**
+   * Remove the record of a username.
+   * @param {string} username - The username.
+   * @returns {Promise<boolean>} True if a record was removed.
+   */
+  async delete(username) {
+    throw new Error('UserStore.delete is not implemented');
+  }
+}
+
+module.exports = UserStore;
@@ -0,0 +1,159 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * Benchmark of registration and login throughput against an in-process server.
+ * The legacy password KDF is used so the numbers show the SRP and OPRF cost instead of scrypt's.
+ * By default every operation runs on both TypeSRP backends, the native BigInt one and the jsbn one
+ * it replaced (tools/reference/type-srp-jsbn.cjs), after checking that their results match on the
+ * vectors of tools/type-srp-vectors.cjs. Run it before and after a change to compare,
+ * e.g. `npm run benchmark -- --iterations 50`.
+ *
+ * Usage: node tools/benchmark.cjs [--iterations 20] [--group 3072] [--hash sha256] [--backend both|bigint|jsbn]
+ */
+
+// Import necessary modules
+const { parseArgs } = require('util');
+const { performance } = require('perf_hooks');
+const { BACKENDS, loadLibrary } = require('./reference/backends.cjs');
+const { checkVectors } = require('./type-srp-vectors.cjs');
+
+/**
+ * Run an operation a number of times and report its throughput.
+ * @param {string} name - The name of the operation.
+ * @param {number} iterations - How often to run it.
+ * @param {Function} operation - Called with the iteration number, may return a promise.
+ * @returns {Promise<Object>} `name`, `msPerOp` and `opsPerSecond`.
+ */
+async function measure(name, iterations, operation) {
+  await operation(-1); // Warm up
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) {
+    await operation(i);
+  }
+  const msPerOp = (performance.now() - start) / iterations;
+  return { name, msPerOp: Number(msPerOp.toFixed(2)), opsPerSecond: Number((1000 / msPerOp).toFixed(1)) };
+}
+
+/**
+ * Measure registration, login and the SRP exchange on one TypeSRP backend.
+ * @param {string} backend - 'bigint' or 'jsbn'.
+ * @param {Object} options - `iterations`, `group` and `hash`.
+ * @returns {Promise<Object>} `params` and the `results` of `measure`.
+ */
+async function benchmark(backend, { iterations, group, hash }) {
+  const { SRPServer, SRPClient, LocalTransport, createParams, LEGACY_KDF } = loadLibrary(backend);
+  const params = createParams({ group, hash });
+
+  // No rate limit: every iteration evaluates the OPRF for a new username
+  const server = new SRPServer(60*1000, Number.MAX_SAFE_INTEGER, { params });
+  const servers = [new LocalTransport('server-1', server)];
+  const client = new SRPClient({ params, kdf: LEGACY_KDF, kdfLimits: { allowLegacy: true } });
+  const password = 'benchmark password';
+  const username = i => `user-${i}`;
+
+  const results = [];
+  results.push(await measure('register', iterations, async i => {
+    if (!(await client.register(username(i), password, servers)).ok) {
+      throw new Error('Registration failed');
+    }
+  }));
+  results.push(await measure('login', iterations, async i => {
+    if (!(await client.login(username(i), password, servers)).ok) {
+      throw new Error('Login failed');
+    }
+  }));
+
+  // The SRP exchange alone, without the OPRF and the transports
+  const record = await server.getRecord(username(0));
+  const x = (await client.deriveVerifierHashFromServers(servers, record.salt, username(0), password, LEGACY_KDF, [], client.requestOptions)).verifierHash;
+  results.push(await measure('srp exchange', iterations, async () => {
+    const clientEphemeral = client.generateEphemeral();
+    const serverEphemeral = server.generateEphemeral(record.verifier);
+    const clientSession = await client.deriveSession(clientEphemeral.secret, serverEphemeral.public, record.salt, username(0), x);
+    const serverSession = await server.deriveSession(serverEphemeral.secret, clientEphemeral.public, record.salt, username(0), record.verifier, clientSession.proof);
+    client.verifySession(clientEphemeral.public, clientSession, serverSession.proof);
+  }));
+  return { params, results };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      iterations: { type: 'string', default: '20' },
+      group: { type: 'string', default: '3072' },
+      hash: { type: 'string', default: 'sha256' },
+      backend: { type: 'string', default: 'both' }
+    }
+  });
+  const iterations = Number(values.iterations);
+  const group = /^\d+$/.test(values.group) ? Number(values.group) : values.group;
+  const backends = values.backend === 'both' ? BACKENDS : [values.backend];
+  if (!backends.every(backend => BACKENDS.includes(backend))) {
+    throw new Error(`Unknown backend: ${values.backend} (supported: both, ${BACKENDS.join(', ')})`);
+  }
+
+  // Comparing speeds only makes sense if both backends compute the same values
+  const { count, mismatches } = checkVectors();
+  if (mismatches.length) {
+    throw new Error(`${mismatches.length} of ${count} vectors differ between the backends, run tools/type-srp-vectors.cjs`);
+  }
+
+  const rows = {};
+  let params;
+  for (const backend of backends) {
+    const run = await benchmark(backend, { iterations, group, hash: values.hash });
+    params = run.params;
+    for (const { name, msPerOp, opsPerSecond } of run.results) {
+      rows[name] = { ...rows[name], [`${backend} ms/op`]: msPerOp, [`${backend} ops/s`]: opsPerSecond };
+    }
+  }
+  if (backends.length === BACKENDS.length) {
+    for (const row of Object.values(rows)) {
+      row.speedup = `${(row['jsbn ms/op'] / row['bigint ms/op']).toFixed(1)}x`;
+    }
+  }
+
+  console.log(`${params.groupName} with ${params.hashName}, ${iterations} iterations on node ${process.versions.node}, ${count} vectors match`);
+  console.table(rows);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
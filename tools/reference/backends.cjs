@@ -0,0 +1,103 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * Loads the library on either TypeSRP backend, so tools can compare the native BigInt backend
+ * with the jsbn backend it replaced (tools/reference/type-srp-jsbn.cjs).
+ */
+
+// Import necessary modules
+const path = require('path');
+const Module = require('module');
+
+const ROOT = path.resolve(__dirname, '../..');
+const TYPE_SRP_PATH = require.resolve('../../util/type-srp.cjs');
+const JSBN_TYPE_SRP_PATH = require.resolve('./type-srp-jsbn.cjs');
+
+const BACKENDS = Object.freeze(['bigint', 'jsbn']);
+
+/**
+ * Drops the library's modules from the require cache, leaving dependencies and the references.
+ */
+function purgeLibrary() {
+  for (const filename of Object.keys(require.cache)) {
+    if (filename.startsWith(ROOT) && !filename.includes(`${path.sep}node_modules${path.sep}`) && !filename.startsWith(__dirname)) {
+      delete require.cache[filename];
+    }
+  }
+}
+
+/**
+ * Loads a fresh copy of the library on a TypeSRP backend. Copies loaded earlier keep their backend.
+ * Worker threads of a compute pool always load the BigInt backend.
+ * 
+ * @param {string} backend - 'bigint' or 'jsbn'.
+ * @returns {Object} `TypeSRP`, `SRPServer`, `SRPClient`, `LocalTransport`, `createParams`,
+ *   `createHashFunction` and `LEGACY_KDF` of that copy.
+ * @throws {Error} If the backend is unknown.
+ */
+function loadLibrary(backend) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown TypeSRP backend '${backend}' (expected ${BACKENDS.join(' or ')})`);
+  }
+  purgeLibrary();
+  if (backend === 'jsbn') {
+    // Every require of util/type-srp.cjs now resolves to the reference
+    const entry = new Module(TYPE_SRP_PATH, module);
+    entry.filename = TYPE_SRP_PATH;
+    entry.exports = require(JSBN_TYPE_SRP_PATH);
+    entry.loaded = true;
+    require.cache[TYPE_SRP_PATH] = entry;
+  }
+  const library = {
+    TypeSRP: require('../../util/type-srp.cjs'),
+    SRPServer: require('../../server/SRPServer.cjs'),
+    SRPClient: require('../../client/SRPClient.cjs'),
+    LocalTransport: require('../../client/LocalTransport.cjs'),
+    createParams: require('../../util/params.cjs').createParams,
+    createHashFunction: require('../../util/hash.cjs').createHashFunction,
+    LEGACY_KDF: require('../../util/kdf.cjs').LEGACY_KDF
+  };
+  purgeLibrary();
+  return library;
+}
+
+module.exports = {
+  BACKENDS,
+  loadLibrary
+};
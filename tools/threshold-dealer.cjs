@@ -0,0 +1,97 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * Trusted-dealer setup of a threshold OPRF: splits a new (or existing) OPRF key into
+ * Shamir shares and writes one keystore per server. Load each share with `SRPServer.fromKeystore`
+ * and give the clients the share index of every server id (`oprfThreshold.shareIndices`).
+ * Run it on an offline machine and delete the master key, if one was given, afterwards.
+ *
+ * Usage: node tools/threshold-dealer.cjs --threshold 2 --shares 3 --out ./shares
+ *          [--suite P256-SHA256] [--key <hex>] [--passphrase-env VARIABLE]
+ */
+
+// Import necessary modules
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const keystore = require('../util/keystore.cjs');
+const { dealKeyShares } = require('../util/threshold.cjs');
+const { DEFAULT_SUITE } = require('../util/oprf-suites.cjs');
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      threshold: { type: 'string' },
+      shares: { type: 'string' },
+      out: { type: 'string' },
+      suite: { type: 'string', default: DEFAULT_SUITE },
+      key: { type: 'string' },
+      'passphrase-env': { type: 'string' }
+    }
+  });
+  if (!values.threshold || !values.shares || !values.out) {
+    throw new Error('Usage: threshold-dealer --threshold <t> --shares <n> --out <directory> [--suite <suite>] [--key <hex>] [--passphrase-env <variable>]');
+  }
+
+  // Passphrases are read from the environment so they do not end up in the shell history
+  let passphrase;
+  if (values['passphrase-env'] !== undefined) {
+    passphrase = process.env[values['passphrase-env']];
+    if (!passphrase) {
+      throw new Error(`Environment variable ${values['passphrase-env']} is empty`);
+    }
+  }
+
+  const threshold = Number(values.threshold);
+  const { suite, shares } = await dealKeyShares(threshold, Number(values.shares), { suite: values.suite, key: values.key });
+
+  fs.mkdirSync(values.out, { recursive: true });
+  for (const { index, key } of shares) {
+    const file = path.join(values.out, `share-${index}.json`);
+    // Refuse to overwrite shares of an earlier dealing, which would mix incompatible shares
+    fs.writeFileSync(file, keystore.exportKeystore(key, { passphrase, suite }), { mode: 0o600, flag: 'wx' });
+    console.log(`Share ${index} of ${shares.length} written to ${file}`);
+  }
+  console.log(`Any ${threshold} of the ${shares.length} servers can evaluate the OPRF (suite ${suite}).`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
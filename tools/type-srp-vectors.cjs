@@ -0,0 +1,136 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * Checks that the native BigInt backend of TypeSRP gives the same results as the jsbn backend it
+ * replaced (tools/reference/type-srp-jsbn.cjs) on fixed vectors: hex round trips, the padding of
+ * `mod`, `subtract`, `xor` and `divide`, the SRP computations of both sides and the hashes over them.
+ * Invalid hex and division by zero are left out, their behaviour changed on purpose (see the README).
+ *
+ * Usage: node tools/type-srp-vectors.cjs
+ */
+
+// Import necessary modules
+const { BACKENDS, loadLibrary } = require('./reference/backends.cjs');
+
+const GROUPS = [1024, 2048, 3072];
+const HASHES = ['sha256', 'sha512'];
+
+/**
+ * Compute the vectors on one backend.
+ * @param {Object} library - The library as returned by `loadLibrary`.
+ * @returns {Array<Object>} `name` and `hex` of every vector, in a fixed order.
+ */
+function computeVectors({ TypeSRP, createParams }) {
+  const vectors = [];
+  const add = (name, value) => vectors.push({ name, hex: value.toHex() });
+
+  for (const hex of ['0', '00', '00ff', 'abc', '0001', 'ABCDEF', '-1f']) {
+    add(`fromHex('${hex}')`, TypeSRP.fromHex(hex));
+  }
+  add('fromBigInt(0)', TypeSRP.fromBigInt(0n));
+  add('fromBigInt(2^130 + 1)', TypeSRP.fromBigInt(2n ** 130n + 1n));
+  add('mod keeps the length', TypeSRP.fromHex('000000ff').mod(TypeSRP.fromHex('10')));
+  add('subtract keeps the length', TypeSRP.fromHex('00ff').subtract(TypeSRP.fromHex('0f')));
+  add('subtract below zero', TypeSRP.fromHex('0f').subtract(TypeSRP.fromHex('ff')));
+  add('xor keeps the length', TypeSRP.fromHex('00ff00').xor(TypeSRP.fromHex('0ff0')));
+  add('divide keeps the length', TypeSRP.fromHex('000100').divide(TypeSRP.fromHex('02')));
+  add('add', TypeSRP.fromHex('00ff').add(TypeSRP.ONE));
+  add('multiply', TypeSRP.fromHex('00ff').multiply(TypeSRP.fromHex('0100')));
+
+  for (const group of GROUPS) {
+    for (const hash of HASHES) {
+      const { N, g, k, H } = createParams({ group, hash });
+      const prefix = `${group}/${hash}`;
+      const salt = TypeSRP.fromHex('abc'); // Odd length on purpose
+      const x = H(salt, H('alice:password'));
+      const a = H('vector a');
+      const b = H('vector b');
+
+      const v = g.modPow(x, N);
+      const A = g.modPow(a, N);
+      const B = k.multiply(v).add(g.modPow(b, N)).mod(N);
+      const u = H(A, B);
+      const serverS = A.multiply(v.modPow(u, N)).modPow(b, N);
+      const clientS = B.subtract(k.multiply(g.modPow(x, N))).modPow(a.add(u.multiply(x)), N);
+      const K = H(serverS);
+      const M = H(H(N).xor(H(g)), H('alice'), salt, A, B, K);
+
+      add(`${prefix} k = H(N, g)`, k);
+      add(`${prefix} v`, v);
+      add(`${prefix} A`, A);
+      add(`${prefix} B`, B);
+      add(`${prefix} u = H(A, B)`, u);
+      add(`${prefix} S (server)`, serverS);
+      add(`${prefix} S (client)`, clientS);
+      add(`${prefix} B - kv`, B.subtract(k.multiply(v)));
+      add(`${prefix} M`, M);
+      add(`${prefix} H(A, M, K)`, H(A, M, K));
+    }
+  }
+  return vectors;
+}
+
+/**
+ * Compute the vectors on both backends and compare them.
+ * @returns {Object} `count`, the number of vectors, and `mismatches`, the vectors whose
+ *   results differ, each with `name`, `bigint` and `jsbn`.
+ */
+function checkVectors() {
+  const [bigint, jsbn] = BACKENDS.map(backend => computeVectors(loadLibrary(backend)));
+  const mismatches = [];
+  bigint.forEach((vector, i) => {
+    if (vector.hex !== jsbn[i].hex) {
+      mismatches.push({ name: vector.name, bigint: vector.hex, jsbn: jsbn[i].hex });
+    }
+  });
+  return { count: bigint.length, mismatches };
+}
+
+module.exports = {
+  checkVectors
+};
+
+if (require.main === module) {
+  const { count, mismatches } = checkVectors();
+  for (const { name, bigint, jsbn } of mismatches) {
+    console.error(`${name}: ${bigint} (bigint) != ${jsbn} (jsbn)`);
+  }
+  console.log(`${count - mismatches.length} of ${count} vectors match the jsbn backend`);
+  process.exitCode = mismatches.length ? 1 : 0;
+}
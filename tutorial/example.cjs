@@ -3,6 +3,27 @@
 // Import SRPClient and SRPServer modules to simulate client-server communication
 const SRPServer = require('../server/SRPServer.cjs'); 
 const SRPClient = require('../client/SRPClient.cjs'); 
+const LocalTransport = require('../client/LocalTransport.cjs');
+const HTTPTransport = require('../client/HTTPTransport.cjs');
+const HTTPHandler = require('../server/HTTPHandler.cjs');
+const { WIRE_CONTENT_TYPE, encodeMessage, decodeMessage } = require('../util/wire.cjs');
+const { createParams } = require('../util/params.cjs');
+const { LEGACY_KDF } = require('../util/kdf.cjs');
+const { dealKeyShares } = require('../util/threshold.cjs');
+const keystore = require('../util/keystore.cjs');
+const { ComputePool } = require('../util/compute-pool.cjs');
+const { ERROR_CODES, SRPError, RateLimitError, InvalidProofError } = require('../util/errors.cjs');
+const { MAX_USERNAME_BYTES } = require('../util/validate.cjs');
+const MemoryRateLimitStore = require('../server/MemoryRateLimitStore.cjs');
+const FileRateLimitStore = require('../server/FileRateLimitStore.cjs');
+const FileUserStore = require('../server/FileUserStore.cjs');
+const runRateLimitStoreConformance = require('../server/RateLimitStoreConformance.cjs');
+const { SlidingWindowPolicy, TokenBucketPolicy, ExponentialBackoffPolicy, LoginOutcomePolicy, TieredLockoutPolicy, composePolicies } = require('../server/RateLimitPolicies.cjs');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 
 /**
  * Function to run the Single Server Oblivious SRP protocol simulation.
@@ -92,7 +113,7 @@ async function runSingleServerSRPTest() {
 
   // Step 6: Server derives the session key using its secret, client's public ephemeral, salt, username, and the public verifier
   // Note: If client's provided session proof is valid, then server proceeds to generate its session proof.
-  const serverderivedSession = server.deriveSession(
+  const serverderivedSession = await server.deriveSession(
     serverephemeralValues.secret, 
     clientephemeralValues.public, 
     salt, 
@@ -118,14 +139,14 @@ async function runDualServerSRPTest() {
   const client = new SRPClient();
   const OPRFrateLimitWindowMs = 60*1000;
   const OPRFrateLimitMaxRequests = 3;
-  const server1 = new SRPServer(OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests);
-  const server2 = new SRPServer(OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests);
+  let server1 = new SRPServer(OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests);
+  let server2 = new SRPServer(OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests);
 
-  const server1oprfKey = server1.oprfKey; // Securely store the uint8array oprf key used by server1 for later reuse in login
-  const server2oprfKey = server2.oprfKey; // Securely store the uint8array oprf key used by server2 for later reuse in login
+  const server1Keystore = server1.exportKeystore('server1 passphrase'); // Securely store the encrypted oprf key used by server1 for later reuse in login
+  const server2Keystore = server2.exportKeystore(); // Securely store the (unencrypted) oprf key used by server2 for later reuse in login
 
-  console.log('Key used by Server in OPRF:', server1oprfKey);
-  console.log('Key used by Server in OPRF:', server2oprfKey);
+  console.log('Keystore of Server 1:', server1Keystore);
+  console.log('Keystore of Server 2:', server2Keystore);
 
   // Registration Begins:
   console.log('Registration Simulation Begins...');
@@ -163,6 +184,10 @@ async function runDualServerSRPTest() {
   const v = client.derivePublicVerifier(x);
   console.log('Derived common public verifier v:', v);
   
+  // Simulate a restart of both servers: the OPRF keys are restored from their keystores
+  server1 = SRPServer.fromKeystore(server1Keystore, 'server1 passphrase', OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests);
+  server2 = SRPServer.fromKeystore(server2Keystore, undefined, OPRFrateLimitWindowMs, OPRFrateLimitMaxRequests);
+
   // Login Begins
   console.log('Login Simulation Begins...');
   // Step 1: Client generates ephemeral values (random public/private key pair)
@@ -218,7 +243,7 @@ async function runDualServerSRPTest() {
 
   // Step 6: Server derives the session key using its secret, client's public ephemeral, salt, username, and the public verifier
   // Note: If client's provided session proof is valid, then server proceeds to generate its session proof.
-  const server1derivedSession = server1.deriveSession(
+  const server1derivedSession = await server1.deriveSession(
     server1ephemeralValues.secret, 
     clientephemeralValues.public, 
     salt, 
@@ -228,7 +253,7 @@ async function runDualServerSRPTest() {
   );
   console.log('Server 1 Derived Session Key:', server1derivedSession.key); // The server's derived session key
   console.log('Server 1 Proof of Session:', server1derivedSession.proof); // Server's proof of the session
-  const server2derivedSession = server2.deriveSession(
+  const server2derivedSession = await server2.deriveSession(
     server2ephemeralValues.secret, 
     clientephemeralValues.public, 
     salt, 
@@ -245,6 +270,755 @@ async function runDualServerSRPTest() {
   console.log('Oblivious SRP Completed!'); // Successful SRP exchange
 }
 
+/**
+ * Function to run registration and login against several servers with SRPClient.register and SRPClient.login.
+ * The client drives the steps of runDualServerSRPTest itself, reaching every server through a transport.
+ */
+async function runMultiServerOrchestrationTest() {
+  console.log("MULTI SERVER ORCHESTRATION BEGINS...");
+  const client = new SRPClient();
+  const servers = [
+    new LocalTransport('server-b', new SRPServer(60*1000, 10)),
+    new LocalTransport('server-a', new SRPServer(60*1000, 10)),
+    new LocalTransport('server-c', new SRPServer(60*1000, 10))
+  ];
+  const username = 'testuser';
+  const password = 'testpassword';
+
+  const registration = await client.register(username, password, servers);
+  console.log('Registered on:', registration.records.map(result => result.serverId).join(', '));
+
+  // The order of the transports does not matter, the OPRF outputs are combined in the order of the server ids
+  const login = await client.login(username, password, [...servers].reverse());
+  for (const session of login.sessions) {
+    console.log(`Logged in on ${session.serverId}, session key:`, session.key);
+  }
+
+  // Failed logins report why each server failed
+  const describe = result => result.failures.map(failure => `${failure.serverId}: ${failure.reason}`).join(', ');
+  console.log('Login with wrong password:', describe(await client.login(username, 'wrongpassword', servers)));
+
+  // A server that cannot be reached once is retried with jittered backoff
+  let refusals = 1;
+  const flaky = Object.create(servers[0]);
+  flaky.startLogin = async (...args) => {
+    if (refusals-- > 0) {
+      throw Object.assign(new Error('connect ECONNREFUSED'), { unavailable: true });
+    }
+    return servers[0].startLogin(...args);
+  };
+  console.log('Login with a flaky server succeeded:', (await client.login(username, password, [flaky, servers[1], servers[2]])).ok);
+
+  // A server that never answers fails after its deadline and retries; no server accepts the login without its OPRF output
+  const silent = Object.create(servers[2]);
+  silent.evaluateOPRF = () => new Promise(() => {});
+  console.log('Login with a silent server:', describe(await client.login(username, password, [servers[0], servers[1], silent], { timeoutMs: 200, retries: 1 })));
+
+  // A rate limited server reports it
+  const limited = new LocalTransport('server-d', new SRPServer(60*1000, 1));
+  await client.register(username, password, [limited]);
+  console.log('Login with a rate limited server:', describe(await client.login(username, password, [limited])));
+  console.log("MULTI SERVER ORCHESTRATION COMPLETED!");
+}
+
+/**
+ * Function to run registration and login over HTTP against two servers on localhost.
+ */
+async function runHTTPTest() {
+  console.log("HTTP TRANSPORT BEGINS...");
+  const client = new SRPClient();
+
+  // Start two servers on free ports
+  const httpServers = [];
+  const transports = [];
+  for (const id of ['server-1', 'server-2']) {
+    const httpServer = http.createServer(new HTTPHandler(new SRPServer(60*1000, 10), { basePath: '/srp' }).handle);
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    httpServers.push(httpServer);
+    // server-2 is reached with binary messages instead of JSON
+    transports.push(new HTTPTransport(id, `http://127.0.0.1:${httpServer.address().port}/srp`, { format: id === 'server-2' ? 'binary' : 'json' }));
+  }
+  console.log('Listening on:', transports.map(transport => transport.baseUrl).join(', '));
+
+  try {
+    const username = 'testuser';
+    const password = 'testpassword';
+    console.log('Registered over HTTP:', (await client.register(username, password, transports)).ok);
+
+    const login = await client.login(username, password, transports);
+    for (const session of login.sessions) {
+      console.log(`Logged in over HTTP on ${session.serverId}, session key:`, session.key);
+    }
+
+    const failed = await client.login(username, 'wrongpassword', transports);
+    console.log('Login with wrong password over HTTP:', failed.failures.map(failure => `${failure.serverId}: ${failure.reason} (${failure.error.status})`).join(', '));
+
+    // Bodies above the limit are refused
+    const response = await fetch(`${transports[0].baseUrl}/login/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, A: 'ab'.repeat(20000) })
+    });
+    console.log('Oversized body answered with:', response.status, (await response.json()).error.message);
+
+    // Binary messages are decoded strictly
+    const message = encodeMessage('loginStartRequest', { username, A: 'abc' }, transports[1].wireContext);
+    for (const [label, body] of [['Trailing bytes', Buffer.concat([message, Buffer.from([0])])], ['Unknown version', Buffer.concat([Buffer.from([99]), message.subarray(1)])]]) {
+      const rejected = await fetch(`${transports[1].baseUrl}/login/start`, { method: 'POST', headers: { 'Content-Type': WIRE_CONTENT_TYPE }, body });
+      const { fields } = decodeMessage(new Uint8Array(await rejected.arrayBuffer()), 'error');
+      console.log(`${label} answered with:`, rejected.status, fields.message, fields.details || '');
+    }
+
+    // A server that is down is reported as unavailable
+    const down = new HTTPTransport('server-3', 'http://127.0.0.1:1/srp');
+    const unavailable = await client.login(username, password, [...transports, down], { retries: 0 });
+    console.log('Login with a server that is down:', unavailable.failures.map(failure => `${failure.serverId}: ${failure.reason}`).join(', '));
+
+    // A server that never answers times out, and the request is cancelled instead of left open
+    let cancelled = 0;
+    const hanging = http.createServer(request => request.socket.on('close', () => cancelled++));
+    await new Promise(resolve => hanging.listen(0, '127.0.0.1', resolve));
+    httpServers.push(hanging);
+    const stalled = await client.login(username, password, [...transports, new HTTPTransport('server-3', `http://127.0.0.1:${hanging.address().port}/srp`)], { timeoutMs: 200, retries: 0 });
+    await new Promise(resolve => setTimeout(resolve, 50)); // Lets the server see the connection close
+    console.log('Login with a hanging server:', stalled.failures.map(failure => `${failure.serverId}: ${failure.reason}`).join(', '), '- requests cancelled:', cancelled);
+  } finally {
+    for (const httpServer of httpServers) {
+      httpServer.closeAllConnections();
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  }
+  console.log("HTTP TRANSPORT COMPLETED!");
+}
+
+/**
+ * Function to run registration and login in verifiable OPRF (VOPRF) mode.
+ * The client pins the public key of every server and detects a server evaluating with another key.
+ */
+async function runVerifiableOPRFTest() {
+  console.log("VERIFIABLE OPRF BEGINS...");
+  const client = new SRPClient({ oprfMode: 'voprf' });
+  const server1 = new SRPServer(60*1000, 10, { oprfMode: 'voprf' });
+  const server2 = new SRPServer(60*1000, 10, { oprfMode: 'voprf' });
+  const servers = [new LocalTransport('server-1', server1), new LocalTransport('server-2', server2)];
+  const username = 'testuser';
+  const password = 'testpassword';
+
+  // The public keys are published by the servers and pinned by the client, e.g. from its configuration
+  for (const [i, server] of [server1, server2].entries()) {
+    const { epoch, publicKey } = server.getPublicKey();
+    console.log(`Public key of server-${i + 1} (epoch ${epoch}):`, Buffer.from(publicKey).toString('hex'));
+    client.pinPublicKey(`server-${i + 1}`, publicKey, epoch);
+  }
+
+  const registration = await client.register(username, password, servers);
+  console.log('Registered with verified evaluations:', registration.ok, 'mode:', registration.records[0].record.mode);
+  const login = await client.login(username, password, servers);
+  console.log('Logged in with verified evaluations:', login.ok);
+
+  // Server 2 turns malicious and evaluates with another key, e.g. to fingerprint the user
+  const honestHandler = server2.oprfServers.get(server2.currentEpoch);
+  server2.oprfServer.server = new SRPServer(60*1000, 10, { oprfMode: 'voprf' }).oprfServer.server;
+  const detected = await client.login(username, password, servers);
+  console.log('Login with a misbehaving server:', detected.failures.map(failure => `${failure.serverId}: ${failure.reason} (${failure.error.name})`).join(', '));
+  server2.oprfServer.server = honestHandler.server;
+  console.log("VERIFIABLE OPRF COMPLETED!");
+}
+
+/**
+ * Function to run registration and login in partially-oblivious OPRF (POPRF) mode.
+ * Every evaluation is bound to the username and realm, so it cannot be reused for another username.
+ */
+async function runPartiallyObliviousOPRFTest() {
+  console.log("PARTIALLY OBLIVIOUS OPRF BEGINS...");
+  const options = { oprfMode: 'poprf', oprfRealm: 'example.com' };
+  const client = new SRPClient(options);
+  const server1 = new SRPServer(60*1000, 10, options);
+  const server2 = new SRPServer(60*1000, 10, options);
+  const servers = [new LocalTransport('server-1', server1), new LocalTransport('server-2', server2)];
+
+  console.log('Registered alice:', (await client.register('alice', 'same password', servers)).ok);
+  console.log('Registered bob:', (await client.register('bob', 'same password', servers)).ok);
+  console.log('Logged in alice:', (await client.login('alice', 'same password', servers)).ok);
+
+  // The same blinded input evaluated for two usernames gives unrelated outputs
+  const { publicKey } = server1.getPublicKey();
+  const blindEval = await client.blindEvalOPRFInput(client.derivePrivateVerifier(await client.derivePrivateKey(client.generateSalt(), 'alice', 'same password')));
+  const evaluationForAlice = await server1.performOPRFEval('alice', blindEval.serializedEvalReq);
+  const evaluationForBob = await server1.performOPRFEval('bob', blindEval.serializedEvalReq);
+  console.log('Output for alice:', await client.finalizeOPRF(evaluationForAlice, blindEval.finData, publicKey, 'alice'));
+  console.log('Output for bob:  ', await client.finalizeOPRF(evaluationForBob, blindEval.finData, publicKey, 'bob'));
+
+  // An evaluation obtained under one username does not verify for another
+  await client.finalizeOPRF(evaluationForBob, blindEval.finData, publicKey, 'alice')
+    .catch(err => console.log('Evaluation for bob used as alice:', err.name, '-', err.message));
+  console.log("PARTIALLY OBLIVIOUS OPRF COMPLETED!");
+}
+
+/**
+ * Function to run registration and login under the OPRF ciphersuites other than P-256.
+ * Keys are generated for the chosen suite, and mismatched suites fail with a clear error.
+ */
+async function runOPRFSuiteTest() {
+  console.log("OPRF CIPHERSUITES BEGIN...");
+  const username = 'testuser';
+  const password = 'testpassword';
+
+  for (const oprfSuite of ['P384-SHA384', 'P521-SHA512', 'ristretto255-SHA512']) {
+    const server = new SRPServer(60*1000, 10, { oprfSuite, oprfMode: 'voprf' });
+    const restored = SRPServer.fromKeystore(server.exportKeystore(), undefined, 60*1000, 10, { oprfMode: 'voprf', userStore: server.userStore });
+    const client = new SRPClient({ oprfSuite, oprfMode: 'voprf' });
+    await client.register(username, password, [new LocalTransport('server-1', server)]);
+    const login = await client.login(username, password, [new LocalTransport('server-1', restored)]);
+    console.log(`${oprfSuite}: key of ${server.oprfKey.length} bytes, restored from keystore as ${restored.oprfSuite}, login ok:`, login.ok);
+  }
+
+  // A client using another suite than the server's records fails clearly
+  const server = new SRPServer(60*1000, 10);
+  await new SRPClient().register(username, password, [new LocalTransport('server-1', server)]);
+  const mismatched = await new SRPClient({ oprfSuite: 'P384-SHA384' }).login(username, password, [new LocalTransport('server-1', server)]);
+  console.log('Client with another suite:', mismatched.failures.map(failure => failure.error.message).join(', '));
+
+  // So does a server restarted with another suite over the same records
+  const switched = new SRPServer(60*1000, 10, { oprfSuite: 'P521-SHA512', userStore: server.userStore });
+  await switched.startLogin(username, new SRPClient().generateEphemeral().public).catch(err => console.log('Server with another suite:', err.message));
+  console.log("OPRF CIPHERSUITES COMPLETED!");
+}
+
+/**
+ * Function to run registrations and logins under several SRP groups and hash functions,
+ * and a login against a server configured with another group than the user's record.
+ */
+async function runSRPParamsTest() {
+  console.log("SRP GROUPS AND HASHES BEGIN...");
+  const username = 'testuser';
+  const password = 'testpassword';
+
+  for (const { group, hash } of [{ group: 1024, hash: 'sha256' }, { group: 'rfc5054-2048', hash: 'sha512' }, { group: 4096, hash: 'sha384' }]) {
+    const params = createParams({ group, hash });
+    const server = new SRPServer(60*1000, 10, { params });
+    const client = new SRPClient({ params: { group, hash } });
+    await client.register(username, password, [new LocalTransport('server-1', server)]);
+    const login = await client.login(username, password, [new LocalTransport('server-1', server)]);
+    console.log(`${params.groupName} with ${params.hashName}: salt of ${client.generateSalt().length / 2} bytes, login ok:`, login.ok);
+  }
+
+  // Records remember their group and hash, so a server restarted with others rejects them clearly
+  const server = new SRPServer(60*1000, 10);
+  await new SRPClient().register(username, password, [new LocalTransport('server-1', server)]);
+  const switched = new SRPServer(60*1000, 10, { oprfKey: server.oprfKey, params: { group: 2048 }, userStore: server.userStore });
+  const mismatched = await new SRPClient({ params: { group: 2048 } }).login(username, password, [new LocalTransport('server-1', switched)]);
+  console.log('Server with another group:', mismatched.failures.map(failure => failure.error.message).join(', '));
+  try {
+    createParams({ group: 512 });
+  } catch (err) {
+    console.log('Unsupported group:', err.message);
+  }
+  console.log("SRP GROUPS AND HASHES COMPLETED!");
+}
+
+/**
+ * Function to run registrations and logins with memory-hard password KDFs.
+ * The KDF is stored with the record and returned by startLogin, and records of the
+ * legacy unstretched derivation keep working.
+ */
+async function runPasswordKDFTest() {
+  console.log("PASSWORD KDF BEGINS...");
+  const password = 'testpassword';
+  const server = new SRPServer(60*1000, 10);
+  const servers = [new LocalTransport('server-1', server)];
+
+  // scrypt with custom costs; the login reads them from the record, whatever the client's own KDF
+  const client = new SRPClient({ kdf: { name: 'scrypt', N: 16384, r: 8, p: 1 } });
+  await client.register('alice', password, servers);
+  console.log('Stored KDF:', (await server.getRecord('alice')).kdf);
+  console.log('KDF at login start:', (await server.startLogin('alice', client.generateEphemeral().public)).kdf);
+  console.log('Login with the default client KDF ok:', (await new SRPClient().login('alice', password, servers)).ok);
+
+  // Every guess pays the KDF, compared to a single hash before
+  const salt = client.generateSalt();
+  let start = Date.now();
+  await client.derivePrivateKey(salt, 'alice', 'guess');
+  const stretchedMs = Date.now() - start;
+  start = Date.now();
+  await client.derivePrivateKey(salt, 'alice', 'guess', LEGACY_KDF);
+  console.log(`Private key of a guess: scrypt ${stretchedMs}ms, legacy hash ${Date.now() - start}ms`);
+
+  // A record registered without a KDF was built with the legacy derivation and still logs in
+  const legacyVerifier = await (async () => {
+    const privateVerifier = client.derivePrivateVerifier(await client.derivePrivateKey(salt, 'bob', password, LEGACY_KDF));
+    const blindEval = await client.blindEvalOPRFInput(privateVerifier);
+    const evaluationResp = await server.performOPRFEval('bob', blindEval.serializedEvalReq);
+    return client.derivePublicVerifier(await client.deriveVerifierHash(privateVerifier, await client.finalizeOPRF(evaluationResp, blindEval.finData)));
+  })();
+  await server.register('bob', salt, legacyVerifier);
+  try {
+    await client.login('bob', password, servers);
+  } catch (err) {
+    console.log('Legacy record login without opt-in:', err.code);
+  }
+  console.log('Legacy record login ok:', (await new SRPClient({ kdfLimits: { allowLegacy: true } }).login('bob', password, servers)).ok);
+
+  // A server cannot demand more memory than the client accepts
+  const hungry = new SRPServer(60*1000, 10, { enumerationProtection: { secret: crypto.randomBytes(32), kdf: { name: 'scrypt', N: 1 << 20, r: 16, p: 1 } } });
+  await client.login('mallory', password, [new LocalTransport('server-2', hungry)]).catch(err => console.log('Login with a 2 GiB scrypt:', err.code));
+
+  // Argon2id needs an implementation, from node's crypto module or registered with registerKDF
+  const argon2Client = new SRPClient({ kdf: { name: 'argon2id', memoryKiB: 19456, iterations: 2, parallelism: 1 } });
+  await argon2Client.register('carol', password, servers)
+    .then(result => console.log('Argon2id registration ok:', result.ok))
+    .catch(err => console.log('Argon2id registration:', err.message));
+  try {
+    new SRPClient({ kdf: { name: 'scrypt', N: 1000 } });
+  } catch (err) {
+    console.log('Invalid KDF:', err.message);
+  }
+  console.log("PASSWORD KDF COMPLETED!");
+}
+
+/**
+ * Function to run a threshold OPRF simulation: one OPRF key is Shamir-shared 2-of-3 by a trusted dealer,
+ * so logins succeed while any one server is down and fail once two are. A server answering under the wrong
+ * share is detected among three servers and outvoted among four.
+ */
+async function runThresholdOPRFTest() {
+  console.log("THRESHOLD OPRF BEGINS...");
+  const username = 'testuser';
+  const password = 'testpassword';
+
+  const masterKey = keystore.generateOPRFKey();
+  const { shares } = await dealKeyShares(2, 3, { key: masterKey });
+  const servers = shares.map(share => new LocalTransport(`server-${share.index}`, SRPServer.fromKey(share.key, 60*1000, 10)));
+  const shareIndices = Object.fromEntries(shares.map(share => [`server-${share.index}`, share.index]));
+  const client = new SRPClient({ oprfThreshold: { threshold: 2, shareIndices } });
+  console.log('Registered on all servers:', (await client.register(username, password, servers)).ok);
+
+  // A server that is down refuses every call
+  const down = server => {
+    const transport = Object.create(server);
+    transport.evaluateOPRF = transport.startLogin = async () => {
+      throw Object.assign(new Error('connect ECONNREFUSED'), { unavailable: true });
+    };
+    return transport;
+  };
+  const options = { retries: 0 };
+  for (let i = 0; i < servers.length; i++) {
+    const available = servers.map((server, j) => (i === j ? down(server) : server));
+    const login = await client.login(username, password, available, options);
+    console.log(`Login with ${servers[i].id} down ok:`, login.ok, 'sessions on', login.sessions.map(session => session.serverId).join(', '));
+  }
+  const tooFew = await client.login(username, password, [down(servers[0]), down(servers[1]), servers[2]], options);
+  console.log('Login with two servers down:', tooFew.ok, tooFew.failures.map(failure => `${failure.serverId}: ${failure.reason}`).join(', '));
+
+  // The combined evaluation equals that of the whole key: a single server holding it accepts the same password
+  const whole = SRPServer.fromKey(masterKey, 60*1000, 10, { userStore: servers[0].server.userStore });
+  console.log('Login against the unshared key ok:', (await new SRPClient().login(username, password, [new LocalTransport('server-1', whole)])).ok);
+
+  // A server answering under another share is outvoted once enough servers answer, and detected otherwise
+  const wrongShare = ([server, other, ...rest]) => {
+    const transport = Object.create(server);
+    transport.evaluateOPRF = (...args) => other.evaluateOPRF(...args);
+    return [transport, other, ...rest];
+  };
+  const detected = await client.login(username, password, wrongShare(servers), options);
+  console.log('Login with a wrong partial of 3:', detected.ok, detected.failures.map(failure => `${failure.serverId}: ${failure.reason}`).join(', '));
+  const fourShares = (await dealKeyShares(2, 4)).shares;
+  const fourServers = fourShares.map(share => new LocalTransport(`server-${share.index}`, SRPServer.fromKey(share.key, 60*1000, 10)));
+  const fourClient = new SRPClient({ oprfThreshold: { threshold: 2, shareIndices: Object.fromEntries(fourShares.map(share => [`server-${share.index}`, share.index])) } });
+  await fourClient.register(username, password, fourServers);
+  const outvoted = await fourClient.login(username, password, wrongShare(fourServers), options);
+  console.log('Login with a wrong partial of 4:', outvoted.ok, outvoted.failures.map(failure => `${failure.serverId}: ${failure.reason}`).join(', '));
+
+  // Partial evaluations need a share index per server
+  const unconfigured = await new SRPClient({ oprfThreshold: { threshold: 2, shareIndices: { 'server-1': 1 } } }).login(username, password, servers, options);
+  console.log('Login without share indices:', unconfigured.failures.map(failure => failure.error.message).join(', '));
+  console.log("THRESHOLD OPRF COMPLETED!");
+}
+
+/**
+ * Function to run a multi-server simulation with per-server verifiers: every server stores its own
+ * verifier derived from the combined OPRF output and its id, so records cannot be linked or swapped.
+ */
+async function runPerServerVerifierTest() {
+  console.log("PER SERVER VERIFIERS BEGIN...");
+  const username = 'testuser';
+  const password = 'testpassword';
+  const servers = ['server-a', 'server-b', 'server-c'].map(id => new LocalTransport(id, new SRPServer(60*1000, 10)));
+  const client = new SRPClient({ verifierBinding: 'server' });
+
+  const registration = await client.register(username, password, servers);
+  const verifiers = registration.records.map(result => result.record.verifier);
+  console.log('Verifier binding:', registration.records[0].record.verifierBinding, ', distinct verifiers:', new Set(verifiers).size);
+  const login = await client.login(username, password, servers);
+  console.log('Login ok:', login.ok, ', distinct session keys:', new Set(login.sessions.map(session => session.key)).size);
+
+  // A verifier copied from a breached server is useless on another one
+  const stolen = registration.records[0].record;
+  await servers[1].server.updateVerifier(username, stolen.verifier);
+  const swapped = await client.login(username, password, servers);
+  console.log('Login with a verifier swapped between servers:', swapped.failures.map(failure => `${failure.serverId}: ${failure.reason}`).join(', '));
+  console.log("PER SERVER VERIFIERS COMPLETED!");
+}
+
+/**
+ * Function to run a multi-server simulation with the group operations on worker threads,
+ * and a burst of logins overflowing a small compute pool.
+ */
+async function runComputePoolTest() {
+  console.log("COMPUTE POOL BEGIN...");
+  const username = 'testuser';
+  const password = 'testpassword';
+  const pool = new ComputePool({ concurrency: 2, maxQueue: 16 });
+  const servers = ['server-a', 'server-b'].map(id => new LocalTransport(id, new SRPServer(60*1000, 10, { computePool: pool })));
+  const client = new SRPClient({ computePool: pool });
+
+  const registration = await client.register(username, password, servers);
+  console.log('Registration ok:', registration.ok);
+  const login = await client.login(username, password, servers);
+  console.log('Login on worker threads ok:', login.ok);
+
+  // One worker with room for one waiting task: the rest of the burst is shed at once
+  const smallPool = new ComputePool({ concurrency: 1, maxQueue: 1 });
+  const server = new SRPServer(60*1000, 10, { computePool: smallPool });
+  const record = registration.records[0].record;
+  await server.register(username, record.salt, record.verifier, { kdf: client.kdf });
+  const burst = await Promise.allSettled(Array.from({ length: 5 }, () => server.startLogin(username, client.generateEphemeral().public)));
+  const shed = burst.filter(result => result.status === 'rejected');
+  console.log('Burst of 5 logins: started', burst.length - shed.length, ', shed', shed.length, 'with', shed[0] && shed[0].reason.message,
+    '(' + SRPClient.classifyFailure(shed[0] && shed[0].reason) + ')');
+
+  await Promise.all([pool.close(), smallPool.close()]);
+  console.log("COMPUTE POOL COMPLETED!");
+}
+
+/**
+ * Function to show the error classes and codes, the same for local servers and over HTTP.
+ */
+async function runErrorCodesTest() {
+  console.log("ERROR CODES BEGIN...");
+  const username = 'testuser';
+  const password = 'testpassword';
+  const client = new SRPClient();
+  const server = new SRPServer(60*1000, 1);
+
+  // The rate limit error carries the retry time, and no username in its message
+  await server.performOPRFEval(username, (await client.blindEvalOPRFInput(new Uint8Array([1]))).serializedEvalReq);
+  try {
+    await server.performOPRFEval(username, (await client.blindEvalOPRFInput(new Uint8Array([1]))).serializedEvalReq);
+  } catch (err) {
+    console.log('Rate limited:', err instanceof RateLimitError, err.code, err.message, ', retry after ms > 0:', err.retryAfterMs > 0);
+  }
+
+  // Errors received over HTTP are rebuilt from their code
+  const httpServer = http.createServer(new HTTPHandler(new SRPServer(60*1000, 10)).handle);
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  try {
+    const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+    const transports = ['json', 'binary'].map(format => new HTTPTransport(`server-${format}`, baseUrl, { format }));
+    await client.register(username, password, [transports[0]]);
+    for (const transport of transports) {
+      const failed = await client.login(username, 'wrongpassword', [transport]);
+      const { error } = failed.failures[0];
+      console.log(`Wrong password over HTTP (${transport.format}):`, error instanceof InvalidProofError, error.code === ERROR_CODES.INVALID_CLIENT_PROOF, error.status);
+    }
+    const unknown = await client.login('nobody', password, [transports[0]]);
+    console.log('Unknown username over HTTP:', unknown.failures[0].error.code, unknown.failures[0].reason);
+  } finally {
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+
+  // A fault of the server, e.g. of its user store, is answered with 500 and no details
+  const faultyServer = new SRPServer(60*1000, 10);
+  faultyServer.userStore.get = async () => {
+    throw Object.assign(new Error('ENOENT: no such file or directory, open \'/var/lib/oblivious-srp/users.json\''), { code: 'ENOENT' });
+  };
+  const faultyHttpServer = http.createServer(new HTTPHandler(faultyServer, { onError: err => console.log('Logged internal fault:', err.code) }).handle);
+  await new Promise(resolve => faultyHttpServer.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${faultyHttpServer.address().port}/login/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, A: client.generateEphemeral().public })
+    });
+    console.log('Internal fault answered with:', response.status, JSON.stringify(await response.json()));
+  } finally {
+    faultyHttpServer.closeAllConnections();
+    await new Promise(resolve => faultyHttpServer.close(resolve));
+  }
+  console.log("ERROR CODES COMPLETED!");
+}
+
+/**
+ * Function to fuzz every entry point with malformed inputs: each one must be rejected before any math
+ * runs with a MalformedInputError, InvalidEphemeralError or InvalidProofError, never with another error.
+ */
+async function runInputValidationFuzzTest() {
+  console.log("INPUT VALIDATION FUZZ BEGIN...");
+  const iterations = 100;
+  const username = 'testuser';
+  const client = new SRPClient({ kdf: LEGACY_KDF, kdfLimits: { allowLegacy: true } });
+  const server = new SRPServer(60*1000, 10);
+  const { N } = client.params;
+  const expectedCodes = new Set([ERROR_CODES.MALFORMED_INPUT, ERROR_CODES.MALFORMED_OPRF_REQUEST, ERROR_CODES.MALFORMED_OPRF_EVALUATION,
+    ERROR_CODES.INVALID_CLIENT_EPHEMERAL, ERROR_CODES.INVALID_SERVER_EPHEMERAL]);
+
+  // Valid inputs to mutate
+  const salt = client.generateSalt();
+  const x = await client.deriveVerifierHash(client.derivePrivateVerifier(await client.derivePrivateKey(salt, username, 'testpassword')));
+  const verifier = client.derivePublicVerifier(x);
+  await server.register(username, salt, verifier, { kdf: LEGACY_KDF });
+  const clientEphemeral = client.generateEphemeral();
+  const serverEphemeral = server.generateEphemeral(verifier);
+  const session = await client.deriveSession(clientEphemeral.secret, serverEphemeral.public, salt, username, x);
+  const blindEval = await client.blindEvalOPRFInput(new Uint8Array([1, 2, 3]));
+  const evaluation = await server.performOPRFEval(username, blindEval.serializedEvalReq);
+
+  // Mutators that always produce invalid inputs
+  const pick = values => values[crypto.randomInt(values.length)];
+  const randomHex = length => crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length);
+  const notAString = () => pick([undefined, null, 42, {}, [], new Uint8Array(4)]);
+  const withNonHex = hex => {
+    const i = crypto.randomInt(hex.length + 1);
+    return hex.slice(0, i) + pick(['g', 'z', '-', ',', ' ', 'é', '0x']) + hex.slice(i);
+  };
+  const fixedLengthHex = hex => pick([
+    () => hex.slice(0, crypto.randomInt(hex.length)), // Truncated, possibly empty
+    () => hex + randomHex(1 + crypto.randomInt(8)), // Extended
+    () => withNonHex(hex),
+    notAString
+  ])();
+  const groupElement = () => pick([
+    () => '0'.repeat(1 + crypto.randomInt(4)), // Zero
+    () => N.toHex(), // N
+    () => (N.toBigInt() + BigInt('0x' + randomHex(8))).toString(16), // N or above
+    () => '1' + N.toHex(), // More digits than N
+    () => withNonHex(randomHex(1 + crypto.randomInt(64))),
+    notAString
+  ])();
+  const bytes = valid => pick([
+    () => valid.subarray(0, crypto.randomInt(valid.length)), // Truncated, possibly empty
+    () => new Uint8Array([...valid, ...crypto.randomBytes(1 + crypto.randomInt(8))]), // Trailing bytes
+    () => new Uint8Array(crypto.randomBytes(valid.length + 1 + crypto.randomInt(32))), // Random, too long
+    () => new Uint8Array(0),
+    notAString
+  ])();
+  const badUsername = () => pick([
+    () => '',
+    () => 'a'.repeat(MAX_USERNAME_BYTES + 1 + crypto.randomInt(64)),
+    () => 'é'.repeat(MAX_USERNAME_BYTES / 2 + 1), // Short in characters, too long in bytes
+    notAString
+  ])();
+  const badOPRFInput = () => pick([
+    () => '',
+    () => randomHex(2 * crypto.randomInt(16) + 1), // Odd number of digits
+    () => withNonHex(randomHex(2 + 2 * crypto.randomInt(16))),
+    () => new Uint8Array(0),
+    () => 42
+  ])();
+
+  const entryPoints = {
+    'server.register (username)': () => server.register(badUsername(), salt, verifier),
+    'server.register (salt)': () => server.register('fuzz', fixedLengthHex(salt), verifier),
+    'server.register (verifier)': () => server.register('fuzz', salt, groupElement()),
+    'server.updateVerifier (verifier)': () => server.updateVerifier(username, groupElement()),
+    'server.performOPRFEval (username)': () => server.performOPRFEval(badUsername(), blindEval.serializedEvalReq),
+    'server.performOPRFEval (request)': () => server.performOPRFEval(username, bytes(blindEval.serializedEvalReq)),
+    'server.startLogin (username)': () => server.startLogin(badUsername(), clientEphemeral.public),
+    'server.startLogin (A)': () => server.startLogin(username, groupElement()),
+    'server.deriveSession (A)': () => server.deriveSession(serverEphemeral.secret, groupElement(), salt, username, verifier, session.proof),
+    'server.deriveSession (M)': () => server.deriveSession(serverEphemeral.secret, clientEphemeral.public, salt, username, verifier, fixedLengthHex(session.proof)),
+    'client.deriveSession (B)': () => client.deriveSession(clientEphemeral.secret, groupElement(), salt, username, x),
+    'client.deriveSession (salt)': () => client.deriveSession(clientEphemeral.secret, serverEphemeral.public, fixedLengthHex(salt), username, x),
+    'client.verifySession (proof)': async () => client.verifySession(clientEphemeral.public, session, fixedLengthHex(session.proof)),
+    'client.finalizeOPRF (evaluation)': () => client.finalizeOPRF(bytes(evaluation), blindEval.finData),
+    'client.blindEvalOPRFInput (input)': () => client.blindEvalOPRFInput(badOPRFInput()),
+    'client.login (username)': () => client.login(badUsername(), 'testpassword', [new LocalTransport('server-1', server)])
+  };
+
+  for (const [name, entryPoint] of Object.entries(entryPoints)) {
+    let rejected = 0;
+    const unexpected = new Set();
+    for (let i = 0; i < iterations; i++) {
+      try {
+        await entryPoint();
+        unexpected.add('accepted');
+      } catch (err) {
+        if (err instanceof SRPError && expectedCodes.has(err.code)) {
+          rejected++;
+        } else {
+          unexpected.add(err.name + ': ' + err.message);
+        }
+      }
+    }
+    console.log(`${name}: ${rejected}/${iterations} rejected`, unexpected.size > 0 ? [...unexpected] : '');
+  }
+  console.log("INPUT VALIDATION FUZZ COMPLETED!");
+}
+
+/**
+ * Function to run a server with username enumeration protection: login starts for unknown usernames
+ * are answered from fake records, with the same shape, sizes and timing as real ones.
+ */
+async function runEnumerationProtectionTest() {
+  console.log("ENUMERATION PROTECTION BEGIN...");
+  const password = 'testpassword';
+  const client = new SRPClient();
+  const server = new SRPServer(60*1000, 10, { enumerationProtection: { secret: crypto.randomBytes(32), kdf: client.kdf } });
+  const servers = [new LocalTransport('server-1', server)];
+  await client.register('alice', password, servers);
+
+  const start = async username => server.startLogin(username, client.generateEphemeral().public);
+  const [real, fake, fakeAgain] = [await start('alice'), await start('mallory'), await start('mallory')];
+  console.log('Same fields for a real and an unknown username:', Object.keys(real).join() === Object.keys(fake).join(), ', stable fake salt:', fake.salt === fakeAgain.salt);
+  console.log('Size check:', await server.compareLoginStartResponses('alice'));
+
+  // Login start timing of real and fake records
+  const meanMs = async username => {
+    const begin = process.hrtime.bigint();
+    for (let i = 0; i < 20; i++) {
+      await start(username);
+    }
+    return (Number(process.hrtime.bigint() - begin) / 1e6 / 20).toFixed(2);
+  };
+  console.log('Mean login start in ms: real', await meanMs('alice'), ', fake', await meanMs('mallory'));
+
+  // An unknown username fails like a wrong password
+  const unknown = await client.login('mallory', password, servers);
+  const wrong = await client.login('alice', 'wrongpassword', servers);
+  console.log('Unknown username:', unknown.failures.map(failure => failure.reason).join(), ', wrong password:', wrong.failures.map(failure => failure.reason).join());
+
+  // Fake records must use the KDF of the real ones, the size check reports a mismatch
+  const misconfigured = new SRPServer(60*1000, 10, { enumerationProtection: { secret: crypto.randomBytes(32), kdf: LEGACY_KDF } });
+  await client.register('alice', password, [new LocalTransport('server-2', misconfigured)]);
+  console.log('Size check with fake records of another KDF:', (await misconfigured.compareLoginStartResponses('alice')).differences);
+  console.log("ENUMERATION PROTECTION COMPLETED!");
+}
+
+/**
+ * Function to change a password over HTTP: the new salt and verifiers are committed on every server,
+ * each authorized by the session key of a fresh login.
+ */
+async function runPasswordChangeTest() {
+  console.log("PASSWORD CHANGE BEGIN...");
+  const client = new SRPClient();
+
+  // server-2 is reached with binary messages instead of JSON
+  const httpServers = [];
+  const transports = [];
+  for (const id of ['server-1', 'server-2']) {
+    const httpServer = http.createServer(new HTTPHandler(new SRPServer(60*1000, 10)).handle);
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    httpServers.push(httpServer);
+    transports.push(new HTTPTransport(id, `http://127.0.0.1:${httpServer.address().port}`, { format: id === 'server-2' ? 'binary' : 'json' }));
+  }
+
+  try {
+    const registered = await client.register('alice', 'oldpassword', transports);
+    const changed = await client.changePassword('alice', 'oldpassword', 'newpassword', transports);
+    const salts = new Set(changed.records.map(({ record }) => record.salt));
+    console.log('Password changed:', changed.ok, ', servers:', changed.records.map(result => result.serverId).join(),
+      ', new salt on every server:', salts.size === 1 && !salts.has(registered.records[0].record.salt));
+    console.log('Login with the new password:', (await client.login('alice', 'newpassword', transports)).ok);
+    console.log('Login with the old password:', (await client.login('alice', 'oldpassword', transports)).failures.map(failure => failure.reason).join());
+
+    const wrong = await client.changePassword('alice', 'wrongpassword', 'otherpassword', transports);
+    console.log('Change with a wrong current password:', wrong.ok, wrong.failures.map(failure => `${failure.serverId}: ${failure.reason}`).join(', '));
+  } finally {
+    for (const httpServer of httpServers) {
+      httpServer.closeAllConnections();
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  }
+
+  // A change must carry a MAC under the session key, and a login authorizes a single change
+  const server = new SRPServer(60*1000, 10);
+  const local = [new LocalTransport('server-1', server)];
+  await client.register('bob', 'bobpassword', local);
+  const { sessions: [session] } = await client.login('bob', 'bobpassword', local);
+  const change = { salt: client.generateSalt(), verifier: client.derivePublicVerifier(client.generateSalt()) };
+  await server.changePassword(session.sessionId, { ...change, keyEpoch: 99 }, 'ab'.repeat(32))
+    .catch(err => console.log('Change under an unknown key epoch, rejected without using the session:', err.code));
+  for (const label of ['Change with a forged MAC', 'Change reusing the session']) {
+    try {
+      await server.changePassword(session.sessionId, change, 'ab'.repeat(32));
+    } catch (err) {
+      console.log(`${label}:`, err.name, err.code);
+    }
+  }
+
+  // A server failing to commit keeps the old password and is reported
+  class FailingCommitTransport extends LocalTransport {
+    async changePassword() {
+      throw Object.assign(new SRPError('Server is unavailable', ERROR_CODES.UNAVAILABLE), { unavailable: true });
+    }
+  }
+  const partialServers = [...local, new FailingCommitTransport('server-2', new SRPServer(60*1000, 10))];
+  await client.register('carol', 'carolpassword', partialServers);
+  const partial = await client.changePassword('carol', 'carolpassword', 'newpassword', partialServers);
+  console.log('Partial change:', partial.ok, ', accepted by:', partial.records.map(result => result.serverId).join(),
+    ', failed on:', partial.failures.map(failure => `${failure.serverId}: ${failure.reason}`).join());
+  console.log("PASSWORD CHANGE COMPLETED!");
+}
+
+/**
+ * Function to run an OPRF key rotation simulation.
+ * A user registered under the old key epoch logs in during the rotation window,
+ * evaluates the OPRF under both the old and the new key and uploads a migrated verifier.
+ */
+async function runKeyRotationTest() {
+  console.log("OPRF KEY ROTATION BEGINS...");
+  const client = new SRPClient();
+  const server = new SRPServer(60*1000, 10);
+  const username = 'testuser';
+  const password = 'testpassword';
+
+  // Helper running the OPRF on the private verifier (v') under the given key epoch and returning x = H(v'||v1')
+  async function deriveVerifierHashUnder(epoch, salt) {
+    const privateKey = await client.derivePrivateKey(salt, username, password);
+    const privateVerifier = client.derivePrivateVerifier(privateKey);
+    const blindEval = await client.blindEvalOPRFInput(privateVerifier);
+    const evaluationResp = await server.performOPRFEval(username, blindEval.serializedEvalReq, { epoch });
+    const verifier1 = await client.finalizeOPRF(evaluationResp, blindEval.finData);
+    return client.deriveVerifierHash(privateVerifier, verifier1);
+  }
+
+  // Helper running the SRP login against the stored record with the given verifier hash (x)
+  async function login(record, x) {
+    const clientEphemeral = client.generateEphemeral();
+    const serverEphemeral = server.generateEphemeral(record.verifier);
+    const clientSession = await client.deriveSession(clientEphemeral.secret, serverEphemeral.public, record.salt, username, x);
+    const serverSession = await server.deriveSession(serverEphemeral.secret, clientEphemeral.public, record.salt, username, record.verifier, clientSession.proof);
+    client.verifySession(clientEphemeral.public, clientSession, serverSession.proof);
+  }
+
+  // Registration under the current epoch: the stored record remembers the epoch its verifier was built with
+  const salt = client.generateSalt();
+  const x = await deriveVerifierHashUnder(server.currentEpoch, salt);
+  let record = await server.register(username, salt, client.derivePublicVerifier(x), { kdf: client.kdf });
+  console.log('Registered under OPRF key epoch:', record.keyEpoch);
+
+  // The operator rotates the OPRF key; the old key stays available during the rotation window
+  const newEpoch = server.rotateOPRFKey();
+  console.log('Rotated OPRF key, epochs:', server.getOPRFEpochs());
+
+  // Login during the rotation window: authenticate with the old verifier, then migrate it to the new epoch
+  record = await server.getRecord(username);
+  console.log('Outdated record fields:', server.getRecordMismatches(record));
+  await login(record, await deriveVerifierHashUnder(record.keyEpoch, record.salt));
+  if (server.needsVerifierMigration(record.keyEpoch)) {
+    const migratedX = await deriveVerifierHashUnder(newEpoch, record.salt);
+    record = await server.updateVerifier(username, client.derivePublicVerifier(migratedX), { keyEpoch: newEpoch });
+    console.log('Migrated verifier to OPRF key epoch:', record.keyEpoch);
+  }
+
+  // Once every verifier is migrated the old key is retired, and logins use the new epoch only
+  server.retireOPRFKey(0);
+  record = await server.getRecord(username);
+  await login(record, await deriveVerifierHashUnder(record.keyEpoch, record.salt));
+  console.log('OPRF KEY ROTATION COMPLETED!');
+}
+
 async function runRateLimitTest(n, server) {
   console.log("OFFLINE DICTIONARY ATTACK SIMULATION BEGINS...");
 
@@ -291,6 +1065,343 @@ async function runRateLimitTest(n, server) {
   console.log("OFFLINE DICTIONARY ATTACK SIMULATION ENDS.");
 }
 
+/**
+ * Function to run the server-side user record store.
+ * Records registered with a FileUserStore are found again after a restart, and a record whose write fails is dropped.
+ */
+async function runUserStoreTest() {
+  console.log("USER STORE BEGINS...");
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'oblivious-srp-'));
+  try {
+    const filePath = path.join(directory, 'users.json');
+    const client = new SRPClient();
+    const server = new SRPServer(60*1000, 10, { userStore: new FileUserStore(filePath) });
+
+    const salt = client.generateSalt();
+    const privateVerifier = client.derivePrivateVerifier(await client.derivePrivateKey(salt, 'testuser', 'testpassword'));
+    const blindEval = await client.blindEvalOPRFInput(privateVerifier);
+    const evaluationResp = await server.performOPRFEval('testuser', blindEval.serializedEvalReq);
+    const x = await client.deriveVerifierHash(privateVerifier, await client.finalizeOPRF(evaluationResp, blindEval.finData));
+    await server.register('testuser', salt, client.derivePublicVerifier(x), { displayName: 'Test User' });
+    await server.register('testuser', salt, client.derivePublicVerifier(x))
+      .catch(err => console.log('Second registration rejected:', err.message));
+
+    // Simulate a restart: a new server reads the records from the same file
+    const restarted = new SRPServer(60*1000, 10, { userStore: new FileUserStore(filePath) });
+    const record = await restarted.getRecord('testuser');
+    console.log('Record after restart:', { ...record, salt: record.salt.slice(0, 16) + '...', verifier: record.verifier.slice(0, 16) + '...' });
+    console.log('Deleted user:', await restarted.deleteUser('testuser'), await restarted.getRecord('testuser'));
+
+    // A record whose write fails is not kept in memory either
+    const unwritable = new FileUserStore(path.join(directory, 'missing', 'users.json'));
+    await unwritable.create({ username: 'testuser', salt, verifier: client.derivePublicVerifier(x) })
+      .catch(err => console.log('Failed write:', err.code));
+    console.log('Record after a failed write:', await unwritable.get('testuser'));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+  console.log("USER STORE COMPLETED!");
+}
+
+/**
+ * Function to run server-held login sessions.
+ * The server keeps its secret ephemeral in a single-use session; reused sessions,
+ * reused client ephemerals and expired sessions are rejected, and so are starts beyond the pending limit.
+ */
+async function runLoginSessionTest() {
+  console.log("LOGIN SESSIONS BEGIN...");
+  const client = new SRPClient();
+  const server = new SRPServer(60*1000, 10, { loginSessions: { ttlMs: 1000 } });
+  const username = 'testuser';
+  const password = 'testpassword';
+
+  // Helper deriving x = H(v'||v1') for the given salt
+  async function deriveVerifierHash(salt) {
+    const privateVerifier = client.derivePrivateVerifier(await client.derivePrivateKey(salt, username, password));
+    const blindEval = await client.blindEvalOPRFInput(privateVerifier);
+    const evaluationResp = await server.performOPRFEval(username, blindEval.serializedEvalReq);
+    return client.deriveVerifierHash(privateVerifier, await client.finalizeOPRF(evaluationResp, blindEval.finData));
+  }
+
+  const registrationSalt = client.generateSalt();
+  await server.register(username, registrationSalt, client.derivePublicVerifier(await deriveVerifierHash(registrationSalt)), { kdf: client.kdf });
+
+  // Step 1: Client sends A, server answers with an opaque session id, B and the salt
+  const clientEphemeral = client.generateEphemeral();
+  const { sessionId, B, salt } = await server.startLogin(username, clientEphemeral.public);
+  console.log('Login session started:', sessionId);
+
+  // Step 2: Client derives its session and sends the proof; the server finishes the session
+  const clientSession = await client.deriveSession(clientEphemeral.secret, B, salt, username, await deriveVerifierHash(salt));
+  const serverSession = await server.finishLogin(sessionId, clientSession.proof);
+  client.verifySession(clientEphemeral.public, clientSession, serverSession.proof);
+  console.log('Login finished, keys match:', clientSession.key === serverSession.key);
+
+  // Replays are rejected
+  await server.finishLogin(sessionId, clientSession.proof).catch(err => console.log('Reused session rejected:', err.message));
+  await server.startLogin(username, clientEphemeral.public).catch(err => console.log('Reused A rejected:', err.message));
+  await server.startLogin(username, clientEphemeral.public.toUpperCase()).catch(err => console.log('Reused A in upper case rejected:', err.message));
+  console.log('Characters remembered per used A:', Array.from(server.loginSessions.usedEphemerals.keys(), key => key.length));
+
+  // Sessions expire
+  const expiring = await server.startLogin(username, client.generateEphemeral().public);
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  await server.finishLogin(expiring.sessionId, clientSession.proof).catch(err => console.log('Late finish rejected:', err.message));
+
+  // A start failing after the checks does not use up A
+  const retried = client.generateEphemeral();
+  const failing = Object.create(server);
+  failing.generateEphemeralAsync = async () => {
+    throw new Error('Compute pool is down');
+  };
+  await failing.startLogin(username, retried.public).catch(err => console.log('Failed start:', err.message));
+  console.log('Same A accepted after a failed start:', typeof (await server.startLogin(username, retried.public)).sessionId === 'string');
+
+  // A flood of starts is rejected once the pending logins reach the limit, instead of pushing out earlier ones
+  const bounded = new SRPServer(60*1000, 10, { userStore: server.userStore, loginSessions: { maxSessions: 2 } });
+  const pending = [];
+  for (let i = 1; i <= 3; i++) {
+    const ephemeral = client.generateEphemeral();
+    await bounded.startLogin(username, ephemeral.public)
+      .then(start => pending.push({ ephemeral, start }))
+      .catch(err => console.log(`Start #${i} rejected:`, err.code, err.message));
+  }
+  const [{ ephemeral, start }] = pending;
+  const pendingSession = await client.deriveSession(ephemeral.secret, start.B, start.salt, username, await deriveVerifierHash(start.salt));
+  const finished = await bounded.finishLogin(start.sessionId, pendingSession.proof);
+  console.log('First pending login finished after the flood, keys match:', finished.key === pendingSession.key);
+  console.log("LOGIN SESSIONS COMPLETED!");
+}
+
+/**
+ * Function to run the RateLimitStore conformance suite against the built-in backends.
+ * Custom backends (e.g. Redis) can be checked the same way by passing their own factory.
+ */
+async function runRateLimitStoreTest() {
+  console.log("RATE LIMIT STORE CONFORMANCE BEGINS...");
+  const passedMemory = await runRateLimitStoreConformance(() => new MemoryRateLimitStore());
+  console.log(`MemoryRateLimitStore passed ${passedMemory.length} checks`);
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'oblivious-srp-'));
+  try {
+    let counter = 0;
+    const passedFile = await runRateLimitStoreConformance(() => new FileRateLimitStore(path.join(directory, `limits-${counter++}.json`)));
+    console.log(`FileRateLimitStore passed ${passedFile.length} checks`);
+
+    // Hits written by one process are seen after a restart
+    const filePath = path.join(directory, 'restart.json');
+    await new FileRateLimitStore(filePath).hit('oprf:testuser', Date.now(), 60*1000);
+    const hits = await new FileRateLimitStore(filePath).hit('oprf:testuser', Date.now(), 60*1000);
+    console.log('Hits restored after restart:', hits.length);
+
+    // Concurrent hits are written in batches instead of one file rewrite each
+    const batched = new FileRateLimitStore(path.join(directory, 'batched.json'));
+    let writes = 0;
+    const persist = batched.persist.bind(batched);
+    batched.persist = () => {
+      writes++;
+      return persist();
+    };
+    await Promise.all(Array.from({ length: 100 }, (_, i) => batched.hit(`oprf:user-${i}`, Date.now(), 60*1000)));
+    console.log('File writes for 100 concurrent hits:', writes);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+  console.log("RATE LIMIT STORE CONFORMANCE COMPLETED!");
+}
+
+/**
+ * Function to run the configurable rate limit policies.
+ * A composed policy allows a burst of 3 requests, then locks out in tiers,
+ * and delays requests exponentially after failed logins. A sliding window records rejected requests only with `countRejected`.
+ */
+async function runRateLimitPolicyTest() {
+  console.log("RATE LIMIT POLICIES BEGIN...");
+  const server = new SRPServer(undefined, undefined, {
+    rateLimitPolicy: composePolicies(
+      new TokenBucketPolicy({ capacity: 3, refillIntervalMs: 20*1000 }), // Burst of 3, then 1 request per 20 seconds
+      new TieredLockoutPolicy({ tiers: [{ windowMs: 60*1000, maxRequests: 3 }, { windowMs: 24*60*60*1000, maxRequests: 5 }] }), // 3/min, then 5/day, then manual unlock
+      new ExponentialBackoffPolicy({ baseDelayMs: 1000, maxDelayMs: 60*60*1000 }) // 1s, 2s, 4s, ... after consecutive failed logins
+    )
+  });
+
+  for (let i = 1; i <= 6; i++) {
+    const { allowed, retryAfterMs } = await server.checkRateLimit('testuser');
+    const retryAfter = retryAfterMs === Infinity ? 'locked until manual unlock' : `Retry-After ${Math.ceil(retryAfterMs / 1000)}s`;
+    console.log(`Request #${i}: ${allowed ? 'allowed' : `rejected, ${retryAfter}`}`);
+  }
+
+  // An operator lifts the manual lockout
+  await server.unlockUsername('testuser');
+  console.log('After unlock:', await server.checkRateLimit('testuser'));
+
+  // Consecutive failed logins delay the next request exponentially
+  await server.recordLoginFailure('anotheruser');
+  await server.recordLoginFailure('anotheruser');
+  console.log('After 2 failed logins:', await server.checkRateLimit('anotheruser'));
+  await server.recordLoginSuccess('anotheruser');
+  console.log('After a successful login:', await server.checkRateLimit('anotheruser'));
+
+  // A sliding window only records allowed requests, unless rejected ones are counted on purpose
+  for (const countRejected of [false, true]) {
+    const window = new SlidingWindowPolicy({ windowMs: 60*1000, maxRequests: 2, countRejected });
+    const store = new MemoryRateLimitStore();
+    for (let i = 0; i < 5; i++) {
+      await window.consume(store, 'testuser', Date.now());
+    }
+    console.log(`Sliding window hits after 5 requests${countRejected ? ' counting rejected ones' : ''}:`, (await store.peek(window.storeKey('testuser'), Date.now(), 60*1000)).length);
+  }
+
+  // Usernames with colons cannot reach the logs of other users, such as the lock of 'alice'
+  const tiered = new TieredLockoutPolicy({ tiers: [{ windowMs: 60*1000, maxRequests: 1 }] });
+  const tieredStore = new MemoryRateLimitStore();
+  await tiered.consume(tieredStore, 'lock:alice', Date.now());
+  console.log("Alice after a request for 'lock:alice':", await tiered.consume(tieredStore, 'alice', Date.now()));
+
+  // A burst held back by the minute tier does not count toward the daily tier and its lock
+  const lockout = new TieredLockoutPolicy({ tiers: [{ windowMs: 60*1000, maxRequests: 10 }, { windowMs: 24*60*60*1000, maxRequests: 50 }] });
+  const lockoutStore = new MemoryRateLimitStore();
+  let allowedInBurst = 0;
+  for (let i = 0; i < 51; i++) {
+    allowedInBurst += (await lockout.consume(lockoutStore, 'bob', Date.now())).allowed ? 1 : 0;
+  }
+  const afterBurst = await lockout.consume(lockoutStore, 'bob', Date.now() + 61*1000);
+  console.log(`Burst of 51: ${allowedInBurst} allowed, bob allowed again a minute later: ${afterBurst.allowed}`);
+
+  // Attempts rejected by one composed policy are not counted by the others
+  const perMinute = new SlidingWindowPolicy({ windowMs: 60*1000, maxRequests: 5 });
+  const composedStore = new MemoryRateLimitStore();
+  const composed = composePolicies(perMinute, new TieredLockoutPolicy({ tiers: [{ windowMs: 60*1000, maxRequests: 1 }], manualUnlock: false }));
+  for (let i = 0; i < 4; i++) {
+    await composed.consume(composedStore, 'carol', Date.now());
+  }
+  console.log('Sliding window hits after 4 composed requests, 3 rejected by the tiers:', (await composedStore.peek(perMinute.storeKey('carol'), Date.now(), 60*1000)).length);
+
+  // Manual locks survive the eviction of least recently used and idle keys
+  const evictingStore = new MemoryRateLimitStore({ maxKeys: 2, idleTtlMs: 60*1000 });
+  await tiered.consume(evictingStore, 'dave', Date.now());
+  await tiered.consume(evictingStore, 'dave', Date.now());
+  for (let i = 0; i < 5; i++) {
+    await evictingStore.hit(`other-${i}`, Date.now() + 2*24*60*60*1000);
+  }
+  console.log('Dave after 5 other keys and 2 idle days:', await tiered.check(evictingStore, 'dave', Date.now() + 2*24*60*60*1000));
+  console.log("RATE LIMIT POLICIES COMPLETED!");
+}
+
+/**
+ * Function to run failed-guess accounting on login outcomes.
+ * A legitimate user logs in more often than the allowance without being limited, junk proofs
+ * cannot lock them out, and an online attacker guessing passwords is blocked after the first failed proof.
+ */
+async function runLoginOutcomeTest() {
+  console.log("LOGIN OUTCOME RATE LIMITING BEGINS...");
+  const client = new SRPClient();
+  const server = new SRPServer(undefined, undefined, {
+    rateLimitPolicy: new LoginOutcomePolicy({ windowMs: 60*1000, maxUnverifiedRequests: 3 })
+  });
+  const username = 'testuser';
+
+  // Registration
+  const salt = client.generateSalt();
+  const privateVerifier = client.derivePrivateVerifier(await client.derivePrivateKey(salt, username, 'testpassword'));
+  const blindEval = await client.blindEvalOPRFInput(privateVerifier);
+  const evaluationResp = await server.performOPRFEval(username, blindEval.serializedEvalReq);
+  const x = await client.deriveVerifierHash(privateVerifier, await client.finalizeOPRF(evaluationResp, blindEval.finData));
+  const v = client.derivePublicVerifier(x);
+  await server.recordLoginSuccess(username); // Registration counts as a verified request
+
+  // Helper running a complete login with the given password
+  async function login(password) {
+    const clientEphemeral = client.generateEphemeral();
+    const serverEphemeral = server.generateEphemeral(v);
+    const privateVerifierLogin = client.derivePrivateVerifier(await client.derivePrivateKey(salt, username, password));
+    const blindEvalLogin = await client.blindEvalOPRFInput(privateVerifierLogin);
+    const evaluationRespLogin = await server.performOPRFEval(username, blindEvalLogin.serializedEvalReq);
+    const xLogin = await client.deriveVerifierHash(privateVerifierLogin, await client.finalizeOPRF(evaluationRespLogin, blindEvalLogin.finData));
+    const clientSession = await client.deriveSession(clientEphemeral.secret, serverEphemeral.public, salt, username, xLogin);
+    const serverSession = await server.deriveSession(serverEphemeral.secret, clientEphemeral.public, salt, username, v, clientSession.proof);
+    client.verifySession(clientEphemeral.public, clientSession, serverSession.proof);
+  }
+
+  // The legitimate user logs in twice as often as the allowance within the window
+  for (let i = 1; i <= 6; i++) {
+    await login('testpassword');
+  }
+  console.log('Legitimate user completed 6 logins without being rate limited');
+
+  // Anyone can send junk proofs, but they cannot push the allowance below the floor
+  for (let i = 0; i < 8; i++) {
+    const clientEphemeral = client.generateEphemeral();
+    const serverEphemeral = server.generateEphemeral(v);
+    await server.deriveSession(serverEphemeral.secret, clientEphemeral.public, salt, username, v, '00'.repeat(32)).catch(() => {});
+  }
+  await login('testpassword');
+  console.log('Legitimate user logged in after 8 junk proofs');
+
+  // An online attacker guesses passwords; every failed proof halves the allowance
+  for (const [i, guess] of generatePasswordGuesses(4).entries()) {
+    try {
+      await login(guess);
+    } catch (err) {
+      console.log(`Online guess #${i + 1} rejected: ${err.message}${err.retryAfterMs ? ` (Retry-After ${Math.ceil(err.retryAfterMs / 1000)}s)` : ''}`);
+    }
+  }
+
+  // Requests and logins of 'failures:alice' leave the failed proofs of 'alice' alone
+  const policy = new LoginOutcomePolicy({ windowMs: 60*1000, maxUnverifiedRequests: 3 });
+  const store = new MemoryRateLimitStore();
+  await policy.recordFailure(store, 'alice', Date.now());
+  await policy.consume(store, 'failures:alice', Date.now());
+  await policy.recordSuccess(store, 'failures:alice');
+  console.log("Failed proofs of alice after requests and a login of 'failures:alice':", (await store.peek(policy.storeKey('alice', 'failures'), Date.now(), 60*1000)).length);
+  console.log("LOGIN OUTCOME RATE LIMITING COMPLETED!");
+}
+
+/**
+ * Function to run the victim lockout mitigation with client puzzles.
+ * An attacker floods a victim's username without solving puzzles, which no longer
+ * uses up the victim's OPRF budget; the victim solves a puzzle and gets through.
+ */
+async function runClientPuzzleTest() {
+  console.log("CLIENT PUZZLES BEGIN...");
+  const client = new SRPClient();
+  const server = new SRPServer(60*1000, 10, { clientPuzzle: { baseDifficulty: 8, maxDifficulty: 16 } }); // Puzzles from 5 requests per minute on
+  const username = 'victim';
+
+  const privateVerifier = client.derivePrivateVerifier(await client.derivePrivateKey(client.generateSalt(), username, 'testpassword'));
+  const blindEval = await client.blindEvalOPRFInput(privateVerifier);
+
+  // The attacker floods the victim's username without solving puzzles
+  let rejected = 0;
+  for (let i = 0; i < 40; i++) {
+    try {
+      await server.performOPRFEval(username, blindEval.serializedEvalReq);
+    } catch (err) {
+      rejected++;
+    }
+  }
+  console.log(`Attacker requests rejected: ${rejected} of 40`);
+
+  // The victim is asked for a puzzle, solves it and retries
+  try {
+    await server.performOPRFEval(username, blindEval.serializedEvalReq);
+  } catch (err) {
+    console.log(`Victim asked to solve a puzzle of difficulty ${err.puzzle.difficulty}`);
+    const puzzleSolution = await client.solvePuzzle(username, err.puzzle);
+    const evaluationResp = await server.performOPRFEval(username, blindEval.serializedEvalReq, { puzzleSolution });
+    console.log('Victim OPRF output after solving the puzzle:', await client.finalizeOPRF(evaluationResp, blindEval.finData));
+
+    // A spent puzzle cannot be replayed
+    await server.performOPRFEval(username, blindEval.serializedEvalReq, { puzzleSolution })
+      .catch(replayErr => console.log('Replayed puzzle rejected:', replayErr.message));
+
+    // A client refuses puzzles above its maximum difficulty instead of blocking on them
+    await new SRPClient({ maxPuzzleDifficulty: 4 }).solvePuzzle(username, err.puzzle)
+      .catch(hardErr => console.log('Puzzle above the client maximum:', hardErr.code));
+  }
+  console.log("CLIENT PUZZLES COMPLETED!");
+}
+
 /**
  * Generates an array of n password guesses for testing the dictionary attack.
  * In a real attack, this would involve a list of common passwords or a brute force algorithm.
@@ -316,6 +1427,27 @@ async function runTests() {
   // Call the async functions and handle any errors
   await runSingleServerSRPTest().catch(err => console.error(err));
   await runDualServerSRPTest().catch(err => console.error(err));
+  await runMultiServerOrchestrationTest().catch(err => console.error(err));
+  await runHTTPTest().catch(err => console.error(err));
+  await runVerifiableOPRFTest().catch(err => console.error(err));
+  await runPartiallyObliviousOPRFTest().catch(err => console.error(err));
+  await runOPRFSuiteTest().catch(err => console.error(err));
+  await runSRPParamsTest().catch(err => console.error(err));
+  await runPasswordKDFTest().catch(err => console.error(err));
+  await runThresholdOPRFTest().catch(err => console.error(err));
+  await runPerServerVerifierTest().catch(err => console.error(err));
+  await runComputePoolTest().catch(err => console.error(err));
+  await runErrorCodesTest().catch(err => console.error(err));
+  await runInputValidationFuzzTest().catch(err => console.error(err));
+  await runEnumerationProtectionTest().catch(err => console.error(err));
+  await runPasswordChangeTest().catch(err => console.error(err));
+  await runKeyRotationTest().catch(err => console.error(err));
+  await runUserStoreTest().catch(err => console.error(err));
+  await runLoginSessionTest().catch(err => console.error(err));
+  await runRateLimitStoreTest().catch(err => console.error(err));
+  await runRateLimitPolicyTest().catch(err => console.error(err));
+  await runLoginOutcomeTest().catch(err => console.error(err));
+  await runClientPuzzleTest().catch(err => console.error(err));
   // Before testing rate limit, we assume the server being attacked is already up and running
   const OPRFrateLimitWindowMs = 60*1000; // window of 1 minute
   const OPRFrateLimitMaxRequests = 10; // allowed oprf requests - 10 per minute
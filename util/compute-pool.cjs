@@ -0,0 +1,210 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { BackpressureError } = require('./errors.cjs');
+
+// Script run by every worker thread
+const WORKER_SCRIPT = path.join(__dirname, 'compute-worker.cjs');
+
+// Default bound of the tasks waiting for a worker
+const DEFAULT_MAX_QUEUE = 256;
+
+/**
+ * The default number of workers: the available parallelism, or the number of CPUs on Node versions
+ * before 18.14 and 19.4, which lack `os.availableParallelism`.
+ * @returns {number} At least 1.
+ */
+function defaultConcurrency() {
+  if (typeof os.availableParallelism === 'function') {
+    return os.availableParallelism();
+  }
+  return Math.max(os.cpus().length, 1); // os.cpus() can be empty, e.g. when /proc is not mounted
+}
+
+/**
+ * Pool of worker threads running the heavy group operations of SRP (modular exponentiation),
+ * so login bursts do not stall the event loop. Workers start on demand, up to `concurrency`;
+ * further tasks wait in a bounded queue, and once it is full new tasks fail fast with a BackpressureError.
+ * Idle workers do not keep the process alive.
+ */
+class ComputePool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - The number of worker threads (defaults to the available parallelism).
+   * @param {number} [options.maxQueue=256] - The number of tasks that may wait for a worker.
+   */
+  constructor({ concurrency = defaultConcurrency(), maxQueue = DEFAULT_MAX_QUEUE } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid compute pool concurrency: ${concurrency}`);
+    }
+    if (!Number.isInteger(maxQueue) || maxQueue < 0) {
+      throw new Error(`Invalid compute pool queue size: ${maxQueue}`);
+    }
+    this.concurrency = concurrency;
+    this.maxQueue = maxQueue;
+    this.workers = []; // Started workers, each running at most one task
+    this.idle = []; // Workers without a task
+    this.queue = []; // Tasks waiting for a worker
+    this.running = new Map(); // Task of each busy worker
+    this.nextTaskId = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Compute base^exponent % modulus on a worker thread.
+   * @param {bigint} base - The base.
+   * @param {bigint} exponent - The exponent.
+   * @param {bigint} modulus - The modulus.
+   * @returns {Promise<bigint>} The result.
+   * @throws {BackpressureError} If every worker is busy and the queue is full.
+   */
+  modPow(base, exponent, modulus) {
+    if (this.closed) {
+      return Promise.reject(new Error('Compute pool is closed'));
+    }
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextTaskId++, message: { base, exponent, modulus }, resolve, reject };
+      const worker = this.idle.pop() || this.startWorker();
+      if (worker) {
+        this.run(worker, task);
+      } else if (this.queue.length < this.maxQueue) {
+        this.queue.push(task);
+      } else {
+        reject(new BackpressureError(this.maxQueue));
+      }
+    });
+  }
+
+  /**
+   * Start a worker if the pool has room for one.
+   * @returns {Worker|null} The new worker, or null if `concurrency` workers are running.
+   */
+  startWorker() {
+    if (this.workers.length >= this.concurrency) {
+      return null;
+    }
+    const worker = new Worker(WORKER_SCRIPT);
+    worker.on('message', ({ id, result, error }) => {
+      const task = this.running.get(worker);
+      if (!task || task.id !== id) {
+        return;
+      }
+      this.running.delete(worker);
+      if (error !== undefined) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+      this.release(worker);
+    });
+    // A crashed worker fails its task and is replaced on demand
+    worker.on('error', err => this.removeWorker(worker, err));
+    worker.on('exit', () => this.removeWorker(worker, new Error('Compute worker exited')));
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Post a task to a worker, keeping the process alive while it runs.
+   * @param {Worker} worker - An idle worker.
+   * @param {Object} task - The task.
+   */
+  run(worker, task) {
+    this.running.set(worker, task);
+    worker.ref();
+    worker.postMessage({ id: task.id, ...task.message });
+  }
+
+  /**
+   * Hand a worker that finished its task the next queued task, or mark it idle.
+   * @param {Worker} worker - The worker.
+   */
+  release(worker) {
+    const next = this.queue.shift();
+    if (next) {
+      this.run(worker, next);
+      return;
+    }
+    worker.unref();
+    this.idle.push(worker);
+  }
+
+  /**
+   * Forget a worker that failed or exited and fail its task.
+   * @param {Worker} worker - The worker.
+   * @param {Error} err - The reason.
+   */
+  removeWorker(worker, err) {
+    if (!this.workers.includes(worker)) {
+      return;
+    }
+    this.workers = this.workers.filter(other => other !== worker);
+    this.idle = this.idle.filter(other => other !== worker);
+    const task = this.running.get(worker);
+    this.running.delete(worker);
+    if (task) {
+      task.reject(err);
+    }
+    // Queued tasks get a replacement worker
+    if (!this.closed && this.queue.length > 0) {
+      const replacement = this.startWorker();
+      if (replacement) {
+        this.run(replacement, this.queue.shift());
+      }
+    }
+  }
+
+  /**
+   * Stop every worker. Queued and running tasks fail.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    const queued = this.queue.splice(0);
+    queued.forEach(task => task.reject(new Error('Compute pool is closed')));
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+}
+
+module.exports = {
+  ComputePool
+};
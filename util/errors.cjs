@@ -0,0 +1,291 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/**
+ * Stable machine-readable codes of the errors below. Messages may change between releases, codes do not;
+ * no message carries user data such as usernames.
+ */
+const ERROR_CODES = Object.freeze({
+  RATE_LIMITED: 'RATE_LIMITED', // The username is throttled, see `retryAfterMs`
+  PUZZLE_REQUIRED: 'PUZZLE_REQUIRED', // A solved proof-of-work puzzle is required, see `puzzle`
+  PUZZLE_TOO_HARD: 'PUZZLE_TOO_HARD', // A puzzle above the client's maximum difficulty
+  INVALID_CLIENT_PROOF: 'INVALID_CLIENT_PROOF', // The client's session proof is wrong, e.g. a wrong password
+  INVALID_SERVER_PROOF: 'INVALID_SERVER_PROOF', // The server's session proof is wrong
+  INVALID_CHANGE_MAC: 'INVALID_CHANGE_MAC', // A password change is not authorized by the session key
+  INVALID_CLIENT_EPHEMERAL: 'INVALID_CLIENT_EPHEMERAL', // A % N == 0
+  INVALID_SERVER_EPHEMERAL: 'INVALID_SERVER_EPHEMERAL', // B % N == 0
+  EPHEMERAL_REUSED: 'EPHEMERAL_REUSED', // A was already used in another login
+  MALFORMED_INPUT: 'MALFORMED_INPUT', // Input that cannot be parsed, e.g. invalid hex or a malformed message
+  MALFORMED_OPRF_REQUEST: 'MALFORMED_OPRF_REQUEST', // An OPRF evaluation request that does not decode for the suite
+  MALFORMED_OPRF_EVALUATION: 'MALFORMED_OPRF_EVALUATION', // An OPRF evaluation that does not decode for the suite
+  OPRF_VERIFICATION_FAILED: 'OPRF_VERIFICATION_FAILED', // A verifiable evaluation does not match the pinned public key
+  OPRF_MISMATCH: 'OPRF_MISMATCH', // Client and server disagree on the OPRF suite, mode or realm
+  UNKNOWN_KEY_EPOCH: 'UNKNOWN_KEY_EPOCH', // No OPRF key for the requested epoch
+  INVALID_KEY_EPOCH: 'INVALID_KEY_EPOCH', // An OPRF key epoch that cannot be added or retired
+  USER_NOT_FOUND: 'USER_NOT_FOUND', // The username is not registered
+  USER_EXISTS: 'USER_EXISTS', // The username is already registered
+  RECORD_MISMATCH: 'RECORD_MISMATCH', // The record was built with another OPRF suite, SRP group or hash function
+  SERVER_MISMATCH: 'SERVER_MISMATCH', // Servers answered with records that disagree, e.g. on the salt
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND', // Unknown or already finished login session
+  SESSION_EXPIRED: 'SESSION_EXPIRED', // The login session has expired
+  BACKPRESSURE: 'BACKPRESSURE', // A compute pool's queue is full
+  TIMEOUT: 'TIMEOUT', // No response before the deadline
+  UNAVAILABLE: 'UNAVAILABLE', // The server could not be reached or failed
+  NOT_FOUND: 'NOT_FOUND', // HTTP: no route at the path
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED', // HTTP: a route requested with another method than POST
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE', // HTTP: a body of another content type
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE', // HTTP: a body above the size limit
+  NO_MODULAR_INVERSE: 'NO_MODULAR_INVERSE', // Arithmetic on a value without an inverse
+  KDF_REJECTED: 'KDF_REJECTED' // A password KDF below the client's minimum or above its maximum cost, or the legacy KDF without opt-in
+});
+
+/**
+ * Base class of the errors of Oblivious SRP. `code` is one of ERROR_CODES.
+ */
+class SRPError extends Error {
+  /**
+   * @param {string} message - The error message, without user data.
+   * @param {string} code - The error code.
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Error raised when a username is throttled. `retryAfterMs` is Infinity while the username is locked.
+ */
+class RateLimitError extends SRPError {
+  /**
+   * @param {number} [retryAfterMs] - Milliseconds until the next request may pass.
+   * @param {string} [message='Rate limit exceeded'] - The error message.
+   * @param {string} [code=RATE_LIMITED] - The error code.
+   */
+  constructor(retryAfterMs, message = 'Rate limit exceeded', code = ERROR_CODES.RATE_LIMITED) {
+    super(message, code);
+    if (retryAfterMs !== undefined) {
+      this.retryAfterMs = retryAfterMs;
+    }
+  }
+}
+
+/**
+ * Error raised when a username's next OPRF request needs a solved proof-of-work puzzle.
+ */
+class PuzzleRequiredError extends RateLimitError {
+  /**
+   * @param {Object} [puzzle] - The puzzle to solve with `SRPClient.solvePuzzle`.
+   */
+  constructor(puzzle) {
+    super(undefined, 'Proof of work required', ERROR_CODES.PUZZLE_REQUIRED);
+    if (puzzle !== undefined) {
+      this.puzzle = puzzle;
+    }
+  }
+}
+
+/**
+ * Error raised when a session proof does not verify: INVALID_CLIENT_PROOF on the server,
+ * e.g. for a wrong password, and INVALID_SERVER_PROOF on the client; INVALID_CHANGE_MAC when the MAC
+ * of a password change does not verify under the session key.
+ */
+class InvalidProofError extends SRPError {}
+
+/**
+ * Error raised for a public ephemeral that is zero modulo N (INVALID_CLIENT_EPHEMERAL, INVALID_SERVER_EPHEMERAL)
+ * or that was already used (EPHEMERAL_REUSED).
+ */
+class InvalidEphemeralError extends SRPError {}
+
+/**
+ * Error raised for input that cannot be parsed, such as invalid hex, a malformed wire message or OPRF request.
+ */
+class MalformedInputError extends SRPError {
+  /**
+   * @param {string} message - The error message.
+   * @param {string} [code=MALFORMED_INPUT] - The error code.
+   */
+  constructor(message, code = ERROR_CODES.MALFORMED_INPUT) {
+    super(message, code);
+  }
+}
+
+/**
+ * Error raised by the OPRF layer: unknown or invalid key epochs, and clients and servers
+ * that disagree on the OPRF suite, mode or realm.
+ */
+class OPRFError extends SRPError {
+  /**
+   * @param {string} message - The error message.
+   * @param {string} code - The error code.
+   * @param {string} [serverId] - The server the error concerns, on the client.
+   */
+  constructor(message, code, serverId) {
+    super(message, code);
+    if (serverId !== undefined) {
+      this.serverId = serverId;
+    }
+  }
+}
+
+/**
+ * Error raised when a verifiable OPRF evaluation does not match the server's pinned public key:
+ * the DLEQ proof is missing or invalid, or the server published a different key.
+ * A server doing this may evaluate users under different keys, e.g. to fingerprint them.
+ */
+class OPRFVerificationError extends OPRFError {
+  /**
+   * @param {string} message - The error message.
+   * @param {string} [serverId] - The server whose evaluation failed verification.
+   */
+  constructor(message, serverId) {
+    super(message, ERROR_CODES.OPRF_VERIFICATION_FAILED, serverId);
+  }
+}
+
+/**
+ * Error raised for user records: USER_NOT_FOUND, USER_EXISTS, RECORD_MISMATCH and,
+ * on the client, SERVER_MISMATCH when servers return records that disagree.
+ */
+class RecordError extends SRPError {}
+
+/**
+ * Error raised for login sessions that are unknown, already finished (SESSION_NOT_FOUND) or expired (SESSION_EXPIRED).
+ */
+class LoginSessionError extends SRPError {}
+
+/**
+ * Error raised when a compute pool cannot take more work because its queue is full, or a server
+ * cannot start more logins because the pending ones reached their limit.
+ * Callers should shed the request, e.g. answer with 503, instead of waiting.
+ */
+class BackpressureError extends SRPError {
+  /**
+   * @param {number} queueSize - The size of the full queue.
+   * @param {string} [message] - The error message.
+   */
+  constructor(queueSize, message = 'Compute pool queue is full') {
+    super(message, ERROR_CODES.BACKPRESSURE);
+    this.queueSize = queueSize;
+  }
+}
+
+/**
+ * Error raised when a server does not answer before the deadline. `timedOut` is set for callers checking the flag.
+ */
+class TimeoutError extends SRPError {
+  /**
+   * @param {number} timeoutMs - The deadline in milliseconds.
+   */
+  constructor(timeoutMs) {
+    super(`No response within ${timeoutMs}ms`, ERROR_CODES.TIMEOUT);
+    this.timedOut = true;
+  }
+}
+
+// Error class of every code, to rebuild errors received from a remote server
+const ERROR_CLASSES = {
+  RATE_LIMITED: RateLimitError,
+  PUZZLE_REQUIRED: PuzzleRequiredError,
+  PUZZLE_TOO_HARD: RateLimitError,
+  INVALID_CLIENT_PROOF: InvalidProofError,
+  INVALID_SERVER_PROOF: InvalidProofError,
+  INVALID_CHANGE_MAC: InvalidProofError,
+  INVALID_CLIENT_EPHEMERAL: InvalidEphemeralError,
+  INVALID_SERVER_EPHEMERAL: InvalidEphemeralError,
+  EPHEMERAL_REUSED: InvalidEphemeralError,
+  MALFORMED_INPUT: MalformedInputError,
+  MALFORMED_OPRF_REQUEST: MalformedInputError,
+  MALFORMED_OPRF_EVALUATION: MalformedInputError,
+  KDF_REJECTED: MalformedInputError,
+  OPRF_VERIFICATION_FAILED: OPRFVerificationError,
+  OPRF_MISMATCH: OPRFError,
+  UNKNOWN_KEY_EPOCH: OPRFError,
+  INVALID_KEY_EPOCH: OPRFError,
+  USER_NOT_FOUND: RecordError,
+  USER_EXISTS: RecordError,
+  RECORD_MISMATCH: RecordError,
+  SERVER_MISMATCH: RecordError,
+  SESSION_NOT_FOUND: LoginSessionError,
+  SESSION_EXPIRED: LoginSessionError,
+  BACKPRESSURE: BackpressureError,
+  TIMEOUT: TimeoutError,
+  UNAVAILABLE: SRPError,
+  NOT_FOUND: SRPError,
+  METHOD_NOT_ALLOWED: SRPError,
+  UNSUPPORTED_MEDIA_TYPE: SRPError,
+  PAYLOAD_TOO_LARGE: SRPError
+};
+
+/**
+ * Rebuild an error received from a remote server as an instance of the class of its code,
+ * so that `instanceof` and `code` checks work the same for local and remote servers.
+ * @param {string} [code] - The error code sent by the server.
+ * @param {string} message - The error message sent by the server.
+ * @returns {Error} An SRPError subclass for known codes, a plain Error otherwise.
+ */
+function errorFromCode(code, message) {
+  const ErrorClass = Object.prototype.hasOwnProperty.call(ERROR_CLASSES, code) ? ERROR_CLASSES[code] : null;
+  if (!ErrorClass) {
+    return new Error(message);
+  }
+  // The constructors differ, so build through the base class and adopt the subclass prototype
+  const error = new SRPError(message, code);
+  Object.setPrototypeOf(error, ErrorClass.prototype);
+  error.name = ErrorClass.name;
+  return error;
+}
+
+module.exports = {
+  ERROR_CODES,
+  SRPError,
+  RateLimitError,
+  PuzzleRequiredError,
+  InvalidProofError,
+  InvalidEphemeralError,
+  MalformedInputError,
+  OPRFError,
+  OPRFVerificationError,
+  RecordError,
+  LoginSessionError,
+  BackpressureError,
+  TimeoutError,
+  errorFromCode
+};
@@ -0,0 +1,82 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const crypto = require('crypto');
+const TypeSRP = require('./type-srp.cjs');
+
+// Output sizes of the hash functions SRP can be configured with
+const HASH_OUTPUT_BYTES = {
+  sha256: 32,
+  sha384: 48,
+  sha512: 64
+};
+
+/**
+ * Create the SRP hash function H for an algorithm. H takes any number of TypeSRP values
+ * (hashed as the bytes of their hex form) and strings (hashed as UTF-8) and returns a TypeSRP.
+ * @param {string} algorithm - 'sha256', 'sha384' or 'sha512'.
+ * @returns {Function} The hash function.
+ * @throws {Error} If the algorithm is not supported.
+ */
+function createHashFunction(algorithm) {
+  if (!HASH_OUTPUT_BYTES[algorithm]) {
+    throw new Error(`Unsupported hash function: ${algorithm} (supported: ${Object.keys(HASH_OUTPUT_BYTES).join(', ')})`);
+  }
+
+  return function hash(...args) {
+    const h = crypto.createHash(algorithm);
+
+    for (const arg of args) {
+      if (arg instanceof TypeSRP) {
+        h.update(Buffer.from(arg.toHex(), 'hex'));
+      } else if (typeof arg === 'string') {
+        h.update(arg);
+      } else {
+        throw new TypeError('Expected string or TypeSRP');
+      }
+    }
+
+    return TypeSRP.fromHex(h.digest('hex'));
+  };
+}
+
+module.exports = {
+  HASH_OUTPUT_BYTES,
+  createHashFunction
+};
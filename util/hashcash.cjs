@@ -0,0 +1,135 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const crypto = require('crypto');
+
+/**
+ * Count the leading zero bits of a byte array.
+ * @param {Uint8Array} bytes - The bytes to inspect.
+ * @returns {number} The number of leading zero bits.
+ */
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Hash a puzzle attempt: SHA-256(challenge:username:nonce).
+ * Binding the username keeps a solution from being spent on another username.
+ * @param {string} challenge - The puzzle challenge in hex.
+ * @param {string} username - The username the puzzle was issued for.
+ * @param {number} nonce - The candidate nonce.
+ * @returns {Buffer} The digest.
+ */
+function puzzleDigest(challenge, username, nonce) {
+  return crypto.createHash('sha256').update(`${challenge}:${username}:${nonce}`).digest();
+}
+
+/**
+ * Check a hashcash-style solution: the digest must start with `difficulty` zero bits.
+ * @param {string} challenge - The puzzle challenge in hex.
+ * @param {string} username - The username the puzzle was issued for.
+ * @param {number} nonce - The nonce found by the client.
+ * @param {number} difficulty - The required number of leading zero bits.
+ * @returns {boolean} True if the nonce solves the puzzle.
+ */
+function verifySolution(challenge, username, nonce, difficulty) {
+  if (!Number.isSafeInteger(nonce) || nonce < 0) {
+    return false;
+  }
+  return leadingZeroBits(puzzleDigest(challenge, username, nonce)) >= difficulty;
+}
+
+// Nonces tried between two yields to the event loop in solveAsync
+const SOLVE_BATCH_SIZE = 4096;
+
+/**
+ * Find a nonce solving the puzzle by brute force. Expected work is 2^difficulty hashes.
+ * Blocks the event loop until done; clients solving puzzles of a server use `solveAsync`.
+ * @param {string} challenge - The puzzle challenge in hex.
+ * @param {string} username - The username the puzzle was issued for.
+ * @param {number} difficulty - The required number of leading zero bits.
+ * @returns {number} The nonce.
+ */
+function solve(challenge, username, difficulty) {
+  let nonce = 0;
+  while (!verifySolution(challenge, username, nonce, difficulty)) {
+    nonce++;
+  }
+  return nonce;
+}
+
+/**
+ * Find a nonce solving the puzzle in batches, yielding to the event loop between them,
+ * so timers such as deadlines keep firing and the search can be aborted.
+ * @param {string} challenge - The puzzle challenge in hex.
+ * @param {string} username - The username the puzzle was issued for.
+ * @param {number} difficulty - The required number of leading zero bits.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the search, which then rejects with the signal's reason.
+ * @param {number} [options.batchSize=4096] - Nonces tried between two yields.
+ * @returns {Promise<number>} The nonce.
+ */
+async function solveAsync(challenge, username, difficulty, { signal, batchSize = SOLVE_BATCH_SIZE } = {}) {
+  for (let nonce = 0; ; nonce++) {
+    if (nonce % batchSize === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal && signal.aborted) {
+        throw signal.reason !== undefined ? signal.reason : new Error('Puzzle solving was aborted');
+      }
+    }
+    if (verifySolution(challenge, username, nonce, difficulty)) {
+      return nonce;
+    }
+  }
+}
+
+module.exports = {
+  leadingZeroBits,
+  verifySolution,
+  solve,
+  solveAsync
+};
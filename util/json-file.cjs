@@ -0,0 +1,77 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read and parse a JSON file.
+ * @param {string} filePath - The file to read.
+ * @returns {Promise<*|null>} The parsed contents, or null if the file does not exist.
+ */
+async function readJSONFile(filePath) {
+  let contents;
+  try {
+    contents = await fs.promises.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+  return JSON.parse(contents);
+}
+
+/**
+ * Write data as JSON atomically: the data goes to a temporary file that is then
+ * renamed over the original, so a crash never leaves a truncated file behind.
+ * @param {string} filePath - The file to write.
+ * @param {*} data - The data to serialize.
+ * @returns {Promise<void>}
+ */
+async function writeJSONFileAtomic(filePath, data) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  await fs.promises.writeFile(tempPath, JSON.stringify(data), { mode: 0o600 });
+  await fs.promises.rename(tempPath, filePath);
+}
+
+module.exports = {
+  readJSONFile,
+  writeJSONFileAtomic
+};
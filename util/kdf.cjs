@@ -0,0 +1,240 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const crypto = require('crypto');
+const { ERROR_CODES, MalformedInputError } = require('./errors.cjs');
+
+// Password KDF of records created before the KDF was recorded: the SRP hash alone, without stretching
+const LEGACY_KDF = { name: 'hash' };
+
+// scrypt costs about 32 MiB of memory per password guess with these parameters
+const DEFAULT_KDF = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+
+// Argon2id parameters of the second recommended option of RFC 9106: 64 MiB, 3 passes
+const DEFAULT_ARGON2ID_PARAMS = { memoryKiB: 65536, iterations: 3, parallelism: 1 };
+
+// Costs a client accepts from the KDF a server returns at login: enough memory that every guess stays
+// memory-hard, but not so much memory or so many passes that a hostile server can exhaust the client
+const DEFAULT_KDF_LIMITS = Object.freeze({
+  allowLegacy: false, // The unstretched legacy KDF is a downgrade, accepted only on opt-in
+  minMemoryKiB: 16 * 1024, // scrypt N = 16384, r = 8
+  maxMemoryKiB: 1024 * 1024,
+  maxPasses: 16, // scrypt p, Argon2id iterations
+  maxParallelism: 16 // Argon2id lanes
+});
+
+// Implementations of the password KDFs by name, see registerKDF
+const implementations = new Map();
+
+/**
+ * Check that a value is a positive safe integer.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a positive integer.
+ */
+function isPositiveInteger(value) {
+  return Number.isSafeInteger(value) && value > 0;
+}
+
+/**
+ * Validate a KDF descriptor and fill in the default cost parameters of its KDF.
+ * Descriptors are stored in user records and sent to clients, so only known fields are kept.
+ * @param {Object} [kdf] - `{ name: 'scrypt', N, r, p }`, `{ name: 'argon2id', memoryKiB, iterations, parallelism }`
+ * or `{ name: 'hash' }` (defaults to scrypt).
+ * @returns {Object} The normalized descriptor.
+ * @throws {MalformedInputError} If the KDF is unknown or its parameters are invalid.
+ */
+function normalizeKDF(kdf = DEFAULT_KDF) {
+  if (!kdf || typeof kdf.name !== 'string') {
+    throw new MalformedInputError('Expected a password KDF as { name, ...params }');
+  }
+
+  if (kdf.name === LEGACY_KDF.name) {
+    return { ...LEGACY_KDF };
+  }
+  if (kdf.name === 'scrypt') {
+    const { N = DEFAULT_KDF.N, r = DEFAULT_KDF.r, p = DEFAULT_KDF.p } = kdf;
+    if (!isPositiveInteger(N) || N < 2 || (N & (N - 1)) !== 0 || !isPositiveInteger(r) || !isPositiveInteger(p)) {
+      throw new MalformedInputError('Invalid scrypt parameters: N must be a power of two, r and p positive integers');
+    }
+    return { name: 'scrypt', N, r, p };
+  }
+  if (kdf.name === 'argon2id') {
+    const {
+      memoryKiB = DEFAULT_ARGON2ID_PARAMS.memoryKiB,
+      iterations = DEFAULT_ARGON2ID_PARAMS.iterations,
+      parallelism = DEFAULT_ARGON2ID_PARAMS.parallelism
+    } = kdf;
+    if (!isPositiveInteger(memoryKiB) || !isPositiveInteger(iterations) || !isPositiveInteger(parallelism) || memoryKiB < 8 * parallelism) {
+      throw new MalformedInputError('Invalid argon2id parameters: memoryKiB, iterations and parallelism must be positive, memoryKiB at least 8 * parallelism');
+    }
+    return { name: 'argon2id', memoryKiB, iterations, parallelism };
+  }
+  throw new MalformedInputError('Unsupported password KDF');
+}
+
+/**
+ * Check a KDF descriptor against the costs a client accepts, see DEFAULT_KDF_LIMITS.
+ * scrypt uses 128 * N * r bytes of memory and p passes, Argon2id `memoryKiB` and `iterations` passes.
+ * @param {Object} kdf - The KDF descriptor, e.g. from a login start.
+ * @param {Object} [limits] - `allowLegacy`, `minMemoryKiB`, `maxMemoryKiB`, `maxPasses` and `maxParallelism`.
+ * @returns {Object} The normalized descriptor.
+ * @throws {MalformedInputError} With code KDF_REJECTED if the KDF is the legacy one without opt-in or its costs are out of bounds,
+ * or with code MALFORMED_INPUT if the descriptor is invalid.
+ */
+function assertKDFLimits(kdf, limits = DEFAULT_KDF_LIMITS) {
+  const normalized = normalizeKDF(kdf);
+  const { allowLegacy, minMemoryKiB, maxMemoryKiB, maxPasses, maxParallelism } = { ...DEFAULT_KDF_LIMITS, ...limits };
+  if (normalized.name === LEGACY_KDF.name) {
+    if (!allowLegacy) {
+      throw new MalformedInputError('The legacy password KDF is not accepted', ERROR_CODES.KDF_REJECTED);
+    }
+    return normalized;
+  }
+
+  const scrypt = normalized.name === 'scrypt';
+  const memoryKiB = scrypt ? (128 * normalized.N * normalized.r) / 1024 : normalized.memoryKiB;
+  const passes = scrypt ? normalized.p : normalized.iterations;
+  const parallelism = scrypt ? 1 : normalized.parallelism;
+  if (memoryKiB < minMemoryKiB) {
+    throw new MalformedInputError(`Password KDF uses less than the minimum of ${minMemoryKiB} KiB`, ERROR_CODES.KDF_REJECTED);
+  }
+  if (memoryKiB > maxMemoryKiB || passes > maxPasses || parallelism > maxParallelism) {
+    throw new MalformedInputError('Password KDF costs exceed the client\'s limits', ERROR_CODES.KDF_REJECTED);
+  }
+  return normalized;
+}
+
+/**
+ * Register the implementation of a password KDF, e.g. Argon2id from a native module.
+ * The implementation is called as `derive(password, salt, kdf, outputBytes)` with the password and salt
+ * as Buffers and the normalized descriptor, and resolves to a Buffer or Uint8Array of `outputBytes` bytes.
+ * @param {string} name - 'scrypt' or 'argon2id'.
+ * @param {Function} derive - The implementation.
+ */
+function registerKDF(name, derive) {
+  if (name !== 'scrypt' && name !== 'argon2id') {
+    throw new Error(`Unsupported password KDF: ${name}`);
+  }
+  if (typeof derive !== 'function') {
+    throw new TypeError('Expected the KDF implementation as a function');
+  }
+  implementations.set(name, derive);
+}
+
+/**
+ * scrypt from node's crypto module, run off the main thread.
+ * @param {Buffer} password - The password.
+ * @param {Buffer} salt - The salt.
+ * @param {Object} kdf - The normalized scrypt descriptor.
+ * @param {number} outputBytes - The output length.
+ * @returns {Promise<Buffer>} The derived bytes.
+ */
+function scrypt(password, salt, { N, r, p }, outputBytes) {
+  return new Promise((resolve, reject) => {
+    // scrypt needs 128 * N * r bytes, leave headroom for its other buffers
+    crypto.scrypt(password, salt, outputBytes, { N, r, p, maxmem: 256 * N * r }, (err, derived) => (err ? reject(err) : resolve(derived)));
+  });
+}
+
+/**
+ * Argon2id from node's crypto module, available from node 24.7 on.
+ * @param {Buffer} password - The password.
+ * @param {Buffer} salt - The salt.
+ * @param {Object} kdf - The normalized argon2id descriptor.
+ * @param {number} outputBytes - The output length.
+ * @returns {Promise<Buffer>} The derived bytes.
+ */
+function nodeArgon2id(password, salt, { memoryKiB, iterations, parallelism }, outputBytes) {
+  return new Promise((resolve, reject) => {
+    const options = { message: password, nonce: salt, memory: memoryKiB, passes: iterations, parallelism, tagLength: outputBytes };
+    crypto.argon2('argon2id', options, (err, derived) => (err ? reject(err) : resolve(derived)));
+  });
+}
+
+/**
+ * Find the implementation of a password KDF: a registered one, or the built-in one of node's crypto module.
+ * @param {string} name - The KDF name.
+ * @returns {Function} The implementation.
+ * @throws {Error} If Argon2id is requested and neither registered nor built into node.
+ */
+function getImplementation(name) {
+  if (implementations.has(name)) {
+    return implementations.get(name);
+  }
+  if (name === 'scrypt') {
+    return scrypt;
+  }
+  if (typeof crypto.argon2 === 'function') {
+    return nodeArgon2id;
+  }
+  throw new Error('No argon2id implementation: register one with registerKDF(\'argon2id\', derive)');
+}
+
+/**
+ * Stretch a password with a memory-hard KDF.
+ * @param {string} password - The password input, e.g. `username:password`.
+ * @param {Uint8Array} salt - The salt.
+ * @param {Object} kdf - The KDF descriptor; the legacy `{ name: 'hash' }` has no KDF to run.
+ * @param {number} outputBytes - The output length.
+ * @returns {Promise<Buffer>} The derived bytes.
+ * @throws {Error} If the descriptor is invalid or has no implementation.
+ */
+async function deriveKey(password, salt, kdf, outputBytes) {
+  const normalized = normalizeKDF(kdf);
+  if (normalized.name === LEGACY_KDF.name) {
+    throw new Error('The legacy password KDF does not stretch passwords');
+  }
+  const derive = getImplementation(normalized.name);
+  const derived = await derive(Buffer.from(String(password)), Buffer.from(salt), normalized, outputBytes);
+  if (!derived || derived.length !== outputBytes) {
+    throw new Error(`Password KDF ${normalized.name} returned ${derived ? derived.length : 0} bytes, expected ${outputBytes}`);
+  }
+  return Buffer.from(derived);
+}
+
+module.exports = {
+  LEGACY_KDF,
+  DEFAULT_KDF,
+  DEFAULT_ARGON2ID_PARAMS,
+  DEFAULT_KDF_LIMITS,
+  normalizeKDF,
+  assertKDFLimits,
+  registerKDF,
+  deriveKey
+};
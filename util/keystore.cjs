@@ -0,0 +1,256 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const crypto = require('crypto');
+const { getKeySizes, validatePrivateKey } = require('@cloudflare/voprf-ts');
+const { DEFAULT_SUITE, SUPPORTED_SUITES, cryptoArgs } = require('./oprf-suites.cjs');
+
+// Version of the keystore format produced by exportKeystore.
+// Version 1 held a single key, version 2 holds a set of keys tagged with their epoch.
+const KEYSTORE_VERSION = 2;
+
+// Default scrypt cost parameters used to derive the encryption key from a passphrase
+const DEFAULT_SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+// Cipher used to encrypt the OPRF key when a passphrase is given
+const KEYSTORE_CIPHER = 'aes-256-gcm';
+
+/**
+ * Convert an OPRF key given as a hex string or Uint8Array into a Uint8Array.
+ * @param {string|Uint8Array} key - The OPRF private key.
+ * @returns {Uint8Array} The key bytes.
+ * @throws {TypeError} If the key is neither a Uint8Array nor a hex string.
+ */
+function toKeyBytes(key) {
+  if (key instanceof Uint8Array) {
+    return new Uint8Array(key);
+  }
+  if (typeof key === 'string' && key.length % 2 === 0 && /^[0-9a-fA-F]+$/.test(key)) {
+    return new Uint8Array(Buffer.from(key, 'hex'));
+  }
+  throw new TypeError('Expected OPRF key as Uint8Array or hex string');
+}
+
+/**
+ * Check that an OPRF private key is a valid scalar for the suite, i.e. it has the
+ * suite's scalar length and lies in the range [1, order - 1].
+ * @param {string|Uint8Array} key - The OPRF private key.
+ * @param {string} [suite] - The OPRF suite the key is used with.
+ * @returns {Uint8Array} The validated key bytes.
+ * @throws {Error} If the key is out of range for the suite.
+ */
+function assertValidOPRFKey(key, suite = DEFAULT_SUITE) {
+  const keyBytes = toKeyBytes(key);
+  const { Nsk } = getKeySizes(suite, ...cryptoArgs(suite));
+  if (keyBytes.length !== Nsk || !validatePrivateKey(suite, keyBytes, ...cryptoArgs(suite))) {
+    throw new Error(`Invalid OPRF key for suite ${suite}`);
+  }
+  return keyBytes;
+}
+
+/**
+ * Generate a random OPRF private key for the suite by rejection sampling
+ * until the bytes form a valid, non-zero scalar.
+ * @param {string} [suite] - The OPRF suite the key is used with.
+ * @returns {Uint8Array} The generated key.
+ */
+function generateOPRFKey(suite = DEFAULT_SUITE) {
+  const { Nsk } = getKeySizes(suite, ...cryptoArgs(suite));
+  let key;
+  do {
+    key = new Uint8Array(crypto.randomBytes(Nsk));
+  } while (!validatePrivateKey(suite, key, ...cryptoArgs(suite)));
+  return key;
+}
+
+/**
+ * Normalize a single key or an epoch key set into `{ currentEpoch, keys: [{ epoch, key }] }`.
+ * A single key is treated as the only key of epoch 0.
+ * @param {string|Uint8Array|Object} keySet - A key, or `{ currentEpoch, keys }`.
+ * @param {string} suite - The OPRF suite the keys are used with.
+ * @returns {Object} The validated key set.
+ * @throws {Error} If an epoch is duplicated, the current epoch is missing or a key is invalid.
+ */
+function normalizeKeySet(keySet, suite) {
+  if (keySet instanceof Uint8Array || typeof keySet === 'string') {
+    return { currentEpoch: 0, keys: [{ epoch: 0, key: assertValidOPRFKey(keySet, suite) }] };
+  }
+
+  const seen = new Set();
+  const keys = keySet.keys.map(({ epoch, key }) => {
+    if (!Number.isSafeInteger(epoch) || epoch < 0 || seen.has(epoch)) {
+      throw new Error(`Invalid or duplicate OPRF key epoch: ${epoch}`);
+    }
+    seen.add(epoch);
+    return { epoch, key: assertValidOPRFKey(key, suite) };
+  });
+
+  if (!seen.has(keySet.currentEpoch)) {
+    throw new Error(`No OPRF key for current epoch ${keySet.currentEpoch}`);
+  }
+  return { currentEpoch: keySet.currentEpoch, keys };
+}
+
+/**
+ * Additional authenticated data binding the ciphertext to the keystore header.
+ * @param {Object} header - The keystore header (version, suite and, from version 2, currentEpoch).
+ * @returns {Buffer} The AAD bytes.
+ */
+function keystoreAAD({ version, suite, currentEpoch }) {
+  const epochLabel = version >= 2 ? `:${currentEpoch}` : '';
+  return Buffer.from(`oblivious-srp-keystore:${version}:${suite}${epochLabel}`);
+}
+
+/**
+ * Derive the keystore encryption key from a passphrase with scrypt.
+ * @param {string} passphrase - The keystore passphrase.
+ * @param {Buffer} salt - The scrypt salt.
+ * @param {Object} params - The scrypt cost parameters (N, r, p).
+ * @returns {Buffer} A 32 byte encryption key.
+ */
+function deriveKeystoreKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(String(passphrase), salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Export OPRF private keys into the versioned keystore format.
+ * Without a passphrase the keys are stored in hex; with a passphrase they are
+ * encrypted with AES-256-GCM under a key derived by scrypt.
+ * @param {string|Uint8Array|Object} keySet - A single OPRF private key, or `{ currentEpoch, keys: [{ epoch, key }] }`.
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Passphrase used to encrypt the keys.
+ * @param {string} [options.suite] - The OPRF suite the keys are used with.
+ * @param {Object} [options.scrypt] - scrypt cost parameters (N, r, p).
+ * @returns {string} The keystore as a JSON string.
+ */
+function exportKeystore(keySet, { passphrase, suite = DEFAULT_SUITE, scrypt = DEFAULT_SCRYPT_PARAMS } = {}) {
+  const { currentEpoch, keys } = normalizeKeySet(keySet, suite);
+  const keystore = { version: KEYSTORE_VERSION, suite, currentEpoch };
+  const hexKeys = keys.map(({ epoch, key }) => ({ epoch, key: Buffer.from(key).toString('hex') }));
+
+  if (passphrase === undefined) {
+    keystore.keys = hexKeys;
+    return JSON.stringify(keystore);
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(KEYSTORE_CIPHER, deriveKeystoreKey(passphrase, salt, scrypt), iv);
+  cipher.setAAD(keystoreAAD(keystore));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(hexKeys)), cipher.final()]);
+
+  keystore.crypto = {
+    kdf: 'scrypt',
+    kdfparams: { N: scrypt.N, r: scrypt.r, p: scrypt.p, salt: salt.toString('hex') },
+    cipher: KEYSTORE_CIPHER,
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  };
+  return JSON.stringify(keystore);
+}
+
+/**
+ * Build the import result from the decoded key material of a keystore.
+ * @param {Object} parsed - The parsed keystore header.
+ * @param {string|Array} material - The hex key (version 1) or the list of epoch keys (version 2).
+ * @returns {Object} Contains `suite`, `currentEpoch`, `keys` and the current `key`.
+ */
+function toImportResult(parsed, material) {
+  const { suite } = parsed;
+  const keySet = parsed.version === 1
+    ? normalizeKeySet(material, suite)
+    : normalizeKeySet({ currentEpoch: parsed.currentEpoch, keys: material }, suite);
+  const { key } = keySet.keys.find(({ epoch }) => epoch === keySet.currentEpoch);
+  return { suite, currentEpoch: keySet.currentEpoch, keys: keySet.keys, key };
+}
+
+/**
+ * Import OPRF private keys from the keystore format. Version 1 keystores
+ * are read as a single key of epoch 0.
+ * @param {string|Object} keystore - The keystore as a JSON string or parsed object.
+ * @param {string} [passphrase] - Passphrase for an encrypted keystore.
+ * @returns {Object} Contains the `suite`, the `currentEpoch`, all `keys` as `[{ epoch, key }]` and the current `key`.
+ * @throws {Error} If the keystore is malformed, the passphrase is wrong or a key is invalid.
+ */
+function importKeystore(keystore, passphrase) {
+  const parsed = typeof keystore === 'string' ? JSON.parse(keystore) : keystore;
+  if (!parsed || (parsed.version !== 1 && parsed.version !== KEYSTORE_VERSION)) {
+    throw new Error('Unsupported keystore version');
+  }
+
+  const { suite } = parsed;
+  if (!SUPPORTED_SUITES.includes(suite)) {
+    throw new Error('Unsupported keystore suite');
+  }
+
+  if (parsed.crypto === undefined) {
+    return toImportResult(parsed, parsed.version === 1 ? parsed.key : parsed.keys);
+  }
+
+  const { kdf, kdfparams, cipher, iv, tag, ciphertext } = parsed.crypto;
+  if (kdf !== 'scrypt' || cipher !== KEYSTORE_CIPHER) {
+    throw new Error('Unsupported keystore encryption');
+  }
+  if (passphrase === undefined) {
+    throw new Error('Keystore is encrypted and requires a passphrase');
+  }
+
+  const derivedKey = deriveKeystoreKey(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams);
+  const decipher = crypto.createDecipheriv(KEYSTORE_CIPHER, derivedKey, Buffer.from(iv, 'hex'));
+  decipher.setAAD(keystoreAAD(parsed));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+  } catch (err) {
+    throw new Error('Unable to decrypt keystore: wrong passphrase or corrupted data');
+  }
+
+  return toImportResult(parsed, parsed.version === 1 ? new Uint8Array(plaintext) : JSON.parse(plaintext.toString()));
+}
+
+module.exports = {
+  KEYSTORE_VERSION,
+  assertValidOPRFKey,
+  generateOPRFKey,
+  exportKeystore,
+  importKeystore
+};
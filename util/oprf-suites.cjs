@@ -0,0 +1,88 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const { Oprf } = require('@cloudflare/voprf-ts');
+
+// The OPRF suite used unless another one is configured
+const DEFAULT_SUITE = Oprf.Suite.P256_SHA256;
+
+// Every suite voprf-ts defines
+const SUPPORTED_SUITES = Object.values(Oprf.Suite);
+
+// Suites implemented by the default crypto provider of voprf-ts; the others need its
+// noble provider, which relies on the optional @noble/curves dependency
+const DEFAULT_PROVIDER_SUITES = [Oprf.Suite.P256_SHA256, Oprf.Suite.P384_SHA384, Oprf.Suite.P521_SHA512];
+
+/**
+ * Check that voprf-ts defines the suite.
+ * @param {string} suite - The OPRF suite, e.g. 'P384-SHA384'.
+ * @returns {string} The suite.
+ * @throws {Error} If the suite is unknown.
+ */
+function assertSupportedSuite(suite) {
+  if (!SUPPORTED_SUITES.includes(suite)) {
+    throw new Error(`Unsupported OPRF suite: ${suite} (supported: ${SUPPORTED_SUITES.join(', ')})`);
+  }
+  return suite;
+}
+
+/**
+ * The trailing crypto provider arguments of the voprf-ts functions and classes for a suite.
+ * @param {string} suite - The OPRF suite.
+ * @returns {Array} Empty for the default provider, otherwise the noble provider.
+ * @throws {Error} If the suite is unknown or needs @noble/curves, which is not installed.
+ */
+function cryptoArgs(suite) {
+  assertSupportedSuite(suite);
+  if (DEFAULT_PROVIDER_SUITES.includes(suite)) {
+    return [];
+  }
+  try {
+    const { CryptoNoble } = require('@cloudflare/voprf-ts/crypto-noble');
+    return [CryptoNoble];
+  } catch (err) {
+    throw new Error(`OPRF suite ${suite} requires the optional dependency @noble/curves`);
+  }
+}
+
+module.exports = {
+  DEFAULT_SUITE,
+  SUPPORTED_SUITES,
+  assertSupportedSuite,
+  cryptoArgs
+};
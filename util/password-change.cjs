@@ -0,0 +1,111 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const crypto = require('crypto');
+const { normalizeKDF } = require('./kdf.cjs');
+
+/*
+ * Authorization of password changes. After a login the client and the server share the
+ * session key K; the client sends the new record with an HMAC under K, so a server accepts
+ * it only from the user who just authenticated in that session.
+ */
+
+// Domain separation of the MAC input
+const PASSWORD_CHANGE_CONTEXT = 'oblivious-srp-password-change:1';
+
+/**
+ * Encode the authenticated part of a password change canonically: the session it is bound to,
+ * the username and every field of the new record, with absent fields as null.
+ * @param {string} sessionId - The id of the authenticated login session.
+ * @param {string} username - The username.
+ * @param {Object} change - `salt` and `verifier` in hex, and the optional `keyEpoch`, `kdf` and `verifierBinding`.
+ * @returns {string} The MAC input.
+ */
+function encodePasswordChange(sessionId, username, { salt, verifier, keyEpoch, kdf, verifierBinding }) {
+  const optional = value => (value === undefined ? null : value);
+  return JSON.stringify([
+    PASSWORD_CHANGE_CONTEXT,
+    String(sessionId),
+    String(username),
+    String(salt).toLowerCase(),
+    String(verifier).toLowerCase(),
+    optional(keyEpoch),
+    kdf === undefined || kdf === null ? null : normalizeKDF(kdf),
+    optional(verifierBinding)
+  ]);
+}
+
+/**
+ * Compute the MAC authorizing a password change.
+ * @param {string} hashName - The hash function of the SRP parameters, e.g. 'sha256'.
+ * @param {string} sessionKey - The session key (K) of the login in hex.
+ * @param {string} sessionId - The id of the login session.
+ * @param {string} username - The username.
+ * @param {Object} change - The new record, see `encodePasswordChange`.
+ * @returns {string} The MAC in hex.
+ */
+function passwordChangeMAC(hashName, sessionKey, sessionId, username, change) {
+  // K is minimal hex, so an odd number of digits gets its leading zero back instead of losing the last one
+  const key = sessionKey.length % 2 ? `0${sessionKey}` : sessionKey;
+  return crypto.createHmac(hashName, Buffer.from(key, 'hex'))
+    .update(encodePasswordChange(sessionId, username, change))
+    .digest('hex');
+}
+
+/**
+ * Check the MAC of a password change in constant time.
+ * @param {string} hashName - The hash function of the SRP parameters.
+ * @param {string} sessionKey - The session key (K) of the login in hex.
+ * @param {string} sessionId - The id of the login session.
+ * @param {string} username - The username.
+ * @param {Object} change - The new record.
+ * @param {string} mac - The MAC sent by the client, in hex.
+ * @returns {boolean} Whether the MAC is valid.
+ */
+function verifyPasswordChangeMAC(hashName, sessionKey, sessionId, username, change, mac) {
+  const expected = Buffer.from(passwordChangeMAC(hashName, sessionKey, sessionId, username, change), 'hex');
+  const actual = Buffer.from(String(mac), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  encodePasswordChange,
+  passwordChangeMAC,
+  verifyPasswordChangeMAC
+};
@@ -0,0 +1,105 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const { TimeoutError } = require('./errors.cjs');
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an operation with a deadline. The operation is called with an AbortSignal that is aborted,
+ * with the TimeoutError as its reason, when the deadline passes, so it can cancel its work such as
+ * a fetch; whatever it returns after the deadline is ignored.
+ * @param {Function} operation - Function called with an AbortSignal, returning a promise.
+ * @param {number} timeoutMs - The deadline in milliseconds; Infinity disables it.
+ * @returns {Promise<*>} The operation's result.
+ * @throws {TimeoutError} With `timedOut` set if the deadline passes first.
+ */
+function withDeadline(operation, timeoutMs) {
+  const controller = new AbortController();
+  if (!Number.isFinite(timeoutMs)) {
+    return Promise.resolve().then(() => operation(controller.signal));
+  }
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new TimeoutError(timeoutMs);
+      controller.abort(err);
+      reject(err);
+    }, timeoutMs);
+  });
+  return Promise.race([Promise.resolve().then(() => operation(controller.signal)), deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run an operation and retry it a bounded number of times. The delay before retry n is
+ * drawn uniformly from [0, min(maxDelayMs, baseDelayMs * 2^n)] ("full jitter") so that
+ * clients failing together do not retry together.
+ * @param {Function} operation - Function returning a promise, called once per attempt.
+ * @param {Object} [options]
+ * @param {number} [options.retries=2] - Retries after the first attempt.
+ * @param {number} [options.baseDelayMs=100] - Base of the exponential backoff.
+ * @param {number} [options.maxDelayMs=2000] - Upper bound of a single delay.
+ * @param {Function} [options.shouldRetry] - Decides from the error whether to retry.
+ * @returns {Promise<*>} The result of the first successful attempt.
+ * @throws {Error} The error of the last attempt.
+ */
+async function retryWithJitter(operation, { retries = 2, baseDelayMs = 100, maxDelayMs = 2000, shouldRetry = () => true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) {
+        throw err;
+      }
+      await delay(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+    }
+  }
+}
+
+module.exports = {
+  delay,
+  withDeadline,
+  retryWithJitter
+};
@@ -37,30 +37,7 @@
 'use strict';
 
 // Import necessary modules
-const crypto = require('crypto');
-const TypeSRP = require('./type-srp.cjs');
+const { createHashFunction } = require('./hash.cjs');
 
-// Define the Sha256 class
-class Sha256 {
-  constructor() {}
-
-  // Method to handle sha256 hashing with variable arguments
-  hash(...args) {
-    const h = crypto.createHash('sha256');
-
-    for (const arg of args) {
-      if (arg instanceof TypeSRP) {
-        h.update(Buffer.from(arg.toHex(), 'hex'));
-      } else if (typeof arg === 'string') {
-        h.update(arg);
-      } else {
-        throw new TypeError('Expected string or TypeSRP');
-      }
-    }
-
-    return TypeSRP.fromHex(h.digest('hex'));
-  }
-}
-
-// Default export the sha256 instance
-module.exports = new Sha256().hash.bind(new Sha256());
+// Default export the SHA-256 hash function, see createHashFunction in hash.cjs
+module.exports = createHashFunction('sha256');
@@ -0,0 +1,222 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const { Oprf, Evaluation } = require('@cloudflare/voprf-ts');
+const { DEFAULT_SUITE, cryptoArgs } = require('./oprf-suites.cjs'); // OPRF ciphersuites
+const keystore = require('./keystore.cjs'); // OPRF key generation and validation
+const { decodeOPRFEvaluation } = require('./validate.cjs'); // Strict decoding of the partial evaluations
+
+// Groups whose scalars are serialized little-endian; the NIST curves use big-endian (RFC 9497, Section 4)
+const LITTLE_ENDIAN_GROUPS = ['ristretto255', 'decaf448'];
+
+// Share indices are small positive integers, the x-coordinates of the shares
+const MAX_SHARE_INDEX = 0xffff;
+
+/**
+ * The prime-order group of an OPRF suite.
+ * @param {string} suite - The OPRF suite.
+ * @returns {Group} The voprf-ts group.
+ */
+function getGroup(suite) {
+  return Oprf.getGroup(suite, ...cryptoArgs(suite));
+}
+
+/**
+ * Check that a share index is an integer in [1, 65535].
+ * @param {*} index - The share index.
+ * @returns {number} The index.
+ * @throws {Error} If the index is out of range.
+ */
+function assertShareIndex(index) {
+  if (!Number.isInteger(index) || index < 1 || index > MAX_SHARE_INDEX) {
+    throw new Error(`Invalid share index: ${index} (expected an integer from 1 to ${MAX_SHARE_INDEX})`);
+  }
+  return index;
+}
+
+/**
+ * Encode a share index as a scalar of the group.
+ * @param {Group} group - The group.
+ * @param {number} index - The share index.
+ * @returns {Scalar} The scalar.
+ */
+function scalarFromIndex(group, index) {
+  const bytes = new Uint8Array(group.scalarSize());
+  const littleEndian = LITTLE_ENDIAN_GROUPS.includes(group.id);
+  bytes[littleEndian ? 0 : bytes.length - 1] = index & 0xff;
+  bytes[littleEndian ? 1 : bytes.length - 2] = index >> 8;
+  return group.desScalar(bytes);
+}
+
+/**
+ * Split an OPRF key into Shamir shares as a trusted dealer: any `threshold` of the `count` shares
+ * reconstruct evaluations under the key, fewer reveal nothing about it. Share i is f(i) for a random
+ * polynomial f of degree threshold - 1 with f(0) = key. The dealer must forget the key and the polynomial.
+ * @param {number} threshold - The number of shares needed to evaluate (t).
+ * @param {number} count - The number of shares, one per server (n).
+ * @param {Object} [options]
+ * @param {string} [options.suite] - The OPRF suite.
+ * @param {string|Uint8Array} [options.key] - An existing OPRF key to share (defaults to a new random key).
+ * @returns {Promise<Object>} `suite`, `threshold` and `shares` as `[{ index, key }]` with indices 1 to n.
+ * @throws {Error} If the threshold is not between 1 and the share count or the key is invalid.
+ */
+async function dealKeyShares(threshold, count, { suite = DEFAULT_SUITE, key } = {}) {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SHARE_INDEX) {
+    throw new Error(`Invalid share count: ${count}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > count) {
+    throw new Error(`Invalid threshold: ${threshold} (expected 1 to ${count})`);
+  }
+  const group = getGroup(suite);
+  const secret = group.desScalar(key !== undefined ? keystore.assertValidOPRFKey(key, suite) : keystore.generateOPRFKey(suite));
+
+  for (;;) {
+    const coefficients = [secret];
+    for (let i = 1; i < threshold; i++) {
+      coefficients.push(await group.randomScalar());
+    }
+
+    // Evaluate f(index) with Horner's rule
+    const shares = [];
+    for (let index = 1; index <= count; index++) {
+      const x = scalarFromIndex(group, index);
+      let y = coefficients[threshold - 1];
+      for (let i = threshold - 2; i >= 0; i--) {
+        y = y.mul(x).add(coefficients[i]);
+      }
+      shares.push({ index, key: y });
+    }
+
+    // A zero share is not a valid OPRF key; it occurs with negligible probability, deal again
+    if (shares.every(share => !share.key.isZero())) {
+      return { suite, threshold, shares: shares.map(({ index, key: share }) => ({ index, key: share.serialize() })) };
+    }
+  }
+}
+
+/**
+ * The Lagrange coefficient of a share for interpolating at zero: prod_{j != i} x_j / (x_j - x_i).
+ * @param {Group} group - The group.
+ * @param {number} index - The index of the share (x_i).
+ * @param {number[]} indices - The indices of all combined shares.
+ * @returns {Scalar} The coefficient.
+ */
+function lagrangeCoefficient(group, index, indices) {
+  const xi = scalarFromIndex(group, index);
+  let numerator = scalarFromIndex(group, 1);
+  let denominator = scalarFromIndex(group, 1);
+  for (const other of indices) {
+    if (other !== index) {
+      const xj = scalarFromIndex(group, other);
+      numerator = numerator.mul(xj);
+      denominator = denominator.mul(xj.sub(xi));
+    }
+  }
+  return numerator.mul(denominator.inv());
+}
+
+/**
+ * Combine partial evaluations of servers holding key shares into the evaluation under the shared key,
+ * by Lagrange interpolation in the group: sum of lambda_i * (k_i * B) = k * B. The result finalizes like
+ * an evaluation of a single server.
+ * @param {string} suite - The OPRF suite.
+ * @param {Array<Object>} partials - At least `threshold` partial evaluations as `[{ index, evaluation }]`,
+ * the evaluations serialized as returned by `SRPServer.performOPRFEval`.
+ * @returns {Uint8Array} The serialized combined evaluation.
+ * @throws {Error} If no partial is given, indices repeat or the evaluations do not match.
+ */
+function combineEvaluations(suite, partials) {
+  if (!Array.isArray(partials) || partials.length === 0) {
+    throw new Error('At least one partial evaluation is required');
+  }
+  const indices = partials.map(partial => assertShareIndex(partial.index));
+  if (new Set(indices).size !== indices.length) {
+    throw new Error('Partial evaluations must come from distinct shares');
+  }
+
+  const group = getGroup(suite);
+  const evaluations = partials.map(partial => decodeOPRFEvaluation(suite, partial.evaluation));
+  const size = evaluations[0].evaluated.length;
+  if (evaluations.some(evaluation => evaluation.evaluated.length !== size)) {
+    throw new Error('Partial evaluations cover different numbers of elements');
+  }
+
+  const combined = [];
+  for (let e = 0; e < size; e++) {
+    let sum = group.identity();
+    evaluations.forEach((evaluation, i) => {
+      sum = sum.add(evaluation.evaluated[e].mul(lagrangeCoefficient(group, indices[i], indices)));
+    });
+    combined.push(sum);
+  }
+  return new Evaluation(Oprf.Mode.OPRF, combined).serialize();
+}
+
+/**
+ * Enumerate the subsets of a given size, e.g. the sets of `threshold` partial evaluations that can be combined.
+ * The first subset is the first `size` items, the following ones replace the last items first.
+ * @param {Array} items - The items.
+ * @param {number} size - The size of the subsets.
+ * @yields {Array} Each subset, its items in the order of `items`.
+ */
+function* subsetsOf(items, size) {
+  const positions = Array.from({ length: size }, (_, i) => i);
+  while (size <= items.length) {
+    yield positions.map(position => items[position]);
+    // Advance the rightmost position that can still move, and reset the ones after it
+    let i = size - 1;
+    while (i >= 0 && positions[i] === items.length - size + i) {
+      i--;
+    }
+    if (i < 0) {
+      return;
+    }
+    positions[i]++;
+    for (let j = i + 1; j < size; j++) {
+      positions[j] = positions[j - 1] + 1;
+    }
+  }
+}
+
+module.exports = {
+  assertShareIndex,
+  dealKeyShares,
+  combineEvaluations,
+  subsetsOf
+};
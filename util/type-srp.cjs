@@ -36,25 +36,35 @@
 
 'use strict';
 
-const padStart = require('pad-start');
-const randomHex = require('crypto-random-hex');
-const { BigInteger } = require('jsbn');
+const crypto = require('crypto');
+const { ERROR_CODES, SRPError, MalformedInputError } = require('./errors.cjs');
 
-const kBigInteger = Symbol('big-integer');
+const kValue = Symbol('value');
 const kHexLength = Symbol('hex-length');
 
+// Plain hex, with an optional leading minus sign
+const HEX_PATTERN = /^-?[0-9a-fA-F]*$/;
+
+// Characters fromHex skips like the jsbn parser it replaces: anything but letters and digits
+const SKIPPED_PATTERN = /[^0-9a-zA-Z]/g;
+
 /**
  * Class representing an SRP (Secure Remote Password) type integer data with additional utility methods.
+ * Values are native BigInts. The hex length remembers how many digits a value was created with, so
+ * `toHex` reproduces leading zeros: values parsed from hex keep their length, and results of `mod`,
+ * `subtract`, `xor` and `divide` inherit it, while `add`, `multiply` and `modPow` results are unpadded.
+ * Results match the jsbn backend this replaced (checked by tools/type-srp-vectors.cjs), except that
+ * invalid hex digits and division or mod by zero now throw where jsbn returned a wrong value.
  */
 class TypeSRP {
   /**
    * Constructs an TypeSRP.
    * 
-   * @param {BigInteger} bigInteger - A `BigInteger` representing the numeric value.
-   * @param {number} hexLength - The length of the integer in hexadecimal format.
+   * @param {bigint} value - The numeric value.
+   * @param {number|null} hexLength - The length of the integer in hexadecimal format, or null for no padding.
    */
-  constructor(bigInteger, hexLength) {
-    this[kBigInteger] = bigInteger;
+  constructor(value, hexLength) {
+    this[kValue] = value;
     this[kHexLength] = hexLength;
   }
 
@@ -65,7 +75,7 @@ class TypeSRP {
    * @returns {TypeSRP} - A new TypeSRP representing the sum.
    */
   add(val) {
-    return new TypeSRP(this[kBigInteger].add(val[kBigInteger]), null);
+    return new TypeSRP(this[kValue] + val[kValue], null);
   }
 
   /**
@@ -75,7 +85,7 @@ class TypeSRP {
    * @returns {boolean} - True if equal, otherwise false.
    */
   equals(val) {
-    return this[kBigInteger].equals(val[kBigInteger]);
+    return this[kValue] === val[kValue];
   }
 
   /**
@@ -85,17 +95,18 @@ class TypeSRP {
    * @returns {TypeSRP} - A new TypeSRP representing the product.
    */
   multiply(val) {
-    return TypeSRP.fromBigInt(this.toBigInt() * val.toBigInt());
+    return new TypeSRP(this[kValue] * val[kValue], null);
   }
 
   /**
-   * Divides the current TypeSRP by another.
+   * Divides the current TypeSRP by another, truncating towards zero.
    * 
    * @param {TypeSRP} val - The TypeSRP divisor.
    * @returns {TypeSRP} - A new TypeSRP representing the quotient.
+   * @throws {RangeError} If the divisor is zero.
    */
   divide(val) {
-    return new TypeSRP(this[kBigInteger].divide(val[kBigInteger]), this[kHexLength]);
+    return new TypeSRP(this[kValue] / val[kValue], this[kHexLength]);
   }
 
   /**
@@ -106,20 +117,22 @@ class TypeSRP {
    * @returns {TypeSRP} - The result of modular exponentiation.
    */
   modPow(exponent, m) {
-    const expBigInt = exponent instanceof TypeSRP ? exponent.toBigInt() : BigInt(exponent);
-    const modBigInt = m instanceof TypeSRP ? m.toBigInt() : BigInt(m);
-  
-    return TypeSRP.fromBigInt(this.modularExponentiation(this.toBigInt(), expBigInt, modBigInt));
+    const expBigInt = exponent instanceof TypeSRP ? exponent[kValue] : BigInt(exponent);
+    const modBigInt = m instanceof TypeSRP ? m[kValue] : BigInt(m);
+
+    return new TypeSRP(this.modularExponentiation(this[kValue], expBigInt, modBigInt), null);
   }
 
   /**
-   * Computes the current TypeSRP modulo m.
+   * Computes the current TypeSRP modulo m. The result is never negative.
    * 
    * @param {TypeSRP} m - The modulus.
    * @returns {TypeSRP} - A new TypeSRP representing the result of the mod operation.
+   * @throws {RangeError} If the modulus is zero.
    */
   mod(m) {
-    return new TypeSRP(this[kBigInteger].mod(m[kBigInteger]), m[kHexLength]);
+    const remainder = this[kValue] % m[kValue];
+    return new TypeSRP(remainder < 0n ? remainder + m[kValue] : remainder, m[kHexLength]);
   }
 
   /**
@@ -129,7 +142,7 @@ class TypeSRP {
    * @returns {TypeSRP} - A new TypeSRP representing the difference.
    */
   subtract(val) {
-    return new TypeSRP(this[kBigInteger].subtract(val[kBigInteger]), this[kHexLength]);
+    return new TypeSRP(this[kValue] - val[kValue], this[kHexLength]);
   }
 
   /**
@@ -139,7 +152,7 @@ class TypeSRP {
    * @returns {TypeSRP} - A new TypeSRP resulting from the XOR operation.
    */
   xor(val) {
-    return new TypeSRP(this[kBigInteger].xor(val[kBigInteger]), this[kHexLength]);
+    return new TypeSRP(this[kValue] ^ val[kValue], this[kHexLength]);
   }
 
   /**
@@ -148,7 +161,7 @@ class TypeSRP {
    * @returns {string} - The decimal string representation of the TypeSRP.
    */
   toDecimal() {
-    return this[kBigInteger].toString(10);
+    return this[kValue].toString(10);
   }
 
   /**
@@ -157,7 +170,7 @@ class TypeSRP {
    * @returns {BigInt} - The BigInt representation of the TypeSRP.
    */
   toBigInt() {
-    return BigInt(this[kBigInteger].toString(10));
+    return this[kValue];
   }
 
   /**
@@ -166,7 +179,7 @@ class TypeSRP {
    * @returns {string} - A string representation of the TypeSRP for inspection.
    */
   inspect() {
-    const hex = this[kBigInteger].toString(16);
+    const hex = this[kValue].toString(16);
     return `<TypeSRP ${hex.slice(0, 16)}${hex.length > 16 ? '...' : ''}>`;
   }
 
@@ -176,7 +189,7 @@ class TypeSRP {
    * @returns {string} - The hexadecimal string representation of the TypeSRP.
    */
   toHex() {
-    const hex = this[kBigInteger].toString(16);
+    const hex = this[kValue].toString(16);
     
     // If hex length is not specified, return the hex string without padding
     if (this[kHexLength] === null) {
@@ -184,7 +197,7 @@ class TypeSRP {
     }
 
     // Otherwise, pad the hex string to the specified length
-    return padStart(hex, this[kHexLength], '0');
+    return hex.padStart(this[kHexLength], '0');
   }
 
   /**
@@ -203,7 +216,7 @@ class TypeSRP {
    * @returns {boolean} - True if greater, otherwise false.
    */
   isGreaterThan(val) {
-    return this[kBigInteger].compareTo(val[kBigInteger]) > 0;
+    return this[kValue] > val[kValue];
   }
 
   /**
@@ -213,10 +226,10 @@ class TypeSRP {
    * @returns {boolean} - True if less, otherwise false.
    */
   isLessThan(val) {
-    return this[kBigInteger].compareTo(val[kBigInteger]) < 0;
+    return this[kValue] < val[kValue];
   }
 
-    /**
+  /**
    * Computes the greatest common divisor (GCD) of two BigIntegers.
    * 
    * @param {BigInt} a - The first number.
@@ -224,7 +237,7 @@ class TypeSRP {
    * @returns {BigInt} - The GCD of a and b.
    */
   gcd(a, b) {
-    while (b !== BigInt(0)) {
+    while (b !== 0n) {
       [a, b] = [b, a % b];
     }
     return a;
@@ -235,23 +248,25 @@ class TypeSRP {
    * but only if the gcd of this and m is 1.
    * 
    * @param {TypeSRP} m - The modulus.
-   * @returns {TypeSRP} - A new TypeSRP representing the modular inverse, or throws an error if no inverse exists.
+   * @returns {TypeSRP} - A new TypeSRP representing the modular inverse.
+   * @throws {SRPError} With code NO_MODULAR_INVERSE if no inverse exists.
    */
   modInverse(m) {
-    const aBigInt = this.toBigInt();
-    const mBigInt = m.toBigInt();
+    const aBigInt = this[kValue];
+    const mBigInt = m[kValue];
 
     // Check if gcd(a, m) is 1
-    if (this.gcd(aBigInt, mBigInt) !== BigInt(1)) {
-      throw new Error('Modular inverse does not exist: gcd(a, m) is not 1');
+    if (this.gcd(aBigInt, mBigInt) !== 1n) {
+      throw new SRPError('Modular inverse does not exist: gcd(a, m) is not 1', ERROR_CODES.NO_MODULAR_INVERSE);
     }
 
-    return TypeSRP.fromBigInt(this.modularExponentiation(aBigInt, mBigInt - BigInt(2), mBigInt));
+    return new TypeSRP(this.modularExponentiation(aBigInt, mBigInt - 2n, mBigInt), null);
   }
 
-
   /**
-   * Efficient modular exponentiation by squaring.
+   * Efficient modular exponentiation with a fixed window of 4 bits: the exponent is scanned one hex
+   * digit at a time from the top, with four squarings and at most one multiplication from a table of
+   * base^0 .. base^15 per digit.
    * 
    * @param {BigInt} base - The base of the exponentiation.
    * @param {BigInt} exp - The exponent.
@@ -259,22 +274,32 @@ class TypeSRP {
    * @returns {BigInt} - The result of (base^exp) mod mod.
    */
   modularExponentiation(base, exp, mod) {
-    let result = BigInt(1);
+    if (exp <= 0n) {
+      return 1n;
+    }
     base = base % mod;
 
-    while (exp > 0) {
-      if (exp % BigInt(2) === 1n) {
-        result = (result * base) % mod;
+    const powers = [1n, base];
+    for (let i = 2; i < 16; i++) {
+      powers.push((powers[i - 1] * base) % mod);
+    }
+
+    let result = 1n;
+    for (const digit of exp.toString(16)) {
+      for (let i = 0; i < 4; i++) {
+        result = (result * result) % mod;
+      }
+      const power = parseInt(digit, 16);
+      if (power !== 0) {
+        result = (result * powers[power]) % mod;
       }
-      exp = exp / BigInt(2);
-      base = (base * base) % mod;
     }
 
-    return result;
+    return result % mod;
   }
 
   toNumber() {
-    const bigIntValue = this.toBigInt();
+    const bigIntValue = this[kValue];
     
     // Check if the BigInt value fits within JavaScript's safe integer range
     if (bigIntValue <= Number.MAX_SAFE_INTEGER && bigIntValue >= Number.MIN_SAFE_INTEGER) {
@@ -286,39 +311,76 @@ class TypeSRP {
   }
 
   /**
-  * Converts the TypeSRP to a Uint8Array.
+  * Converts the TypeSRP to a Uint8Array of the fewest bytes holding its value.
   * 
   * @returns {Uint8Array} - The Uint8Array representation of the TypeSRP.
   */
   toUint8Array() {
-    // Convert the BigInteger to a hexadecimal string
-    let hex = this[kBigInteger].toString(16);
+    const hex = this[kValue].toString(16);
+    return this.toBytes(Math.ceil(hex.length / 2));
+  }
 
-    // If the hex string has an odd length, pad it with a leading zero
-    if (hex.length % 2 !== 0) {
-      hex = '0' + hex;
+  /**
+   * Encodes the TypeSRP as an unsigned big-endian integer of a fixed number of bytes.
+   * 
+   * @param {number} byteLength - The number of bytes, e.g. the byte length of the modulus N.
+   * @returns {Uint8Array} - The encoded value, left-padded with zeros.
+   * @throws {RangeError} If the value is negative or does not fit.
+   */
+  toBytes(byteLength) {
+    if (this[kValue] < 0n) {
+      throw new RangeError('Cannot encode a negative TypeSRP as unsigned bytes');
     }
-
-    // Create a Uint8Array from the hex string
-    const byteArray = new Uint8Array(hex.length / 2);
-    for (let i = 0; i < hex.length; i += 2) {
-      byteArray[i / 2] = parseInt(hex.substr(i, 2), 16);
+    const hex = this[kValue] === 0n && byteLength === 0 ? '' : this[kValue].toString(16).padStart(byteLength * 2, '0');
+    if (hex.length > byteLength * 2) {
+      throw new RangeError(`TypeSRP value does not fit in ${byteLength} bytes`);
     }
-
-    return byteArray;
+    return new Uint8Array(Buffer.from(hex, 'hex'));
   }
 }
 
 // Static methods to create TypeSRP instances.
 
 /**
- * Creates an TypeSRP from a hexadecimal string.
+ * Creates an TypeSRP from a hexadecimal string. The hex length is the length of the input.
+ * For compatibility with values derived under the jsbn backend, separators such as the commas of a
+ * joined Uint8Array are skipped, and a minus sign before the first digit makes the value negative.
+ * Untrusted input is checked with util/validate.cjs first.
  * 
  * @param {string} input - The hexadecimal string input.
  * @returns {TypeSRP} - A new TypeSRP created from the hexadecimal input.
+ * @throws {TypeError} If the input is not a string.
+ * @throws {MalformedInputError} If the input contains letters beyond 'f'.
  */
 TypeSRP.fromHex = function(input) {
-  return new TypeSRP(new BigInteger(input, 16), input.length);
+  if (typeof input !== 'string') {
+    throw new TypeError('Expected a hexadecimal string');
+  }
+  let negative;
+  let digits;
+  if (HEX_PATTERN.test(input)) {
+    negative = input.startsWith('-');
+    digits = negative ? input.slice(1) : input;
+  } else {
+    const firstDigit = input.search(/[0-9a-zA-Z]/);
+    negative = input.lastIndexOf('-', firstDigit === -1 ? input.length : firstDigit) !== -1;
+    digits = input.replace(SKIPPED_PATTERN, '');
+    if (!HEX_PATTERN.test(digits)) {
+      throw new MalformedInputError('Expected a hexadecimal string');
+    }
+  }
+  const value = digits === '' ? 0n : BigInt(`0x${digits}`);
+  return new TypeSRP(negative ? -value : value, input.length);
+};
+
+/**
+ * Creates an TypeSRP from an unsigned big-endian byte encoding; its hex length is twice the byte length.
+ * 
+ * @param {Uint8Array} bytes - The encoded value.
+ * @returns {TypeSRP} - A new TypeSRP created from the bytes.
+ */
+TypeSRP.fromBytes = function(bytes) {
+  return TypeSRP.fromHex(Buffer.from(bytes).toString('hex'));
 };
 
 /**
@@ -328,19 +390,18 @@ TypeSRP.fromHex = function(input) {
  * @returns {TypeSRP} - A new TypeSRP representing the random value.
  */
 TypeSRP.randomInteger = function(bytes) {
-  return TypeSRP.fromHex(randomHex(bytes));
+  return TypeSRP.fromBytes(crypto.randomBytes(bytes));
 };
 
 /** 
  * Static method to create TypeSRP from BigInt
  * */ 
 TypeSRP.fromBigInt = function(bigInt) {
-  // Convert BigInt to a BigInteger from the 'jsbn' library
-  return new TypeSRP(new BigInteger(bigInt.toString()), null);
+  return new TypeSRP(BigInt(bigInt), null);
 };
 
 // Constants for zero and one TypeSRP instances.
-TypeSRP.ZERO = new TypeSRP(new BigInteger('0'), null);
-TypeSRP.ONE = new TypeSRP(new BigInteger('1'), null);
+TypeSRP.ZERO = new TypeSRP(0n, null);
+TypeSRP.ONE = new TypeSRP(1n, null);
 
 module.exports = TypeSRP;
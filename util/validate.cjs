@@ -0,0 +1,223 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// Import necessary modules
+const { EvaluationRequest, Evaluation } = require('@cloudflare/voprf-ts');
+const TypeSRP = require('./type-srp.cjs');
+const { cryptoArgs } = require('./oprf-suites.cjs');
+const { ERROR_CODES, MalformedInputError, InvalidEphemeralError } = require('./errors.cjs');
+
+/*
+ * Validation of the untrusted inputs of the public entry points, run before any math.
+ * TypeSRP.fromHex stays lenient for values derived under the jsbn backend, so every hex
+ * input from a peer or an application goes through these checks first.
+ */
+
+// Longest username in UTF-8 bytes
+const MAX_USERNAME_BYTES = 256;
+
+const HEX = /^[0-9a-fA-F]+$/;
+
+/**
+ * Check a username: a non-empty string of at most MAX_USERNAME_BYTES UTF-8 bytes.
+ * @param {string} username - The username.
+ * @returns {string} The username.
+ * @throws {MalformedInputError} If the username is not a string, empty or too long.
+ */
+function assertUsername(username) {
+  if (typeof username !== 'string' || username.length === 0) {
+    throw new MalformedInputError('Invalid username: expected a non-empty string');
+  }
+  if (Buffer.byteLength(username, 'utf8') > MAX_USERNAME_BYTES) {
+    throw new MalformedInputError(`Invalid username: longer than ${MAX_USERNAME_BYTES} bytes`);
+  }
+  return username;
+}
+
+/**
+ * Check a hex string, with an exact or a maximum number of digits.
+ * @param {string} value - The hex string.
+ * @param {string} name - The name of the input, for the error message.
+ * @param {Object} [options]
+ * @param {number} [options.length] - The exact number of digits.
+ * @param {number} [options.maxLength] - The maximum number of digits.
+ * @returns {string} The hex string.
+ * @throws {MalformedInputError} If the value is not a hex string of the expected length.
+ */
+function assertHex(value, name, { length, maxLength } = {}) {
+  if (typeof value !== 'string' || !HEX.test(value)) {
+    throw new MalformedInputError(`Invalid ${name}: expected a hex string`);
+  }
+  if (length !== undefined && value.length !== length) {
+    throw new MalformedInputError(`Invalid ${name}: expected ${length} hex digits`);
+  }
+  if (maxLength !== undefined && value.length > maxLength) {
+    throw new MalformedInputError(`Invalid ${name}: expected at most ${maxLength} hex digits`);
+  }
+  return value;
+}
+
+/**
+ * Check a salt: exactly as many bytes as the hash output, in hex.
+ * @param {string} salt - The salt in hex.
+ * @param {Params} params - The SRP parameters.
+ * @returns {string} The salt.
+ * @throws {MalformedInputError} If the salt is not hex of the expected length.
+ */
+function assertSalt(salt, params) {
+  return assertHex(salt, 'salt', { length: 2 * params.hashOutputBytes });
+}
+
+/**
+ * Check a session proof: exactly one hash output, in hex.
+ * @param {string} proof - The proof in hex.
+ * @param {Params} params - The SRP parameters.
+ * @returns {string} The proof.
+ * @throws {MalformedInputError} If the proof is not hex of the expected length.
+ */
+function assertProof(proof, params) {
+  return assertHex(proof, 'session proof', { length: 2 * params.hashOutputBytes });
+}
+
+/**
+ * Check that a hex value is an element of the group, in [1, N - 1].
+ * @param {string} value - The value in hex.
+ * @param {string} name - The name of the input, for the error message.
+ * @param {Params} params - The SRP parameters.
+ * @returns {boolean} Whether the value is in range.
+ * @throws {MalformedInputError} If the value is not hex or has more digits than N.
+ */
+function isGroupElement(value, name, params) {
+  const { N } = params;
+  assertHex(value, name, { maxLength: N.toHex().length });
+  const integer = TypeSRP.fromHex(value);
+  return integer.isGreaterThan(TypeSRP.ZERO) && integer.isLessThan(N);
+}
+
+/**
+ * Check a public ephemeral (A or B): in [1, N - 1], which also rules out A % N == 0.
+ * @param {string} ephemeral - The public ephemeral in hex.
+ * @param {Params} params - The SRP parameters.
+ * @param {string} code - INVALID_CLIENT_EPHEMERAL for A, INVALID_SERVER_EPHEMERAL for B.
+ * @returns {string} The public ephemeral.
+ * @throws {MalformedInputError} If the ephemeral is not hex or too long.
+ * @throws {InvalidEphemeralError} If the ephemeral is out of range.
+ */
+function assertEphemeral(ephemeral, params, code) {
+  if (!isGroupElement(ephemeral, 'public ephemeral', params)) {
+    const sender = code === ERROR_CODES.INVALID_SERVER_EPHEMERAL ? 'Server' : 'Client';
+    throw new InvalidEphemeralError(`${sender} sent an invalid public ephemeral`, code);
+  }
+  return ephemeral;
+}
+
+/**
+ * Check a public verifier (v): in [1, N - 1].
+ * @param {string} verifier - The public verifier in hex.
+ * @param {Params} params - The SRP parameters.
+ * @returns {string} The public verifier.
+ * @throws {MalformedInputError} If the verifier is not hex or out of range.
+ */
+function assertVerifier(verifier, params) {
+  if (!isGroupElement(verifier, 'verifier', params)) {
+    throw new MalformedInputError('Invalid verifier: expected a value in [1, N - 1]');
+  }
+  return verifier;
+}
+
+/**
+ * Decode an OPRF blob strictly: it must decode for the suite and encode back to the same bytes,
+ * which rules out the trailing bytes voprf-ts would ignore.
+ * @param {Function} type - EvaluationRequest or Evaluation.
+ * @param {string} name - The name of the input, for the error message.
+ * @param {string} code - The error code.
+ * @param {string} suite - The OPRF suite.
+ * @param {Uint8Array} bytes - The serialized blob.
+ * @returns {Object} The decoded blob.
+ * @throws {MalformedInputError} If the blob does not decode for the suite.
+ */
+function decodeOPRFBlob(type, name, code, suite, bytes) {
+  const malformed = new MalformedInputError(`Malformed OPRF ${name} for suite ${suite}`, code);
+  if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
+    throw malformed;
+  }
+  let decoded;
+  try {
+    decoded = type.deserialize(suite, bytes, ...cryptoArgs(suite));
+  } catch (err) {
+    throw malformed;
+  }
+  if (Buffer.compare(Buffer.from(decoded.serialize()), Buffer.from(bytes)) !== 0) {
+    throw malformed;
+  }
+  return decoded;
+}
+
+/**
+ * Decode a serialized OPRF evaluation request for the suite.
+ * @param {string} suite - The OPRF suite.
+ * @param {Uint8Array} bytes - The serialized request.
+ * @returns {EvaluationRequest} The request.
+ * @throws {MalformedInputError} With code MALFORMED_OPRF_REQUEST if it does not decode for the suite.
+ */
+function decodeOPRFRequest(suite, bytes) {
+  return decodeOPRFBlob(EvaluationRequest, 'evaluation request', ERROR_CODES.MALFORMED_OPRF_REQUEST, suite, bytes);
+}
+
+/**
+ * Decode a serialized OPRF evaluation for the suite.
+ * @param {string} suite - The OPRF suite.
+ * @param {Uint8Array} bytes - The serialized evaluation.
+ * @returns {Evaluation} The evaluation.
+ * @throws {MalformedInputError} With code MALFORMED_OPRF_EVALUATION if it does not decode for the suite.
+ */
+function decodeOPRFEvaluation(suite, bytes) {
+  return decodeOPRFBlob(Evaluation, 'evaluation', ERROR_CODES.MALFORMED_OPRF_EVALUATION, suite, bytes);
+}
+
+module.exports = {
+  MAX_USERNAME_BYTES,
+  assertUsername,
+  assertHex,
+  assertSalt,
+  assertProof,
+  assertEphemeral,
+  assertVerifier,
+  decodeOPRFRequest,
+  decodeOPRFEvaluation
+};
@@ -0,0 +1,397 @@
+/*
+ * Oblivious SRP Library
+ *
+ * Copyright (c) 2024 Yamya Reiki <reiki.yamya14@gmail.com>
+ *
+ * This file is part of the Oblivious SRP library.
+ *
+ * Oblivious SRP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This library is licensed under the GPLv3, which means that you can use,
+ * modify, and distribute it freely, but you cannot incorporate it into
+ * proprietary software. Any derivative work must also be licensed
+ * under the same terms, ensuring that it remains free for all users.
+ *
+ * Oblivious SRP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * In no event and under no legal theory, whether in tort (including negligence),
+ * contract, or otherwise, unless required by applicable law (such as deliberate
+ * and grossly negligent acts) or agreed to in writing, shall any contributor be
+ * liable to you for damages, including any direct, indirect, special, incidental,
+ * or consequential damages of any character arising as a result of this software
+ * or out of the use or inability to use the software (including but not limited to
+ * damages for loss of goodwill, work stoppage, computer failure or malfunction, or
+ * any and all other commercial damages or losses), even if such contributor has
+ * been advised of the possibility of such damages.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Oblivious SRP. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+/*
+ * Binary wire format of the protocol messages.
+ *
+ *   version (u8) | type (u8) | suite id (u8) | group id (u8) | field*
+ *   field = length (u16, big endian) | bytes
+ *
+ * Each message type has a fixed list of fields. A field of length zero marks an absent
+ * optional field. Field kinds:
+ * - utf8: UTF-8 text.
+ * - bytes: raw bytes, base64url in JSON.
+ * - hex: an SRP integer as hex digits. The first byte is 1 if the number of digits is odd
+ *   (the leading zero nibble is dropped on decoding), 0 otherwise. Hashes of SRP integers
+ *   depend on the exact number of digits, so it is kept as is.
+ * - u32: unsigned 32 bit integer, big endian.
+ * - json: UTF-8 JSON object.
+ *
+ * The same schema validates the JSON form of the messages.
+ */
+
+const { MalformedInputError } = require('./errors.cjs');
+
+// Current version of the wire format
+const WIRE_VERSION = 1;
+
+// Versions this release can decode
+const SUPPORTED_WIRE_VERSIONS = [WIRE_VERSION];
+
+// Media type of binary messages
+const WIRE_CONTENT_TYPE = 'application/vnd.oblivious-srp';
+
+// Identifiers of the OPRF suites
+const SUITE_IDS = {
+  'P256-SHA256': 1,
+  'P384-SHA384': 2,
+  'P521-SHA512': 3,
+  'ristretto255-SHA512': 4,
+  'decaf448-SHAKE256': 5
+};
+
+// Identifiers of the SRP groups
+const GROUP_IDS = {
+  'rfc5054-1024': 1,
+  'rfc5054-1536': 2,
+  'rfc5054-2048': 3,
+  'rfc5054-3072': 4,
+  'rfc5054-4096': 5,
+  'rfc5054-6144': 6,
+  'rfc5054-8192': 7
+};
+
+// Message types: id and fields as [name, kind, optional]
+const MESSAGE_TYPES = {
+  oprfEvaluateRequest: { id: 1, fields: [['username', 'utf8'], ['request', 'bytes'], ['epoch', 'u32', true], ['puzzleSolution', 'json', true]] },
+  oprfEvaluateResponse: { id: 2, fields: [['evaluation', 'bytes']] },
+  puzzleRequest: { id: 3, fields: [['username', 'utf8']] },
+  puzzleResponse: { id: 4, fields: [['puzzle', 'json', true]] },
+  registerRequest: { id: 5, fields: [['username', 'utf8'], ['salt', 'hex'], ['verifier', 'hex'], ['meta', 'json', true]] },
+  registerResponse: { id: 6, fields: [['record', 'json']] },
+  loginStartRequest: { id: 7, fields: [['username', 'utf8'], ['A', 'hex']] },
+  loginStartResponse: {
+    id: 8,
+    fields: [
+      ['sessionId', 'utf8'], ['B', 'hex'], ['salt', 'hex'], ['keyEpoch', 'u32', true], ['suite', 'utf8', true],
+      ['group', 'utf8', true], ['hash', 'utf8', true], ['kdf', 'json', true], ['verifierBinding', 'utf8', true]
+    ]
+  },
+  loginFinishRequest: { id: 9, fields: [['sessionId', 'utf8'], ['M', 'hex']] },
+  loginFinishResponse: { id: 10, fields: [['proof', 'hex']] },
+  error: { id: 11, fields: [['message', 'utf8'], ['details', 'json', true], ['code', 'utf8', true]] },
+  publicKeyRequest: { id: 12, fields: [['epoch', 'u32', true]] },
+  publicKeyResponse: { id: 13, fields: [['suite', 'utf8'], ['mode', 'utf8'], ['epoch', 'u32'], ['publicKey', 'bytes'], ['realm', 'utf8', true]] },
+  passwordChangeRequest: {
+    id: 14,
+    fields: [
+      ['sessionId', 'utf8'], ['salt', 'hex'], ['verifier', 'hex'], ['mac', 'hex'], ['keyEpoch', 'u32', true],
+      ['kdf', 'json', true], ['verifierBinding', 'utf8', true]
+    ]
+  },
+  passwordChangeResponse: { id: 15, fields: [['record', 'json']] }
+};
+
+// Largest field length encodable in the u16 length prefix
+const MAX_FIELD_BYTES = 0xffff;
+
+const HEX = /^[0-9a-fA-F]+$/;
+const BASE64URL = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Error raised for messages that do not follow the wire format or the message schema, with code MALFORMED_INPUT.
+ */
+class WireFormatError extends MalformedInputError {}
+
+/**
+ * Find the name of an identifier in a table.
+ * @param {Object} table - Table of names to identifiers.
+ * @param {number} id - The identifier.
+ * @returns {string|undefined} The name.
+ */
+function nameOf(table, id) {
+  return Object.keys(table).find(name => table[name] === id);
+}
+
+/**
+ * Check a field value against its kind (the decoded form: Uint8Array for bytes, strings for hex).
+ * @param {string} name - The field name.
+ * @param {string} kind - The field kind.
+ * @param {*} value - The value.
+ * @throws {WireFormatError} If the value does not match the kind.
+ */
+function checkField(name, kind, value) {
+  const valid = {
+    utf8: () => typeof value === 'string' && value.length > 0,
+    bytes: () => value instanceof Uint8Array && value.length > 0,
+    hex: () => typeof value === 'string' && HEX.test(value),
+    u32: () => Number.isInteger(value) && value >= 0 && value <= 0xffffffff,
+    json: () => typeof value === 'object' && value !== null && !Array.isArray(value)
+  }[kind]();
+  if (!valid) {
+    throw new WireFormatError(`Invalid field: ${name}`);
+  }
+}
+
+/**
+ * Encode a field value into its bytes.
+ * @param {string} kind - The field kind.
+ * @param {*} value - The checked value.
+ * @returns {Buffer} The field bytes.
+ */
+function encodeField(kind, value) {
+  switch (kind) {
+    case 'utf8':
+      return Buffer.from(value, 'utf8');
+    case 'bytes':
+      return Buffer.from(value);
+    case 'hex': {
+      const odd = value.length % 2;
+      return Buffer.concat([Buffer.from([odd]), Buffer.from(odd ? `0${value}` : value, 'hex')]);
+    }
+    case 'u32': {
+      const bytes = Buffer.alloc(4);
+      bytes.writeUInt32BE(value);
+      return bytes;
+    }
+    case 'json':
+      return Buffer.from(JSON.stringify(value), 'utf8');
+  }
+}
+
+/**
+ * Decode the bytes of a field.
+ * @param {string} name - The field name.
+ * @param {string} kind - The field kind.
+ * @param {Buffer} bytes - The non-empty field bytes.
+ * @returns {*} The value.
+ * @throws {WireFormatError} If the bytes are not a valid value of the kind.
+ */
+function decodeField(name, kind, bytes) {
+  let value;
+  try {
+    switch (kind) {
+      case 'utf8':
+        value = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        break;
+      case 'bytes':
+        value = new Uint8Array(bytes);
+        break;
+      case 'hex': {
+        const odd = bytes[0];
+        const hex = bytes.subarray(1).toString('hex');
+        if (odd > 1 || hex.length === 0 || (odd === 1 && hex[0] !== '0')) {
+          throw new WireFormatError(`Invalid field: ${name}`);
+        }
+        value = odd ? hex.slice(1) : hex;
+        break;
+      }
+      case 'u32':
+        if (bytes.length !== 4) {
+          throw new WireFormatError(`Invalid field: ${name}`);
+        }
+        value = bytes.readUInt32BE(0);
+        break;
+      case 'json':
+        value = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+        break;
+    }
+  } catch (err) {
+    throw err instanceof WireFormatError ? err : new WireFormatError(`Invalid field: ${name}`);
+  }
+  checkField(name, kind, value);
+  return value;
+}
+
+/**
+ * Look up a message type.
+ * @param {string} type - The message type name.
+ * @returns {Object} The message type.
+ * @throws {WireFormatError} If the type is unknown.
+ */
+function messageType(type) {
+  if (!Object.prototype.hasOwnProperty.call(MESSAGE_TYPES, type)) {
+    throw new WireFormatError(`Unknown message type: ${type}`);
+  }
+  return MESSAGE_TYPES[type];
+}
+
+/**
+ * Encode a message.
+ * @param {string} type - The message type, e.g. 'loginStartRequest'.
+ * @param {Object} fields - The field values; bytes fields as Uint8Array, hex fields as hex strings.
+ * @param {Object} context - The `suite` and `group` names the message belongs to.
+ * @returns {Uint8Array} The encoded message.
+ * @throws {WireFormatError} If a field is missing or invalid.
+ */
+function encodeMessage(type, fields, { suite, group }) {
+  const { id, fields: schema } = messageType(type);
+  if (!SUITE_IDS[suite] || !GROUP_IDS[group]) {
+    throw new WireFormatError('Unknown suite or group');
+  }
+
+  const parts = [Buffer.from([WIRE_VERSION, id, SUITE_IDS[suite], GROUP_IDS[group]])];
+  for (const [name, kind, optional] of schema) {
+    const value = fields[name];
+    if (value === undefined || value === null) {
+      if (!optional) {
+        throw new WireFormatError(`Missing field: ${name}`);
+      }
+      parts.push(Buffer.alloc(2));
+      continue;
+    }
+    checkField(name, kind, value);
+    const bytes = encodeField(kind, value);
+    if (bytes.length > MAX_FIELD_BYTES) {
+      throw new WireFormatError(`Field too large: ${name}`);
+    }
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    parts.push(length, bytes);
+  }
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+/**
+ * Decode a message strictly: the version must be supported, the type, suite and group known,
+ * every field present and valid, and no bytes may follow the last field.
+ * @param {Uint8Array} bytes - The encoded message.
+ * @param {string} [expectedType] - Reject messages of any other type.
+ * @returns {Object} `version`, `type`, `suite`, `group` and the decoded `fields`.
+ * @throws {WireFormatError} If the message is malformed; `supportedVersions` is set for unknown versions.
+ */
+function decodeMessage(bytes, expectedType) {
+  const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (buffer.length < 4) {
+    throw new WireFormatError('Truncated message header');
+  }
+
+  const [version, id, suiteId, groupId] = buffer;
+  if (!SUPPORTED_WIRE_VERSIONS.includes(version)) {
+    const error = new WireFormatError(`Unsupported wire version: ${version}`);
+    error.supportedVersions = SUPPORTED_WIRE_VERSIONS;
+    throw error;
+  }
+  const type = Object.keys(MESSAGE_TYPES).find(name => MESSAGE_TYPES[name].id === id);
+  if (type === undefined) {
+    throw new WireFormatError(`Unknown message type id: ${id}`);
+  }
+  if (expectedType !== undefined && type !== expectedType) {
+    throw new WireFormatError(`Expected a ${expectedType} message`);
+  }
+  const suite = nameOf(SUITE_IDS, suiteId);
+  const group = nameOf(GROUP_IDS, groupId);
+  if (suite === undefined || group === undefined) {
+    throw new WireFormatError('Unknown suite or group id');
+  }
+
+  const fields = {};
+  let offset = 4;
+  for (const [name, kind, optional] of MESSAGE_TYPES[type].fields) {
+    if (offset + 2 > buffer.length) {
+      throw new WireFormatError(`Truncated field: ${name}`);
+    }
+    const length = buffer.readUInt16BE(offset);
+    offset += 2;
+    if (offset + length > buffer.length) {
+      throw new WireFormatError(`Truncated field: ${name}`);
+    }
+    if (length === 0) {
+      if (!optional) {
+        throw new WireFormatError(`Missing field: ${name}`);
+      }
+      continue;
+    }
+    fields[name] = decodeField(name, kind, buffer.subarray(offset, offset + length));
+    offset += length;
+  }
+  if (offset !== buffer.length) {
+    throw new WireFormatError('Trailing bytes after message');
+  }
+  return { version, type, suite, group, fields };
+}
+
+/**
+ * Convert the JSON form of a message into field values, validating it against the schema.
+ * @param {string} type - The message type.
+ * @param {Object} body - The parsed JSON body.
+ * @returns {Object} The field values; bytes fields as Uint8Array.
+ * @throws {WireFormatError} If a field is missing or invalid.
+ */
+function fromJSON(type, body) {
+  const fields = {};
+  for (const [name, kind, optional] of messageType(type).fields) {
+    let value = body[name];
+    if (value === undefined || value === null) {
+      if (!optional) {
+        throw new WireFormatError(`Missing field: ${name}`);
+      }
+      continue;
+    }
+    if (kind === 'bytes') {
+      if (typeof value !== 'string' || !BASE64URL.test(value)) {
+        throw new WireFormatError(`Invalid field: ${name}`);
+      }
+      value = new Uint8Array(Buffer.from(value, 'base64url'));
+    }
+    checkField(name, kind, value);
+    fields[name] = value;
+  }
+  return fields;
+}
+
+/**
+ * Convert field values into the JSON form of a message.
+ * @param {string} type - The message type.
+ * @param {Object} fields - The field values.
+ * @returns {Object} The JSON body; bytes fields in base64url.
+ */
+function toJSON(type, fields) {
+  const body = {};
+  for (const [name, kind] of messageType(type).fields) {
+    const value = fields[name];
+    if (value !== undefined && value !== null) {
+      body[name] = kind === 'bytes' ? Buffer.from(value).toString('base64url') : value;
+    }
+  }
+  return body;
+}
+
+module.exports = {
+  WIRE_VERSION,
+  SUPPORTED_WIRE_VERSIONS,
+  WIRE_CONTENT_TYPE,
+  SUITE_IDS,
+  GROUP_IDS,
+  MESSAGE_TYPES,
+  WireFormatError,
+  encodeMessage,
+  decodeMessage,
+  fromJSON,
+  toJSON
+};